@@ -0,0 +1,170 @@
+/**
+ * Deploy and seed MunicipalFlagNFT on a local development chain
+ *
+ * Deploys the contract from the bundled ABI/bytecode (src/contracts) to a local
+ * Hardhat or Anvil node, registers the flags found in the backend database and
+ * stores their metadata hashes, then writes the frontend settings to .env.local
+ * so `npm run dev` uses the local chain and its dev signer accounts.
+ *
+ * The escrow auction house ships without bytecode, so auctions stay
+ * database-only on the local chain.
+ *
+ * Usage:
+ *   npx hardhat node            (or: anvil)
+ *   npm run chain:deploy
+ *   npm run dev
+ *
+ * Environment (all optional):
+ *   LOCAL_RPC_URL        Node to deploy to (default http://127.0.0.1:8545)
+ *   DEV_MNEMONIC         Deployer mnemonic, account 0 becomes the contract owner
+ *                        (default: the Hardhat/Anvil test mnemonic, whose accounts are prefunded)
+ *   API_URL              Backend to read flags from (default VITE_API_URL or http://localhost:8000/api)
+ *   BASE_URI             Token base URI passed to the constructor (default ipfs://)
+ *   SKIP_FLAGS=true      Deploy only, without registering flags
+ */
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import { ethers } from 'ethers';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const ENV_LOCAL_PATH = path.join(ROOT, '.env.local');
+
+// Well-known test mnemonic of Hardhat and Anvil; never use it outside a local chain
+const DEFAULT_MNEMONIC = 'test test test test test test test test test test test junk';
+
+const RPC_URL = process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545';
+const MNEMONIC = process.env.DEV_MNEMONIC || DEFAULT_MNEMONIC;
+const API_URL = process.env.API_URL || process.env.VITE_API_URL || 'http://localhost:8000/api';
+const BASE_URI = process.env.BASE_URI || 'ipfs://';
+const SKIP_FLAGS = process.env.SKIP_FLAGS === 'true';
+
+// Same order as the contract's category enum (see FLAG_CATEGORIES in src/services/web3.js)
+const FLAG_CATEGORIES = ['standard', 'plus', 'premium'];
+// Flags per batchRegisterFlags call, as in the admin On-Chain tab
+const REGISTER_CHUNK_SIZE = 50;
+
+const artifact = JSON.parse(readFileSync(path.join(ROOT, 'src/contracts/MunicipalFlagNFT.json'), 'utf8'));
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+// Plain request first: ethers keeps retrying network detection while the node is down
+const fetchChainId = async () => {
+  try {
+    const response = await fetch(RPC_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+    });
+    const { result } = await response.json();
+    return Number(result);
+  } catch {
+    throw new Error(`No node reachable at ${RPC_URL}. Start one with \`npx hardhat node\` or \`anvil\`.`);
+  }
+};
+
+const fetchFlags = async () => {
+  const response = await fetch(`${API_URL}/flags?available_only=false`);
+  if (!response.ok) {
+    throw new Error(`GET ${API_URL}/flags returned ${response.status}`);
+  }
+  return response.json();
+};
+
+const registerFlags = async (contract, flags) => {
+  const registrable = flags.filter((flag) => FLAG_CATEGORIES.includes(flag.category));
+  if (registrable.length < flags.length) {
+    console.warn(`Skipping ${flags.length - registrable.length} flag(s) with an unknown category`);
+  }
+
+  for (const flagChunk of chunk(registrable, REGISTER_CHUNK_SIZE)) {
+    const tx = await contract.batchRegisterFlags(
+      flagChunk.map((flag) => flag.id),
+      flagChunk.map((flag) => FLAG_CATEGORIES.indexOf(flag.category)),
+      flagChunk.map((flag) => ethers.parseEther(String(flag.price))),
+      flagChunk.map((flag) => flag.nfts_required || 1)
+    );
+    await tx.wait();
+    console.log(`Registered flags #${flagChunk[0].id}-#${flagChunk[flagChunk.length - 1].id}`);
+  }
+
+  // The contract sets one hash per call
+  const withMetadata = registrable.filter((flag) => flag.metadata_hash);
+  for (const flag of withMetadata) {
+    const tx = await contract.setMetadataHash(flag.id, flag.metadata_hash);
+    await tx.wait();
+  }
+  if (withMetadata.length > 0) {
+    console.log(`Stored ${withMetadata.length} metadata hash(es)`);
+  }
+};
+
+/**
+ * Update the given keys in .env.local, keeping any other settings in it
+ */
+const writeEnvLocal = (values) => {
+  const lines = existsSync(ENV_LOCAL_PATH) ? readFileSync(ENV_LOCAL_PATH, 'utf8').split('\n') : [];
+  const remaining = { ...values };
+
+  const updated = lines.map((line) => {
+    const key = line.split('=')[0].trim();
+    if (key in remaining) {
+      const value = remaining[key];
+      delete remaining[key];
+      return `${key}=${value}`;
+    }
+    return line;
+  });
+  while (updated.length > 0 && updated[updated.length - 1] === '') updated.pop();
+
+  const added = Object.entries(remaining).map(([key, value]) => `${key}=${value}`);
+  writeFileSync(ENV_LOCAL_PATH, `${[...updated, ...added].join('\n')}\n`);
+};
+
+const main = async () => {
+  const chainId = await fetchChainId();
+  const network = ethers.Network.from(chainId);
+  const provider = new ethers.JsonRpcProvider(RPC_URL, network, { staticNetwork: network });
+  const deployer = ethers.HDNodeWallet.fromPhrase(MNEMONIC).connect(provider);
+  console.log(`Chain ${chainId} at ${RPC_URL}, deploying from ${deployer.address}`);
+
+  const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, deployer);
+  const contract = await factory.deploy(BASE_URI);
+  const receipt = await contract.deploymentTransaction().wait();
+  const contractAddress = await contract.getAddress();
+  console.log(`MunicipalFlagNFT deployed at ${contractAddress} (block ${receipt.blockNumber})`);
+
+  if (SKIP_FLAGS) {
+    console.log('SKIP_FLAGS set, no flags registered');
+  } else {
+    try {
+      const flags = await fetchFlags();
+      console.log(`Registering ${flags.length} flag(s) from ${API_URL}`);
+      await registerFlags(contract, flags);
+    } catch (error) {
+      // The contract is usable without flags; they can be registered later from the admin On-Chain tab
+      console.warn(`Could not register flags: ${error.message}`);
+    }
+  }
+
+  provider.destroy();
+
+  writeEnvLocal({
+    VITE_CHAIN_ID: chainId,
+    VITE_LOCAL_CHAIN: true,
+    VITE_CHAIN_NAME: 'Local Chain',
+    VITE_RPC_URL: RPC_URL,
+    VITE_BLOCK_EXPLORER: '',
+    VITE_CONTRACT_ADDRESS: contractAddress,
+    VITE_CONTRACT_DEPLOY_BLOCK: receipt.blockNumber,
+    VITE_AUCTION_HOUSE_ADDRESS: '',
+    VITE_DEV_SIGNER_MNEMONIC: MNEMONIC,
+  });
+  console.log(`Wrote local chain settings to ${path.relative(process.cwd(), ENV_LOCAL_PATH)}; restart \`npm run dev\` to use them`);
+};
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
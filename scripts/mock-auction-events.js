@@ -0,0 +1,114 @@
+/**
+ * Mock live auction event server for local development
+ *
+ * Serves the SSE endpoint used by src/services/auctionEvents.js and pushes a
+ * random bid every few seconds. It does not speak WebSocket, so the client
+ * exercises its SSE fallback.
+ *
+ * Usage:
+ *   npm run mock:auctions
+ *   VITE_AUCTION_EVENTS_URL=http://localhost:8001/api npm run dev
+ *
+ * Trigger other events manually:
+ *   curl -X POST http://localhost:8001/api/auctions/1/mock/buyout
+ *   curl -X POST http://localhost:8001/api/auctions/1/mock/cancelled
+ *   curl -X POST http://localhost:8001/api/auctions/1/mock/closed
+ */
+import express from 'express';
+
+const PORT = process.env.MOCK_AUCTION_PORT || 8001;
+const BID_INTERVAL_MS = parseInt(process.env.MOCK_BID_INTERVAL_MS) || 8000;
+
+const app = express();
+
+// auctionId -> { clients: Set<Response>, highestBid: number, nextBidId: number }
+const auctions = new Map();
+
+const getAuction = (auctionId) => {
+  if (!auctions.has(auctionId)) {
+    auctions.set(auctionId, { clients: new Set(), highestBid: 0.1, nextBidId: 100000 });
+  }
+  return auctions.get(auctionId);
+};
+
+const randomAddress = () =>
+  `0x${Array.from({ length: 40 }, () => Math.floor(Math.random() * 16).toString(16)).join('')}`;
+
+const broadcast = (auctionId, event) => {
+  const payload = `data: ${JSON.stringify({ auction_id: auctionId, ...event })}\n\n`;
+  getAuction(auctionId).clients.forEach((res) => res.write(payload));
+};
+
+const pushRandomBid = (auctionId) => {
+  const auction = getAuction(auctionId);
+  auction.highestBid = Number((auction.highestBid + 0.001 + Math.random() * 0.05).toFixed(4));
+  const bidder = { wallet_address: randomAddress() };
+
+  broadcast(auctionId, {
+    type: 'bid_placed',
+    bid: {
+      id: auction.nextBidId++,
+      amount: auction.highestBid.toString(),
+      bidder,
+      bidder_id: null,
+      bidder_category: ['standard', 'plus', 'premium'][Math.floor(Math.random() * 3)],
+      created_at: new Date().toISOString(),
+    },
+  });
+};
+
+app.use((req, res, next) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  next();
+});
+
+app.get('/api/auctions/:id/events', (req, res) => {
+  const auctionId = Number(req.params.id);
+  const auction = getAuction(auctionId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.write(': connected\n\n');
+  auction.clients.add(res);
+  console.log(`Client subscribed to auction ${auctionId} (${auction.clients.size} connected)`);
+
+  req.on('close', () => {
+    auction.clients.delete(res);
+  });
+});
+
+app.post('/api/auctions/:id/mock/:type', (req, res) => {
+  const auctionId = Number(req.params.id);
+  const { type } = req.params;
+  const auction = getAuction(auctionId);
+
+  switch (type) {
+    case 'bid_placed':
+      pushRandomBid(auctionId);
+      break;
+    case 'buyout':
+      broadcast(auctionId, { type, buyer: { wallet_address: randomAddress() }, amount: (auction.highestBid * 2).toFixed(4) });
+      break;
+    case 'cancelled':
+    case 'closed':
+      broadcast(auctionId, { type });
+      break;
+    default:
+      res.status(400).json({ detail: `Unknown event type: ${type}` });
+      return;
+  }
+  res.json({ status: 'sent', type });
+});
+
+setInterval(() => {
+  auctions.forEach((auction, auctionId) => {
+    if (auction.clients.size > 0) pushRandomBid(auctionId);
+  });
+}, BID_INTERVAL_MS);
+
+app.listen(PORT, () => {
+  console.log(`Mock auction event server running on http://localhost:${PORT}/api`);
+});
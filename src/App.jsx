@@ -3,13 +3,20 @@
  */
 import { useEffect, Suspense, lazy } from 'react';
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
-import { useDispatch } from 'react-redux';
-import { checkConnection } from './store/slices/walletSlice';
+import { useDispatch, useSelector } from 'react-redux';
+import { checkConnection, renewSession, sessionExpired } from './store/slices/walletSlice';
+import { resumeTransactions } from './store/slices/transactionsSlice';
+import { selectNetworkChainId } from './store/slices/networkSlice';
+import { setSessionHandlers } from './services/api';
+import config from './config';
 import Header from './components/Header';
+import WrongNetworkBanner from './components/WrongNetworkBanner';
+import TransactionToasts from './components/TransactionToasts';
 import Loading from './components/Loading';
 import Home from './pages/Home';
 import Countries from './pages/Countries';
 import FlagDetail from './pages/FlagDetail';
+import TokenDetail from './pages/TokenDetail';
 
 // Lazy load other pages
 const CountryDetail = lazy(() => import('./pages/CountryDetail'));
@@ -23,16 +30,32 @@ const Admin = lazy(() => import('./pages/Admin'));
 
 function App() {
   const dispatch = useDispatch();
+  const chainId = useSelector(selectNetworkChainId);
 
   useEffect(() => {
-    dispatch(checkConnection());
+    // Resume after the session is restored: confirmed transactions are registered with the backend
+    dispatch(checkConnection()).finally(() => dispatch(resumeTransactions()));
+  }, [dispatch]);
+
+  // SIWE: wallet-scoped API calls re-sign through the wallet slice when the
+  // session is missing or expired. Account switches are handled by the wallet event middleware.
+  useEffect(() => {
+    setSessionHandlers({
+      renew: () =>
+        dispatch(renewSession()).unwrap().catch((message) => {
+          throw new Error(message);
+        }),
+      expire: () => dispatch(sessionExpired()),
+    });
   }, [dispatch]);
 
   return (
     <Router>
       <div className="min-h-screen bg-dark-darker flex flex-col">
         <Header />
-        <main className="flex-1">
+        <WrongNetworkBanner />
+        {/* Keyed by network so pages remount and load the new network's data */}
+        <main key={chainId} className="flex-1">
           <Suspense fallback={<Loading />}>
             <Routes>
               <Route path="/" element={<Home />} />
@@ -41,6 +64,7 @@ function App() {
               <Route path="/regions/:id" element={<RegionDetail />} />
               <Route path="/municipalities/:id" element={<MunicipalityDetail />} />
               <Route path="/flags/:id" element={<FlagDetail />} />
+              <Route path="/tokens/:tokenId" element={<TokenDetail />} />
               <Route path="/profile" element={<Profile />} />
               <Route path="/profile/:address" element={<Profile />} />
               <Route path="/auctions" element={<Auctions />} />
@@ -52,8 +76,9 @@ function App() {
         </main>
         <footer className="bg-dark border-t border-gray-800 py-6 text-center">
           <p className="text-gray-400 text-sm">Municipal Flag NFT Game - Demo Version</p>
-          <p className="text-gray-500 text-xs mt-1">Built on Polygon Amoy Testnet</p>
+          <p className="text-gray-500 text-xs mt-1">Built on {config.chainName}</p>
         </footer>
+        <TransactionToasts />
       </div>
     </Router>
   );
@@ -0,0 +1,133 @@
+/**
+ * Address - Wallet address shown by name when one is known
+ *
+ * Uses the backend username, reverse ENS or the local address book (see
+ * services/names) and falls back to the shortened hex address. The full
+ * address is in the tooltip. The name links to the wallet's profile, with
+ * optional copy and block explorer buttons next to it.
+ */
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  getDisplayName,
+  lookupEnsName,
+  rememberUsername,
+  subscribeToAddressBook,
+  getAddressBook,
+} from '../services/names';
+import config from '../config';
+
+// How long the copy button shows its confirmation
+const COPIED_RESET_MS = 1500;
+
+/**
+ * Readable name of an address, updated when ENS resolves or the address book changes
+ * @returns {string|null}
+ */
+export const useAddressName = (address, username = null) => {
+  const [, setEnsName] = useState(null);
+  // Re-render on address book edits
+  useSyncExternalStore(subscribeToAddressBook, getAddressBook);
+
+  useEffect(() => {
+    // A backend username wins anyway, so skip the RPC lookup
+    if (username) {
+      rememberUsername(address, username);
+      return undefined;
+    }
+    if (!address) return undefined;
+
+    let cancelled = false;
+    lookupEnsName(address).then((name) => {
+      if (!cancelled) setEnsName(name);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [address, username]);
+
+  return getDisplayName(address, username);
+};
+
+/**
+ * @param {string} address - Wallet address
+ * @param {string} [username] - Backend username, when the user object is at hand
+ * @param {number} [chars=4] - Hex characters kept on each side when no name is known
+ * @param {boolean} [link=true] - Open the wallet's profile on click
+ * @param {boolean} [copy=true] - Show a copy button
+ * @param {boolean} [explorer=false] - Show a block explorer link
+ */
+const Address = ({ address, username, chars = 4, link = true, copy = true, explorer = false, className = '' }) => {
+  const navigate = useNavigate();
+  const name = useAddressName(address, username);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const timer = setTimeout(() => setCopied(false), COPIED_RESET_MS);
+    return () => clearTimeout(timer);
+  }, [copied]);
+
+  if (!address) return null;
+
+  const text = name || config.truncateAddress(address, chars);
+  const textClass = name ? '' : 'font-mono';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(address);
+      setCopied(true);
+    } catch {
+      // Clipboard blocked (insecure context or denied permission)
+    }
+  };
+
+  return (
+    <span className={`inline-flex items-center gap-1 ${className}`} title={address}>
+      {link ? (
+        <button
+          type="button"
+          onClick={() => navigate(`/profile/${address}`)}
+          className={`${textClass} hover:text-primary transition-colors bg-transparent border-none p-0 cursor-pointer text-inherit`}
+        >
+          {text}
+        </button>
+      ) : (
+        <span className={textClass}>{text}</span>
+      )}
+      {copy && (
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="text-gray-500 hover:text-primary bg-transparent border-none p-0 cursor-pointer"
+          title={copied ? 'Copied' : 'Copy address'}
+          aria-label="Copy address"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            {copied ? (
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+            ) : (
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z" />
+            )}
+          </svg>
+        </button>
+      )}
+      {explorer && config.blockExplorer && (
+        <a
+          href={config.getAddressUrl(address)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-gray-500 hover:text-primary"
+          title="View on block explorer"
+          aria-label="View on block explorer"
+        >
+          <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14" />
+          </svg>
+        </a>
+      )}
+    </span>
+  );
+};
+
+export default Address;
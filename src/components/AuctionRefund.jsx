@@ -0,0 +1,79 @@
+/**
+ * Auction Refund - Outbid bids held by the auction house, with a withdraw button
+ *
+ * Outbid escrow is not sent back automatically: the bidder withdraws it.
+ * Renders nothing when the auction house is not configured or nothing is owed.
+ */
+import { useCallback, useEffect, useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { trackTransaction } from '../store/slices/transactionsSlice';
+import {
+  isAuctionHouseEnabled,
+  getPendingAuctionRefund,
+  sendWithdrawAuctionRefund,
+  getErrorMessage,
+} from '../services/web3';
+import config from '../config';
+
+const AuctionRefund = ({ address }) => {
+  const dispatch = useDispatch();
+  const [refund, setRefund] = useState(null);
+  const [withdrawing, setWithdrawing] = useState(false);
+
+  const loadRefund = useCallback(async () => {
+    try {
+      setRefund(await getPendingAuctionRefund(address));
+    } catch {
+      // Unreadable (RPC down): show nothing rather than a wrong amount
+      setRefund(null);
+    }
+  }, [address]);
+
+  useEffect(() => {
+    if (!address || !isAuctionHouseEnabled()) return;
+    loadRefund();
+  }, [address, loadRefund]);
+
+  if (!refund || parseFloat(refund) <= 0) return null;
+
+  const symbol = config.network.nativeCurrency.symbol;
+
+  const handleWithdraw = async () => {
+    setWithdrawing(true);
+    try {
+      const { transactionHash } = await sendWithdrawAuctionRefund();
+      await dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: 'withdrawAuctionRefund',
+        description: `Withdraw ${config.formatPrice(refund)} ${symbol} auction refund`,
+      })).unwrap();
+      loadRefund();
+    } catch (err) {
+      // Cancelled in the wallet: nothing to report
+      const message = getErrorMessage(err);
+      if (message) alert(message);
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  return (
+    <div
+      data-animate="fade-up"
+      data-duration="normal"
+      className="card p-6 mb-6 flex flex-wrap items-center justify-between gap-4"
+    >
+      <div>
+        <h3 className="text-white font-semibold mb-1">Auction Refund</h3>
+        <p className="text-gray-400 text-sm">
+          {config.formatPrice(refund)} {symbol} from outbid bids is waiting to be withdrawn
+        </p>
+      </div>
+      <button onClick={handleWithdraw} className="btn btn-primary" disabled={withdrawing}>
+        {withdrawing ? 'Withdrawing...' : 'Withdraw'}
+      </button>
+    </div>
+  );
+};
+
+export default AuctionRefund;
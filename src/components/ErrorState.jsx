@@ -0,0 +1,74 @@
+/**
+ * Error State - Page body for a failed API request
+ *
+ * Picks the message from the ApiError code (see services/api):
+ * - not_found (or no error): the page's own "not found" text
+ * - unauthorized / forbidden: asks to connect a wallet
+ * - network / timeout: offline notice with a retry button
+ * - anything else: the error message with a retry button
+ */
+import { useDispatch } from 'react-redux';
+import { openWalletPicker } from '../store/slices/walletSlice';
+
+/**
+ * @param {Object} error - ApiError, or its plain form from a query
+ * @param {string} [notFound='Not found'] - Shown for 404s
+ * @param {Function} [onRetry] - Called by the retry button, hidden without it
+ */
+const ErrorState = ({ error, notFound = 'Not found', onRetry }) => {
+  const dispatch = useDispatch();
+
+  let title;
+  let detail = null;
+  let action = null;
+
+  switch (error?.code) {
+    // No error: the request succeeded without a record
+    case undefined:
+    case 'not_found':
+      title = notFound;
+      break;
+    case 'unauthorized':
+    case 'forbidden':
+      title = 'Sign in required';
+      detail = 'Connect your wallet and sign in to see this.';
+      action = (
+        <button onClick={() => dispatch(openWalletPicker())} className="btn btn-primary btn-sm">
+          Connect Wallet
+        </button>
+      );
+      break;
+    case 'network':
+    case 'timeout':
+      title = "You're offline";
+      detail = error.message;
+      break;
+    default:
+      title = 'Something went wrong';
+      detail = error?.message;
+  }
+
+  if (!action && onRetry && error && error.code !== 'not_found') {
+    action = (
+      <button onClick={onRetry} className="btn btn-secondary btn-sm">
+        Try Again
+      </button>
+    );
+  }
+
+  return (
+    <div className="page-container">
+      <div
+        data-animate="zoom-in"
+        data-duration="fast"
+        className="text-center py-16"
+      >
+        <p className="text-red-400">{title}</p>
+        {detail && <p className="text-gray-400 text-sm mt-2">{detail}</p>}
+        {action && <div className="mt-4">{action}</div>}
+      </div>
+    </div>
+  );
+};
+
+export default ErrorState;
@@ -16,8 +16,10 @@ import { useNavigate } from 'react-router-dom';
 import { useSelector } from 'react-redux';
 import { selectAddress } from '../store/slices/walletSlice';
 import config from '../config';
+import IpfsImage from './IpfsImage';
 
 const FlagCard = ({ flag, showMunicipality = false, index = 0 }) => {
+  const symbol = config.network.nativeCurrency.symbol;
   const navigate = useNavigate();
   const userAddress = useSelector(selectAddress);
 
@@ -94,13 +96,8 @@ const FlagCard = ({ flag, showMunicipality = false, index = 0 }) => {
     );
   };
 
-  const getImageUrl = () => {
-    if (flag.image_ipfs_hash) {
-      return config.getIpfsUrl(flag.image_ipfs_hash);
-    }
-    // Use placehold.co as fallback (more reliable than via.placeholder.com)
-    return `https://placehold.co/300x300/1a1a2e/e94560?text=${encodeURIComponent(flag.location_type)}`;
-  };
+  // Use placehold.co as fallback (more reliable than via.placeholder.com)
+  const placeholderUrl = `https://placehold.co/300x300/1a1a2e/e94560?text=${encodeURIComponent(flag.location_type)}`;
 
   // MATCHING GAME: Mystery card component
   const MysteryCard = () => (
@@ -148,13 +145,11 @@ const FlagCard = ({ flag, showMunicipality = false, index = 0 }) => {
   // MATCHING GAME: Revealed card component
   const RevealedCard = () => (
     <div className="relative aspect-square overflow-hidden">
-      <img
-        src={getImageUrl()}
+      <IpfsImage
+        src={flag.image_ipfs_hash}
+        placeholder={placeholderUrl}
         alt={flag.name}
         className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-105"
-        onError={(e) => {
-          e.target.src = `https://placehold.co/300x300/1a1a2e/e94560?text=${encodeURIComponent(flag.location_type)}`;
-        }}
       />
       <div className="absolute top-3 left-3 flex flex-wrap gap-2">
         {getCategoryBadge()}
@@ -199,7 +194,7 @@ const FlagCard = ({ flag, showMunicipality = false, index = 0 }) => {
           {/* MULTI-NFT: Show total price and per-NFT breakdown if grouped */}
           <div className="flex flex-col">
             <span className="text-primary font-medium">
-              {config.formatPrice(totalPrice)} MATIC
+              {config.formatPrice(totalPrice)} {symbol}
             </span>
             {nftsRequired > 1 && (
               <span className="text-gray-500 text-xs">
@@ -0,0 +1,172 @@
+/**
+ * Flag Provenance - On-chain history of a flag
+ *
+ * Builds a chronological timeline from contract events (registration, claims,
+ * purchases, pair completion, metadata updates and later transfers of the
+ * flag's tokens). Older events are loaded page by page, walking back through
+ * block ranges.
+ */
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { getFirstTokenIds, getSecondTokenIds, getFlagHistoryPage, getErrorMessage } from '../services/web3';
+import config from '../config';
+import Address from './Address';
+
+const formatAmount = (amount) => `${config.formatPrice(amount)} ${config.network.nativeCurrency.symbol}`;
+
+const Party = ({ value }) => <Address address={value} copy={false} explorer className="text-gray-300" />;
+
+const describeEntry = (entry) => {
+  switch (entry.type) {
+    case 'FlagRegistered':
+      return (
+        <>
+          Registered on-chain at {formatAmount(entry.price)}
+          {entry.nftsRequired > 1 && ` (${entry.nftsRequired} NFTs required)`}
+        </>
+      );
+    case 'FirstNFTClaimed':
+      return <>First NFT #{entry.tokenId} claimed by <Party value={entry.to} /></>;
+    case 'SecondNFTPurchased':
+      return (
+        <>
+          Second NFT #{entry.tokenId} bought by <Party value={entry.to} /> for{' '}
+          {formatAmount(entry.price)}
+        </>
+      );
+    case 'PairCompleted':
+      return <>Pair completed by <Party value={entry.to} /></>;
+    case 'MetadataHashSet':
+      return <>Metadata updated</>;
+    case 'Transfer':
+      return <>Token #{entry.tokenId} sent from <Party value={entry.from} /> to <Party value={entry.to} /></>;
+    default:
+      return entry.type;
+  }
+};
+
+const FlagProvenance = ({ flagId }) => {
+  const [entries, setEntries] = useState([]);
+  const [tokenIds, setTokenIds] = useState(null);
+  const [cursor, setCursor] = useState(null); // Newest block of the next (older) page
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Flag on screen, so a page loaded for a previous flag is dropped
+  const currentFlagId = useRef(flagId);
+  currentFlagId.current = flagId;
+
+  const loadPage = useCallback(async (ids, toBlock) => {
+    setLoading(true);
+    setError(null);
+    let page;
+    try {
+      page = await getFlagHistoryPage(flagId, { toBlock, tokenIds: ids });
+    } catch (err) {
+      if (currentFlagId.current !== flagId) return;
+      setError(getErrorMessage(err, 'Could not load history'));
+      setLoading(false);
+      return;
+    }
+    if (currentFlagId.current !== flagId) return;
+    // Older pages go in front to keep the timeline chronological
+    setEntries((current) => [...page.entries, ...current]);
+    setCursor(page.fromBlock - 1);
+    setHasMore(page.hasMore);
+    setLoading(false);
+  }, [flagId]);
+
+  useEffect(() => {
+    if (!config.contractAddress) return;
+
+    let cancelled = false;
+    setEntries([]);
+    setCursor(null);
+    setHasMore(true);
+
+    const load = async () => {
+      let ids = [];
+      try {
+        const [first, second] = await Promise.all([getFirstTokenIds(flagId), getSecondTokenIds(flagId)]);
+        ids = [...first, ...second];
+      } catch {
+        // Unregistered flag: no tokens yet, flag events only
+      }
+      if (cancelled) return;
+      setTokenIds(ids);
+      loadPage(ids, null);
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [flagId, loadPage]);
+
+  if (!config.contractAddress) return null;
+
+  return (
+    <section className="mt-8">
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <h3 className="text-white font-semibold mb-4">On-Chain History</h3>
+
+        {hasMore && entries.length > 0 && (
+          <button
+            onClick={() => loadPage(tokenIds, cursor)}
+            disabled={loading}
+            className="btn btn-secondary btn-sm w-full mb-4"
+          >
+            {loading ? 'Loading...' : 'Load Earlier Events'}
+          </button>
+        )}
+
+        {entries.length > 0 ? (
+          <ol className="relative border-l border-gray-700 ml-2 space-y-4">
+            {entries.map((entry) => (
+              <li key={`${entry.transactionHash}-${entry.logIndex}`} className="ml-4">
+                <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-primary" />
+                <p className="text-sm text-gray-400">{describeEntry(entry)}</p>
+                <p className="text-xs text-gray-500 mt-1">
+                  {entry.timestamp ? new Date(entry.timestamp * 1000).toLocaleString() : `Block ${entry.blockNumber}`}
+                  {config.blockExplorer && (
+                    <>
+                      {' · '}
+                      <a
+                        href={config.getTxUrl(entry.transactionHash)}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary hover:underline"
+                      >
+                        View transaction
+                      </a>
+                    </>
+                  )}
+                </p>
+              </li>
+            ))}
+          </ol>
+        ) : (
+          !loading && !error && (
+            <p className="text-gray-500 text-sm">
+              {hasMore ? 'No recent on-chain activity' : 'No on-chain activity yet'}
+            </p>
+          )
+        )}
+
+        {entries.length === 0 && hasMore && !loading && cursor !== null && (
+          <button
+            onClick={() => loadPage(tokenIds, cursor)}
+            className="btn btn-secondary btn-sm w-full mt-4"
+          >
+            Search Earlier Blocks
+          </button>
+        )}
+
+        {loading && entries.length === 0 && <p className="text-gray-500 text-sm">Loading history...</p>}
+        {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+      </div>
+    </section>
+  );
+};
+
+export default FlagProvenance;
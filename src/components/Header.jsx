@@ -2,21 +2,32 @@
  * Header Component with navigation and wallet connection
  * Refactored to use useNavigate instead of Link
  */
+import { useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
-import { connectWallet, disconnect, selectWallet } from '../store/slices/walletSlice';
+import { signOut, openWalletPicker, setWalletAvailable, selectWallet } from '../store/slices/walletSlice';
+import { subscribeToWallets } from '../services/wallets';
+import WalletPickerModal from './WalletPickerModal';
+import NetworkSwitcher from './NetworkSwitcher';
+import Address from './Address';
 import config from '../config';
 
 const Header = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const { address, balance, isConnected, isConnecting, isMetaMaskInstalled } = useSelector(selectWallet);
+  const { address, balance, user, isConnected, isConnecting, isWalletAvailable, isWalletPickerOpen } = useSelector(selectWallet);
+
+  // Wallet extensions can announce themselves after the first render
+  useEffect(
+    () => subscribeToWallets((wallets) => dispatch(setWalletAvailable(wallets.length > 0))),
+    [dispatch]
+  );
 
   const isActive = (path) => location.pathname === path;
 
-  const handleConnect = () => dispatch(connectWallet());
-  const handleDisconnect = () => dispatch(disconnect());
+  const handleConnect = () => dispatch(openWalletPicker());
+  const handleDisconnect = () => dispatch(signOut());
 
   const handleNavigation = (path) => {
     navigate(path);
@@ -77,7 +88,8 @@ const Header = () => {
 
           {/* Wallet Section */}
           <div className="flex items-center gap-3">
-            {!isMetaMaskInstalled ? (
+            <NetworkSwitcher />
+            {!isWalletAvailable ? (
               <button
                 onClick={() => handleExternalLink('https://metamask.io/download/')}
                 className="btn btn-primary text-sm py-2"
@@ -88,11 +100,9 @@ const Header = () => {
               <div className="flex items-center gap-3">
                 <div className="hidden sm:flex flex-col items-end">
                   <span className="text-primary font-medium text-sm">
-                    {parseFloat(balance).toFixed(4)} MATIC
-                  </span>
-                  <span className="text-gray-400 text-xs">
-                    {config.truncateAddress(address)}
+                    {parseFloat(balance).toFixed(4)} {config.network.nativeCurrency.symbol}
                   </span>
+                  <Address address={address} username={user?.username} copy={false} className="text-gray-400 text-xs" />
                 </div>
                 <button
                   onClick={handleDisconnect}
@@ -121,6 +131,8 @@ const Header = () => {
         <MobileNavButton path="/rankings" active={isActive('/rankings')} onClick={handleNavigation}>Rankings</MobileNavButton>
         <MobileNavButton path="/profile" active={isActive('/profile')} onClick={handleNavigation}>Profile</MobileNavButton>
       </nav>
+
+      {isWalletPickerOpen && <WalletPickerModal />}
     </header>
   );
 };
@@ -0,0 +1,51 @@
+/**
+ * InfiniteScroll - Loads the next page of a list when the end of it scrolls into view
+ *
+ * Place it after the list. It watches itself with an IntersectionObserver and
+ * also renders a "Load more" button for browsers or layouts where the observer
+ * does not fire.
+ */
+import { useEffect, useRef } from 'react';
+
+// Start loading this far before the end of the list is visible
+const ROOT_MARGIN = '400px';
+
+/**
+ * @param {Function} onLoadMore - Loads the next page
+ * @param {boolean} hasMore - Whether there is a next page
+ * @param {boolean} loading - Whether a page is loading
+ */
+const InfiniteScroll = ({ onLoadMore, hasMore, loading }) => {
+  const sentinel = useRef(null);
+  // Latest callback, so a new function each render does not re-create the observer
+  const loadMore = useRef(onLoadMore);
+  loadMore.current = onLoadMore;
+
+  useEffect(() => {
+    if (!hasMore || loading || !sentinel.current || typeof IntersectionObserver === 'undefined') return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) loadMore.current();
+      },
+      { rootMargin: ROOT_MARGIN }
+    );
+    observer.observe(sentinel.current);
+    return () => observer.disconnect();
+  }, [hasMore, loading]);
+
+  if (!hasMore && !loading) return null;
+
+  return (
+    <div ref={sentinel} className="flex justify-center py-8">
+      {loading ? (
+        <div className="w-8 h-8 border-4 border-primary/30 border-t-primary rounded-full animate-spin" />
+      ) : (
+        <button onClick={onLoadMore} className="btn btn-secondary btn-sm">
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default InfiniteScroll;
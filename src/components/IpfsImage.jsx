@@ -0,0 +1,61 @@
+/**
+ * IPFS Image - Image loaded through the IPFS gateway list
+ *
+ * IPFS sources (bare CID, ipfs:// URI or gateway URL) are fetched with gateway
+ * failover and optional CID verification; the placeholder is only shown once
+ * every gateway has failed. Other URLs are rendered as a plain image.
+ */
+import { useEffect, useState } from 'react';
+import { getIpfsPath, loadIpfsImage } from '../services/ipfs';
+import config from '../config';
+
+/**
+ * @param {string} src - IPFS reference or regular URL
+ * @param {string} [placeholder] - Shown when there is no source or loading fails
+ * @param {boolean} [verify] - Check the image bytes against the CID
+ */
+const IpfsImage = ({ src, placeholder, verify = config.ipfsVerifyContent, alt = '', className = '', ...props }) => {
+  const isIpfs = !!getIpfsPath(src);
+  const [resolved, setResolved] = useState({ src: null, url: null, failed: false });
+
+  useEffect(() => {
+    if (!isIpfs) return undefined;
+
+    let cancelled = false;
+    loadIpfsImage(src, { verify })
+      .then((url) => {
+        if (!cancelled) setResolved({ src, url, failed: false });
+      })
+      .catch(() => {
+        if (!cancelled) setResolved({ src, url: null, failed: true });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [src, isIpfs, verify]);
+
+  const current = resolved.src === src ? resolved : { url: null, failed: false };
+  const imageSrc = isIpfs ? current.url || (current.failed ? placeholder : null) : src || placeholder;
+
+  if (!imageSrc) {
+    // Still racing gateways (or nothing to show): keep the layout with a pulsing block
+    return <div className={`${className} bg-dark-darker ${isIpfs && !current.failed ? 'animate-pulse' : ''}`} />;
+  }
+
+  return (
+    <img
+      src={imageSrc}
+      alt={alt}
+      className={className}
+      onError={(e) => {
+        if (placeholder && e.target.src !== placeholder) {
+          e.target.src = placeholder;
+        }
+      }}
+      {...props}
+    />
+  );
+};
+
+export default IpfsImage;
@@ -0,0 +1,35 @@
+/**
+ * Network Switcher - Select the network the app reads from and transacts on
+ *
+ * Only rendered when more than one network is configured. Data already loaded
+ * for a network is kept and shown again when switching back.
+ */
+import { useSelector, useDispatch } from 'react-redux';
+import { switchAppNetwork, selectNetworkChainId, selectIsSwitchingNetwork } from '../store/slices/networkSlice';
+import config from '../config';
+
+const NetworkSwitcher = () => {
+  const dispatch = useDispatch();
+  const chainId = useSelector(selectNetworkChainId);
+  const isSwitching = useSelector(selectIsSwitchingNetwork);
+
+  if (config.networks.length < 2) return null;
+
+  return (
+    <select
+      value={chainId}
+      onChange={(e) => dispatch(switchAppNetwork(parseInt(e.target.value)))}
+      disabled={isSwitching}
+      className="input text-sm py-2"
+      aria-label="Network"
+    >
+      {config.networks.map((network) => (
+        <option key={network.chainId} value={network.chainId}>
+          {network.shortName}
+        </option>
+      ))}
+    </select>
+  );
+};
+
+export default NetworkSwitcher;
@@ -0,0 +1,132 @@
+/**
+ * Ownership Reconciliation - Compare on-chain tokens with backend ownerships
+ *
+ * Lists tokens owned on-chain but missing from the database, database records
+ * whose token moved to another wallet, and stale records with no token, and
+ * lets the owner resync the backend from the chain.
+ */
+import { useNavigate } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+  reconcileOwnership,
+  resyncOwnership,
+  selectReconciliation,
+  selectReconciling,
+  selectResyncing,
+} from '../store/slices/userSlice';
+import config from '../config';
+import Address from './Address';
+
+const STATUS_LABELS = {
+  missing_in_db: { label: 'Missing in DB', className: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/50' },
+  transferred_away: { label: 'Transferred Away', className: 'bg-blue-500/20 text-blue-400 border-blue-500/50' },
+  stale_in_db: { label: 'Stale in DB', className: 'bg-red-500/20 text-red-400 border-red-500/50' },
+};
+
+const OwnershipReconciliation = ({ address, canResync }) => {
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const reconciliation = useSelector(selectReconciliation);
+  const reconciling = useSelector(selectReconciling);
+  const resyncing = useSelector(selectResyncing);
+
+  // Ignore results computed for a different profile
+  const result = reconciliation?.address?.toLowerCase() === address?.toLowerCase() ? reconciliation : null;
+
+  const handleCheck = async () => {
+    try {
+      await dispatch(reconcileOwnership(address)).unwrap();
+    } catch (err) {
+      alert(err || 'Could not check ownership on-chain');
+    }
+  };
+
+  const handleResync = async () => {
+    if (!window.confirm('Replace the recorded ownerships for this wallet with what the blockchain reports?')) {
+      return;
+    }
+    try {
+      await dispatch(resyncOwnership(address)).unwrap();
+    } catch (err) {
+      alert(err || 'Resync failed');
+    }
+  };
+
+  if (!config.contractAddress) return null;
+
+  return (
+    <section className="mb-8">
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-white">On-Chain Verification</h2>
+            <p className="text-gray-400 text-sm">
+              {result
+                ? `Checked ${new Date(result.checkedAt).toLocaleString()}: ${result.chainCount} tokens on-chain, ${result.matched} records verified`
+                : 'Compare the flags shown here with the tokens this wallet holds on-chain'}
+            </p>
+          </div>
+          <button
+            onClick={handleCheck}
+            disabled={reconciling || resyncing}
+            className="btn btn-secondary btn-sm whitespace-nowrap"
+          >
+            {reconciling ? 'Checking...' : result ? 'Check Again' : 'Verify On-Chain'}
+          </button>
+        </div>
+
+        {result && result.mismatches.length === 0 && (
+          <p className="text-green-400 text-sm">All ownerships match the blockchain.</p>
+        )}
+
+        {result && result.mismatches.length > 0 && (
+          <>
+            <ul className="divide-y divide-gray-800 mb-4">
+              {result.mismatches.map((mismatch) => {
+                const flagId = mismatch.token?.flagId ?? mismatch.ownership?.flag_id;
+                const key = mismatch.token ? `token-${mismatch.token.tokenId}` : `ownership-${mismatch.ownership.id}`;
+                const status = STATUS_LABELS[mismatch.status];
+                return (
+                  <li key={key} className="py-3 flex items-center justify-between gap-4 text-sm">
+                    <div>
+                      <button
+                        onClick={() => navigate(`/flags/${flagId}`)}
+                        className="text-white hover:text-primary bg-transparent border-none cursor-pointer"
+                      >
+                        Flag #{flagId}
+                      </button>
+                      <span className="text-gray-500 ml-2">
+                        {mismatch.token
+                          ? `Token #${mismatch.token.tokenId} (${mismatch.token.ownershipType})`
+                          : `${mismatch.ownership.ownership_type}${mismatch.ownership.token_id != null ? `, token #${mismatch.ownership.token_id}` : ''}`}
+                      </span>
+                      {mismatch.currentOwner && (
+                        <span className="text-gray-500 ml-2">
+                          now owned by <Address address={mismatch.currentOwner} copy={false} />
+                        </span>
+                      )}
+                    </div>
+                    <span className={`px-2 py-0.5 text-xs rounded border whitespace-nowrap ${status.className}`}>
+                      {status.label}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+            {canResync && (
+              <button
+                onClick={handleResync}
+                disabled={resyncing || reconciling}
+                className="btn btn-primary w-full"
+              >
+                {resyncing ? 'Resyncing...' : 'Resync From Chain'}
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </section>
+  );
+};
+
+export default OwnershipReconciliation;
@@ -0,0 +1,98 @@
+/**
+ * Transaction Preview Modal - Cost breakdown shown before a transaction is sent
+ *
+ * Lists the price lines passed by the page, then the simulated gas cost, total
+ * and the balance left afterwards. Submission is blocked, with the reason shown,
+ * when the simulation reverts or the wallet can't cover the total.
+ */
+import config from '../config';
+
+const formatAmount = (amount) => `${config.formatPrice(amount)} ${config.network.nativeCurrency.symbol}`;
+
+/**
+ * @param {Array<{label: string, value?: string, amount?: number|string, className?: string}>} lines -
+ *   Price breakdown; `amount` is formatted in the native currency, `value` is shown as is
+ */
+const TransactionPreviewModal = ({ title, lines = [], preview, confirmLabel = 'Confirm', onConfirm, onClose }) => {
+  const loading = !preview;
+  const blockReason = preview?.error
+    || (preview?.insufficientFunds
+      ? `Insufficient balance: you have ${formatAmount(preview.balance)} but need ${formatAmount(preview.total)}.`
+      : null);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div
+        data-animate="zoom-in"
+        data-duration="fast"
+        className="card max-w-md w-full p-6"
+      >
+        <h3 className="text-xl font-bold text-white mb-4">{title}</h3>
+
+        <dl className="space-y-2 text-sm mb-4">
+          {lines.map((line) => (
+            <div key={line.label} className="flex justify-between">
+              <dt className="text-gray-400">{line.label}</dt>
+              <dd className={line.className || 'text-white'}>
+                {line.amount !== undefined ? formatAmount(line.amount) : line.value}
+              </dd>
+            </div>
+          ))}
+          <div className="flex justify-between">
+            <dt className="text-gray-400">Estimated gas</dt>
+            <dd className="text-white">
+              {loading ? 'Estimating...' : preview.gasCost != null ? (
+                <>
+                  {formatAmount(preview.gasCost)}
+                  <span className="text-gray-500 ml-1">({Number(preview.gasLimit).toLocaleString()} gas)</span>
+                </>
+              ) : '-'}
+            </dd>
+          </div>
+          <div className="flex justify-between border-t border-gray-700 pt-2">
+            <dt className="text-white font-medium">Total</dt>
+            <dd className="text-primary font-bold">
+              {loading ? '...' : preview.total != null ? formatAmount(preview.total) : '-'}
+            </dd>
+          </div>
+          <div className="flex justify-between">
+            <dt className="text-gray-400">Balance</dt>
+            <dd className="text-white">{loading ? '...' : preview.balance != null ? formatAmount(preview.balance) : '-'}</dd>
+          </div>
+          <div className="flex justify-between">
+            <dt className="text-gray-400">Remaining after</dt>
+            <dd className={preview?.insufficientFunds ? 'text-red-400' : 'text-white'}>
+              {loading || preview.remaining == null ? '-' : formatAmount(preview.remaining)}
+            </dd>
+          </div>
+        </dl>
+
+        {blockReason && (
+          <div className="p-3 mb-4 bg-red-500/10 border border-red-500/30 rounded-[3px] text-red-400 text-sm">
+            {blockReason}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className="btn btn-secondary flex-1"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            className="btn btn-primary flex-1"
+            disabled={loading || !!blockReason}
+          >
+            {loading ? 'Checking...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransactionPreviewModal;
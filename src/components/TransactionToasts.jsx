@@ -0,0 +1,109 @@
+/**
+ * Transaction Toasts - Stack of pending, confirmed and failed transactions
+ *
+ * Pending toasts stay until the transaction is mined; confirmed ones fade out
+ * after a few seconds unless the backend registration still needs a retry.
+ * Transactions whose outcome could not be checked (RPC errors) can be watched again.
+ */
+import { useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import {
+  selectTransactions,
+  dismissTransaction,
+  watchTransaction,
+} from '../store/slices/transactionsSlice';
+import config from '../config';
+
+const AUTO_DISMISS_MS = 8000;
+
+const STATUS_STYLES = {
+  pending: { label: 'Pending', className: 'border-primary/50' },
+  confirmed: { label: 'Confirmed', className: 'border-green-500/50' },
+  failed: { label: 'Failed', className: 'border-red-500/50' },
+  unconfirmed: { label: 'Not confirmed', className: 'border-yellow-500/50' },
+};
+
+const TransactionToasts = () => {
+  const transactions = useSelector(selectTransactions);
+
+  if (transactions.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 flex flex-col gap-3 w-80 max-w-[calc(100vw-2rem)]">
+      {transactions.map((transaction) => (
+        <TransactionToast key={transaction.hash} transaction={transaction} />
+      ))}
+    </div>
+  );
+};
+
+const TransactionToast = ({ transaction }) => {
+  const dispatch = useDispatch();
+  const { hash, status, description, syncError, error } = transaction;
+  const style = STATUS_STYLES[status];
+  const needsRetry = (status === 'confirmed' && syncError) || status === 'unconfirmed';
+
+  useEffect(() => {
+    if (status !== 'confirmed' || needsRetry) return undefined;
+    const timer = setTimeout(() => dispatch(dismissTransaction(hash)), AUTO_DISMISS_MS);
+    return () => clearTimeout(timer);
+  }, [dispatch, hash, status, needsRetry]);
+
+  return (
+    <div
+      data-animate="fade-up"
+      data-duration="fast"
+      className={`card p-4 border ${style.className}`}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <p className="text-white text-sm font-medium">{description}</p>
+          <p className="text-gray-400 text-xs mt-1 flex items-center gap-2">
+            {status === 'pending' && (
+              <span className="inline-block w-3 h-3 border-2 border-primary border-t-transparent rounded-full animate-spin" />
+            )}
+            {style.label}
+            {config.blockExplorer ? (
+              <a
+                href={config.getTxUrl(hash)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary hover:underline font-mono"
+              >
+                {config.truncateAddress(hash)}
+              </a>
+            ) : (
+              <span className="font-mono">{config.truncateAddress(hash)}</span>
+            )}
+          </p>
+          {status === 'failed' && error && <p className="text-red-400 text-xs mt-1">{error}</p>}
+          {status === 'unconfirmed' && error && <p className="text-yellow-400 text-xs mt-1">{error}</p>}
+          {status === 'confirmed' && syncError && (
+            <p className="text-yellow-400 text-xs mt-1">
+              Not recorded yet: {syncError}
+            </p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => dispatch(dismissTransaction(hash))}
+          className="text-gray-500 hover:text-white bg-transparent border-none cursor-pointer"
+          aria-label="Dismiss"
+        >
+          ×
+        </button>
+      </div>
+      {needsRetry && (
+        <button
+          type="button"
+          onClick={() => dispatch(watchTransaction(hash))}
+          className="btn btn-secondary btn-sm w-full mt-3"
+        >
+          Retry
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TransactionToasts;
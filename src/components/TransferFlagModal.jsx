@@ -0,0 +1,155 @@
+/**
+ * Transfer Flag Modal - Send or gift an owned flag NFT to another wallet
+ *
+ * - Accepts a hex address, ENS name or a name from the address book
+ * - Resolves and reviews the recipient before sending
+ * - Warns when the recipient is a contract, which may not be able to move the token again
+ */
+import { useState } from 'react';
+import { useDispatch } from 'react-redux';
+import { transferFlag } from '../store/slices/userSlice';
+import { isContractAddress } from '../services/web3';
+import { resolveAddressInput, getDisplayName } from '../services/names';
+import config from '../config';
+
+const TransferFlagModal = ({ ownership, fromAddress, onClose }) => {
+  const dispatch = useDispatch();
+  const [recipientInput, setRecipientInput] = useState('');
+  const [recipient, setRecipient] = useState(null); // { address, isContract }
+  const [contractAcknowledged, setContractAcknowledged] = useState(false);
+  const [resolving, setResolving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleRecipientChange = (e) => {
+    setRecipientInput(e.target.value);
+    setRecipient(null);
+    setContractAcknowledged(false);
+    setError(null);
+  };
+
+  const handleReview = async (e) => {
+    e.preventDefault();
+    setResolving(true);
+    setError(null);
+    try {
+      const address = await resolveAddressInput(recipientInput);
+      if (address.toLowerCase() === fromAddress?.toLowerCase()) {
+        throw new Error('You already own this flag');
+      }
+      setRecipient({ address, isContract: await isContractAddress(address) });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleSend = async () => {
+    // The ownership leaves the list optimistically, so close right away
+    onClose();
+    try {
+      const result = await dispatch(transferFlag({ ownership, from: fromAddress, to: recipient.address })).unwrap();
+      if (result.syncError) {
+        alert(`Flag transferred on-chain, but the profile could not be updated yet: ${result.syncError}`);
+      } else {
+        alert(`Flag #${ownership.flag_id} sent to ${config.truncateAddress(recipient.address)}`);
+      }
+    } catch (err) {
+      // A cancelled transfer rejects without a message
+      if (err) alert(err);
+    }
+  };
+
+  const canSend = recipient && (!recipient.isContract || contractAcknowledged);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div
+        data-animate="zoom-in"
+        data-duration="fast"
+        className="card max-w-md w-full p-6"
+      >
+        <h3 className="text-xl font-bold text-white mb-4">Transfer Flag</h3>
+        <p className="text-gray-400 mb-4">
+          Flag #{ownership.flag_id} <span className="badge badge-available ml-2">{ownership.ownership_type}</span>
+        </p>
+
+        <form onSubmit={handleReview} className="space-y-4">
+          <div>
+            <label className="block text-sm text-gray-400 mb-2">
+              Recipient (address, ENS name or saved name)
+            </label>
+            <input
+              type="text"
+              required
+              value={recipientInput}
+              onChange={handleRecipientChange}
+              className="w-full px-4 py-2 bg-dark-darker border border-gray-700 rounded-[3px] text-white font-mono focus:border-primary focus:outline-none"
+              placeholder="0x... or name.eth"
+            />
+          </div>
+
+          {recipient && (
+            <div className="p-4 bg-dark-darker rounded-[3px] text-sm">
+              <span className="text-gray-400">Sending to </span>
+              {getDisplayName(recipient.address) && (
+                <span className="text-white">{getDisplayName(recipient.address)} </span>
+              )}
+              <span className="text-white font-mono break-all">{recipient.address}</span>
+            </div>
+          )}
+
+          {recipient?.isContract && (
+            <div className="p-4 bg-yellow-500/10 border border-yellow-500/30 rounded-[3px] text-sm">
+              <p className="text-yellow-400 mb-2">
+                This address is a smart contract. If it can&apos;t handle ERC-721 tokens the
+                transfer will fail, and if it can&apos;t send them on the flag may be locked forever.
+              </p>
+              <label className="flex items-center gap-2 text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={contractAcknowledged}
+                  onChange={(e) => setContractAcknowledged(e.target.checked)}
+                  className="rounded bg-dark-lighter border-gray-600"
+                />
+                I understand, send to this contract
+              </label>
+            </div>
+          )}
+
+          {error && <p className="text-red-400 text-sm">{error}</p>}
+
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="btn btn-secondary flex-1"
+            >
+              Cancel
+            </button>
+            {recipient ? (
+              <button
+                type="button"
+                onClick={handleSend}
+                className="btn btn-primary flex-1"
+                disabled={!canSend}
+              >
+                Send Flag
+              </button>
+            ) : (
+              <button
+                type="submit"
+                className="btn btn-primary flex-1"
+                disabled={resolving}
+              >
+                {resolving ? 'Checking...' : 'Review'}
+              </button>
+            )}
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default TransferFlagModal;
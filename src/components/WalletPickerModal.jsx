@@ -0,0 +1,100 @@
+/**
+ * Wallet Picker Modal - Choose which wallet to connect
+ *
+ * Lists extensions discovered through EIP-6963 plus WalletConnect for mobile
+ * wallets. The last used wallet is marked so returning users find it quickly.
+ */
+import { useEffect, useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { connectWallet, closeWalletPicker, selectWallet } from '../store/slices/walletSlice';
+import { getAvailableWallets, subscribeToWallets, getLastWalletId } from '../services/wallets';
+
+const WalletPickerModal = () => {
+  const dispatch = useDispatch();
+  const { isConnecting, error } = useSelector(selectWallet);
+  const [wallets, setWallets] = useState(getAvailableWallets);
+  const [selectedId, setSelectedId] = useState(null);
+  const lastWalletId = getLastWalletId();
+
+  useEffect(() => subscribeToWallets(setWallets), []);
+
+  const handleSelect = (walletId) => {
+    setSelectedId(walletId);
+    dispatch(connectWallet({ walletId }));
+  };
+
+  const handleClose = () => {
+    if (!isConnecting) dispatch(closeWalletPicker());
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4"
+      onClick={handleClose}
+    >
+      <div
+        data-animate="zoom-in"
+        data-duration="fast"
+        className="card max-w-sm w-full p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-bold text-white mb-4">Connect a Wallet</h3>
+
+        {wallets.length === 0 ? (
+          <p className="text-gray-400 text-sm mb-4">
+            No wallet found. Install a browser wallet such as{' '}
+            <a
+              href="https://metamask.io/download/"
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-primary hover:underline"
+            >
+              MetaMask
+            </a>{' '}
+            and reload the page.
+          </p>
+        ) : (
+          <ul className="space-y-2 mb-4">
+            {wallets.map((wallet) => (
+              <li key={wallet.id}>
+                <button
+                  type="button"
+                  onClick={() => handleSelect(wallet.id)}
+                  disabled={isConnecting}
+                  className="w-full flex items-center gap-3 px-4 py-3 bg-dark-darker border border-gray-700 rounded-[3px] text-white hover:border-primary transition-colors disabled:opacity-50"
+                >
+                  {wallet.icon ? (
+                    <img src={wallet.icon} alt="" className="w-8 h-8 rounded" />
+                  ) : (
+                    <span className="w-8 h-8 rounded bg-primary/20 text-primary flex items-center justify-center font-bold">
+                      {wallet.name.charAt(0)}
+                    </span>
+                  )}
+                  <span className="flex-1 text-left font-medium">{wallet.name}</span>
+                  {isConnecting && selectedId === wallet.id ? (
+                    <span className="text-gray-400 text-xs">Connecting...</span>
+                  ) : wallet.id === lastWalletId && (
+                    <span className="text-gray-500 text-xs">Last used</span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="text-red-400 text-sm mb-4">{error}</p>}
+
+        <button
+          type="button"
+          onClick={handleClose}
+          disabled={isConnecting}
+          className="btn btn-secondary w-full"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WalletPickerModal;
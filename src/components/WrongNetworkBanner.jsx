@@ -0,0 +1,36 @@
+/**
+ * Wrong Network Banner - Shown while the wallet is on a different chain
+ *
+ * Stays visible until the wallet reports the configured network, since
+ * contract calls would otherwise go to the wrong chain.
+ */
+import { useSelector, useDispatch } from 'react-redux';
+import { switchNetwork, selectIsWrongNetwork, selectWallet } from '../store/slices/walletSlice';
+import config from '../config';
+
+const WrongNetworkBanner = () => {
+  const dispatch = useDispatch();
+  const isWrongNetwork = useSelector(selectIsWrongNetwork);
+  const { isSwitchingNetwork } = useSelector(selectWallet);
+
+  if (!isWrongNetwork) return null;
+
+  return (
+    <div className="bg-yellow-500/10 border-b border-yellow-500/30">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex items-center justify-between gap-4">
+        <p className="text-yellow-400 text-sm">
+          Your wallet is connected to the wrong network. Switch to {config.chainName} to claim, buy or bid.
+        </p>
+        <button
+          onClick={() => dispatch(switchNetwork())}
+          disabled={isSwitchingNetwork}
+          className="btn btn-primary btn-sm whitespace-nowrap"
+        >
+          {isSwitchingNetwork ? 'Switching...' : 'Switch Network'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WrongNetworkBanner;
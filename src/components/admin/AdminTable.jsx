@@ -1,16 +1,111 @@
 /**
  * AdminTable - Reusable table component for admin CRUD operations
+ *
+ * Server-side paging and sorting (optional):
+ * - Columns with `sortable: true` sort by their key; clicking again reverses it
+ * - `page`, `total` and `onPageChange` add numbered pages of ADMIN_PAGE_SIZE rows;
+ *   when the backend does not report a total (null), `hasMore` adds the next page
+ * - Tabs build the list query with `tablePageQuery` and keep page and sort in the URL
  */
 
-const AdminTable = ({ columns, data, emptyMessage = 'No items found.' }) => {
+// Rows per admin table page
+export const ADMIN_PAGE_SIZE = 25;
+
+// Page numbers shown on each side of the current one
+const PAGE_WINDOW = 2;
+
+/**
+ * Paging part of a services/api list query for a table page
+ * @param {Object} filters - { page, sort } from the URL
+ */
+export const tablePageQuery = ({ page, sort }) => ({
+  limit: ADMIN_PAGE_SIZE,
+  offset: (page - 1) * ADMIN_PAGE_SIZE,
+  sort: sort || null,
+});
+
+// Heading count suffix, " (120)", or nothing when the total is unknown
+export const totalLabel = (listPage) => (listPage?.total != null ? ` (${listPage.total})` : '');
+
+// Page numbers to show, with null for a gap: 1 … 4 5 [6] 7 8 … 20
+const pageNumbers = (page, pageCount) => {
+  const numbers = [];
+  for (let n = 1; n <= pageCount; n += 1) {
+    if (n === 1 || n === pageCount || Math.abs(n - page) <= PAGE_WINDOW) {
+      numbers.push(n);
+    } else if (numbers[numbers.length - 1] !== null) {
+      numbers.push(null);
+    }
+  }
+  return numbers;
+};
+
+const Pagination = ({ page, total, hasMore, rowCount, onPageChange }) => {
+  const pageCount = total != null ? Math.ceil(total / ADMIN_PAGE_SIZE) : page + (hasMore ? 1 : 0);
+  if (pageCount <= 1) return null;
+
+  const first = (page - 1) * ADMIN_PAGE_SIZE + 1;
+  const last = total != null ? Math.min(page * ADMIN_PAGE_SIZE, total) : first + rowCount - 1;
+
+  return (
+    <div className="flex flex-wrap justify-between items-center gap-4 px-4 py-3 border-t border-gray-800">
+      <span className="text-gray-500 text-sm">
+        {first}–{last}{total != null && ` of ${total}`}
+      </span>
+      <div className="flex gap-1">
+        <button
+          onClick={() => onPageChange(page - 1)}
+          disabled={page <= 1}
+          className="btn btn-secondary btn-sm"
+        >
+          Previous
+        </button>
+        {pageNumbers(page, pageCount).map((n, index) => (n === null ? (
+          <span key={`gap-${index}`} className="px-2 py-1 text-gray-500">…</span>
+        ) : (
+          <button
+            key={n}
+            onClick={() => onPageChange(n)}
+            className={`btn btn-sm ${n === page ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {n}
+          </button>
+        )))}
+        <button
+          onClick={() => onPageChange(page + 1)}
+          disabled={page >= pageCount}
+          className="btn btn-secondary btn-sm"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const AdminTable = ({
+  columns, data, emptyMessage = 'No items found.',
+  sort, onSortChange, page, total = null, hasMore = false, onPageChange, loading = false,
+}) => {
+  const handleSort = (key) => onSortChange(sort === key ? `-${key}` : key);
+
   return (
     <div className="card overflow-x-auto" data-animate="fade-up" data-duration="normal">
-      <table className="w-full">
+      <table className={`w-full ${loading ? 'opacity-50' : ''}`}>
         <thead className="bg-dark-darker">
           <tr>
             {columns.map((col) => (
               <th key={col.key} className="px-4 py-3 text-left text-gray-400 font-medium">
-                {col.label}
+                {col.sortable && onSortChange ? (
+                  <button
+                    onClick={() => handleSort(col.key)}
+                    className="bg-transparent border-none cursor-pointer text-inherit font-medium hover:text-white"
+                  >
+                    {col.label}
+                    {sort === col.key && ' ▲'}
+                    {sort === `-${col.key}` && ' ▼'}
+                  </button>
+                ) : col.label}
               </th>
             ))}
           </tr>
@@ -27,9 +122,12 @@ const AdminTable = ({ columns, data, emptyMessage = 'No items found.' }) => {
           ))}
         </tbody>
       </table>
-      {data.length === 0 && (
+      {data.length === 0 && !loading && (
         <div className="p-8 text-center text-gray-500">{emptyMessage}</div>
       )}
+      {onPageChange && (
+        <Pagination page={page} total={total} hasMore={hasMore} rowCount={data.length} onPageChange={onPageChange} />
+      )}
     </div>
   );
 };
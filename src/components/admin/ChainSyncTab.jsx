@@ -0,0 +1,287 @@
+/**
+ * ChainSyncTab - Register database flags on-chain and keep them in sync
+ *
+ * Lists flags the contract doesn't know yet (claims revert with FlagNotRegistered
+ * until they are registered), registered flags whose values differ from the
+ * database, and metadata hashes not yet stored on-chain. The contract owner's
+ * wallet sends the registrations in chunks; each chunk is one tracked transaction.
+ */
+import { useEffect, useState } from 'react';
+import { fetchChainSync } from '../../store/slices/adminSlice';
+import { openWalletPicker } from '../../store/slices/walletSlice';
+import { trackTransaction } from '../../store/slices/transactionsSlice';
+import { sendBatchRegisterFlags, sendSetMetadataHash, getErrorMessage } from '../../services/web3';
+import config from '../../config';
+import AdminTable from './AdminTable';
+import StatCard from './StatCard';
+
+// Flags per batchRegisterFlags call, kept well under the block gas limit
+const REGISTER_CHUNK_SIZE = 50;
+
+const JOB_STATUS_STYLES = {
+  queued: 'text-gray-500',
+  signing: 'text-yellow-400',
+  pending: 'text-blue-400',
+  confirmed: 'text-green-400',
+  failed: 'text-red-400',
+  cancelled: 'text-gray-400',
+};
+
+const chunk = (items, size) =>
+  Array.from({ length: Math.ceil(items.length / size) }, (_, i) => items.slice(i * size, (i + 1) * size));
+
+const ChainSyncTab = ({ flags, chainSync, chainSyncLoading, address, isConnected, dispatch }) => {
+  const symbol = config.network.nativeCurrency.symbol;
+  // Transactions of the current run: { id, label, status, hash, error, send }
+  const [jobs, setJobs] = useState([]);
+  const [running, setRunning] = useState(false);
+
+  useEffect(() => {
+    if (config.contractAddress && !chainSync && flags.length > 0) {
+      dispatch(fetchChainSync());
+    }
+  }, [dispatch, chainSync, flags.length]);
+
+  if (!config.contractAddress) {
+    return (
+      <div className="card p-6 text-gray-400" data-animate="fade-up" data-duration="normal">
+        No contract configured. Set VITE_CONTRACT_ADDRESS to manage on-chain registration.
+      </div>
+    );
+  }
+
+  const flagsById = new Map(flags.map((flag) => [flag.id, flag]));
+  const isOwner = !!address && !!chainSync?.owner && address.toLowerCase() === chainSync.owner.toLowerCase();
+
+  const updateJob = (id, changes) =>
+    setJobs((current) => current.map((job) => (job.id === id ? { ...job, ...changes } : job)));
+
+  /**
+   * Send the jobs one after another, stopping at the first failure or cancel
+   */
+  const runJobs = async (newJobs) => {
+    setJobs(newJobs);
+    setRunning(true);
+
+    for (const job of newJobs) {
+      updateJob(job.id, { status: 'signing' });
+      try {
+        const { transactionHash } = await job.send();
+        updateJob(job.id, { status: 'pending', hash: transactionHash });
+        await dispatch(trackTransaction({
+          hash: transactionHash,
+          kind: job.kind,
+          description: job.label,
+        })).unwrap();
+        updateJob(job.id, { status: 'confirmed' });
+      } catch (err) {
+        const message = getErrorMessage(err);
+        updateJob(job.id, message ? { status: 'failed', error: message } : { status: 'cancelled' });
+        break;
+      }
+    }
+
+    setRunning(false);
+    dispatch(fetchChainSync());
+  };
+
+  const handleRegister = () => {
+    const chunks = chunk(chainSync.unregistered.map((id) => flagsById.get(id)), REGISTER_CHUNK_SIZE);
+    runJobs(chunks.map((flagChunk, index) => ({
+      id: `register-${index}`,
+      kind: 'registerFlags',
+      label: `Register flags #${flagChunk[0].id}–#${flagChunk[flagChunk.length - 1].id} (${flagChunk.length})`,
+      status: 'queued',
+      send: () => sendBatchRegisterFlags(flagChunk.map((flag) => ({
+        flagId: flag.id,
+        category: flag.category,
+        price: flag.price,
+        nftsRequired: flag.nfts_required,
+      }))),
+    })));
+  };
+
+  // The contract sets one hash per call, so every flag is its own transaction
+  const handlePushMetadata = () => {
+    runJobs(chainSync.metadataPending.map(({ flagId, metadataHash }) => ({
+      id: `metadata-${flagId}`,
+      kind: 'setMetadataHash',
+      label: `Set metadata hash of flag #${flagId}`,
+      status: 'queued',
+      send: () => sendSetMetadataHash(flagId, metadataHash),
+    })));
+  };
+
+  const unregisteredColumns = [
+    { key: 'id', label: 'ID', className: 'text-gray-300' },
+    { key: 'name', label: 'Name', className: 'text-white text-sm' },
+    { key: 'category', label: 'Category', className: 'text-gray-400' },
+    { key: 'nfts_required', label: 'NFTs', className: 'text-gray-400' },
+    { key: 'price', label: 'Price', className: 'text-primary', render: (item) => `${item.price} ${symbol}` },
+  ];
+
+  const mismatchColumns = [
+    { key: 'flagId', label: 'ID', className: 'text-gray-300' },
+    {
+      key: 'name',
+      label: 'Name',
+      className: 'text-white text-sm',
+      render: (item) => flagsById.get(item.flagId)?.name,
+    },
+    {
+      key: 'differences',
+      label: 'Database / On-chain',
+      className: 'text-sm',
+      render: (item) => item.differences.map((difference) => (
+        <div key={difference.field}>
+          <span className="text-gray-500">{difference.field}:</span>{' '}
+          <span className="text-white">{difference.database}</span>
+          <span className="text-gray-500"> / </span>
+          <span className="text-yellow-400">{difference.chain}</span>
+        </div>
+      )),
+    },
+  ];
+
+  const metadataColumns = [
+    { key: 'flagId', label: 'ID', className: 'text-gray-300' },
+    { key: 'metadataHash', label: 'Database Hash', className: 'text-primary font-mono text-xs break-all' },
+    {
+      key: 'chainHash',
+      label: 'On-chain Hash',
+      className: 'text-gray-400 font-mono text-xs break-all',
+      render: (item) => item.chainHash || 'Not set',
+    },
+  ];
+
+  return (
+    <div className="space-y-8">
+      {/* Overview */}
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <div className="flex justify-between items-start flex-wrap gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-white mb-1">On-Chain Sync</h3>
+            <p className="text-gray-400 text-sm">
+              Contract owner:{' '}
+              <span className="font-mono text-gray-300">
+                {chainSync ? config.truncateAddress(chainSync.owner) : '...'}
+              </span>
+              {chainSync && (
+                <span className="text-gray-500 ml-2">
+                  (checked {new Date(chainSync.checkedAt).toLocaleTimeString()})
+                </span>
+              )}
+            </p>
+          </div>
+          <button
+            onClick={() => dispatch(fetchChainSync())}
+            disabled={chainSyncLoading || running}
+            className="btn btn-secondary"
+          >
+            {chainSyncLoading ? 'Checking...' : 'Refresh'}
+          </button>
+        </div>
+
+        {chainSync && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <StatCard label="Registered On-Chain" value={chainSync.registeredCount} />
+            <StatCard label="Not Registered" value={chainSync.unregistered.length} />
+            <StatCard label="Mismatched" value={chainSync.mismatched.length} />
+            <StatCard label="Metadata Pending" value={chainSync.metadataPending.length} />
+          </div>
+        )}
+
+        {!isConnected ? (
+          <button onClick={() => dispatch(openWalletPicker())} className="btn btn-primary">
+            Connect Owner Wallet
+          </button>
+        ) : chainSync && !isOwner && (
+          <p className="text-yellow-400 text-sm">
+            The connected wallet ({config.truncateAddress(address)}) is not the contract owner and can't register flags.
+          </p>
+        )}
+      </div>
+
+      {/* Transactions of the current run */}
+      {jobs.length > 0 && (
+        <div className="card p-6" data-animate="fade-up" data-duration="normal">
+          <h3 className="text-lg font-bold text-white mb-4">Transactions</h3>
+          <ul className="space-y-2">
+            {jobs.map((job) => (
+              <li key={job.id} className="flex justify-between items-center gap-4 text-sm">
+                <span className="text-gray-300">{job.label}</span>
+                <span className={JOB_STATUS_STYLES[job.status]}>
+                  {job.hash && config.blockExplorer ? (
+                    <a href={config.getTxUrl(job.hash)} target="_blank" rel="noopener noreferrer" className="hover:underline">
+                      {job.status}
+                    </a>
+                  ) : job.status}
+                  {job.error && `: ${job.error}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {chainSync && (
+        <>
+          {/* Unregistered flags */}
+          <div>
+            <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
+              <h2 className="text-xl font-bold text-white">Not Registered ({chainSync.unregistered.length})</h2>
+              <button
+                onClick={handleRegister}
+                disabled={!isOwner || running || chainSync.unregistered.length === 0}
+                className="btn btn-primary"
+              >
+                {running ? 'Sending...' : `Register in ${Math.ceil(chainSync.unregistered.length / REGISTER_CHUNK_SIZE)} Transaction(s)`}
+              </button>
+            </div>
+            <AdminTable
+              columns={unregisteredColumns}
+              data={chainSync.unregistered.map((id) => flagsById.get(id)).filter(Boolean)}
+              emptyMessage="Every flag is registered on-chain."
+            />
+          </div>
+
+          {/* Mismatched flags */}
+          <div>
+            <div className="mb-4" data-animate="fade-right" data-duration="fast">
+              <h2 className="text-xl font-bold text-white">Mismatched ({chainSync.mismatched.length})</h2>
+              <p className="text-gray-500 text-sm">
+                Registered values can't be changed on-chain; update the database flag to match the contract.
+              </p>
+            </div>
+            <AdminTable
+              columns={mismatchColumns}
+              data={chainSync.mismatched.map((item) => ({ ...item, id: item.flagId }))}
+              emptyMessage="Database and contract agree."
+            />
+          </div>
+
+          {/* Metadata hashes */}
+          <div>
+            <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
+              <h2 className="text-xl font-bold text-white">Metadata Pending ({chainSync.metadataPending.length})</h2>
+              <button
+                onClick={handlePushMetadata}
+                disabled={!isOwner || running || chainSync.metadataPending.length === 0}
+                className="btn btn-primary"
+              >
+                {running ? 'Sending...' : 'Push Metadata Hashes'}
+              </button>
+            </div>
+            <AdminTable
+              columns={metadataColumns}
+              data={chainSync.metadataPending.map((item) => ({ ...item, id: item.flagId }))}
+              emptyMessage="All metadata hashes are on-chain."
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ChainSyncTab;
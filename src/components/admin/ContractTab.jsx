@@ -0,0 +1,337 @@
+/**
+ * ContractTab - Contract-level view: balance, owner, supply and withdrawals
+ *
+ * Withdrawing the balance and transferring ownership are owner-only and
+ * irreversible, so both ask the admin to type the receiving address before
+ * the wallet is prompted.
+ */
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { fetchContractOverview, fetchChainSync } from '../../store/slices/adminSlice';
+import { openWalletPicker } from '../../store/slices/walletSlice';
+import { trackTransaction } from '../../store/slices/transactionsSlice';
+import {
+  getWithdrawalHistoryPage,
+  sendWithdraw,
+  sendTransferOwnership,
+  getErrorMessage,
+} from '../../services/web3';
+import { formatWei } from '../../services/pricing';
+import config from '../../config';
+import StatCard from './StatCard';
+
+const formatWithdrawalTime = (withdrawal) => (withdrawal.timestamp
+  ? new Date(withdrawal.timestamp * 1000).toLocaleString()
+  : `Block ${withdrawal.blockNumber}`);
+
+const ContractTab = ({ contractOverview, contractOverviewLoading, address, isConnected, dispatch }) => {
+  const [withdrawals, setWithdrawals] = useState([]);
+  const [withdrawalCursor, setWithdrawalCursor] = useState(null);
+  const [hasMoreWithdrawals, setHasMoreWithdrawals] = useState(true);
+  const [withdrawalsLoading, setWithdrawalsLoading] = useState(false);
+  const [withdrawalsError, setWithdrawalsError] = useState(null);
+
+  // Pending confirmation: 'withdraw' | 'transferOwnership'
+  const [confirming, setConfirming] = useState(null);
+  const [newOwner, setNewOwner] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadWithdrawals = useCallback(async (toBlock, replace = false) => {
+    setWithdrawalsLoading(true);
+    setWithdrawalsError(null);
+    try {
+      const page = await getWithdrawalHistoryPage({ toBlock });
+      setWithdrawals((current) => (replace ? page.entries : [...current, ...page.entries]));
+      setWithdrawalCursor(page.fromBlock - 1);
+      setHasMoreWithdrawals(page.hasMore);
+    } catch (err) {
+      setWithdrawalsError(getErrorMessage(err, 'Could not load withdrawals'));
+    } finally {
+      setWithdrawalsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!config.contractAddress) return;
+    dispatch(fetchContractOverview());
+    loadWithdrawals(null, true);
+  }, [dispatch, loadWithdrawals]);
+
+  if (!config.contractAddress) {
+    return (
+      <div className="card p-6 text-gray-400" data-animate="fade-up" data-duration="normal">
+        No contract configured. Set VITE_CONTRACT_ADDRESS to see contract details.
+      </div>
+    );
+  }
+
+  const symbol = config.network.nativeCurrency.symbol;
+  const owner = contractOverview?.owner;
+  const isOwner = !!address && !!owner && address.toLowerCase() === owner.toLowerCase();
+  const hasBalance = !!contractOverview && BigInt(contractOverview.balance) > 0n;
+
+  const closeConfirm = () => {
+    setConfirming(null);
+    setNewOwner('');
+  };
+
+  const handleConfirmed = async () => {
+    setSubmitting(true);
+    try {
+      const isWithdraw = confirming === 'withdraw';
+      const { transactionHash } = isWithdraw
+        ? await sendWithdraw()
+        : await sendTransferOwnership(newOwner);
+      closeConfirm();
+
+      await dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: isWithdraw ? 'withdraw' : 'transferOwnership',
+        description: isWithdraw
+          ? `Withdraw ${formatWei(contractOverview.balance)} ${symbol}`
+          : `Transfer contract ownership to ${config.truncateAddress(newOwner)}`,
+      })).unwrap();
+
+      dispatch(fetchContractOverview());
+      if (isWithdraw) {
+        loadWithdrawals(null, true);
+      } else {
+        // Registration permissions follow the owner
+        dispatch(fetchChainSync());
+      }
+    } catch (err) {
+      const message = getErrorMessage(err);
+      if (message) alert(message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Overview */}
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <div className="flex justify-between items-start flex-wrap gap-4 mb-4">
+          <div>
+            <h3 className="text-xl font-bold text-white mb-1">Contract</h3>
+            {config.blockExplorer ? (
+              <a
+                href={config.getAddressUrl(config.contractAddress)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-primary font-mono text-sm hover:underline break-all"
+              >
+                {config.contractAddress}
+              </a>
+            ) : (
+              <span className="text-primary font-mono text-sm break-all">{config.contractAddress}</span>
+            )}
+          </div>
+          <button
+            onClick={() => dispatch(fetchContractOverview())}
+            disabled={contractOverviewLoading}
+            className="btn btn-secondary"
+          >
+            {contractOverviewLoading ? 'Loading...' : 'Refresh'}
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+          <StatCard
+            label="Balance"
+            value={contractOverview ? `${config.formatPrice(formatWei(contractOverview.balance))} ${symbol}` : '...'}
+          />
+          <StatCard label="NFTs Minted" value={contractOverview?.totalMinted ?? '...'} />
+          <StatCard label="Registered Flags" value={contractOverview?.registeredCount ?? '...'} />
+        </div>
+
+        <p className="text-gray-400 text-sm">
+          Owner:{' '}
+          {owner && config.blockExplorer ? (
+            <a
+              href={config.getAddressUrl(owner)}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-gray-300 font-mono hover:text-primary"
+            >
+              {owner}
+            </a>
+          ) : (
+            <span className="text-gray-300 font-mono">{owner || '...'}</span>
+          )}
+          {isOwner && <span className="badge badge-available ml-2">You</span>}
+        </p>
+      </div>
+
+      {/* Owner actions */}
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <h3 className="text-xl font-bold text-white mb-4">Owner Actions</h3>
+        {!isConnected ? (
+          <button onClick={() => dispatch(openWalletPicker())} className="btn btn-primary">
+            Connect Owner Wallet
+          </button>
+        ) : !isOwner ? (
+          <p className="text-yellow-400 text-sm">
+            The connected wallet ({config.truncateAddress(address)}) is not the contract owner.
+          </p>
+        ) : (
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <p className="text-gray-400 text-sm mb-3">
+                Send the whole contract balance to the owner wallet.
+              </p>
+              <button
+                onClick={() => setConfirming('withdraw')}
+                disabled={!hasBalance || submitting}
+                className="btn btn-primary"
+              >
+                {hasBalance ? 'Withdraw Balance' : 'Nothing to Withdraw'}
+              </button>
+            </div>
+            <div>
+              <p className="text-gray-400 text-sm mb-3">
+                Hand over ownership. This wallet loses all owner rights immediately.
+              </p>
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  value={newOwner}
+                  onChange={(e) => setNewOwner(e.target.value)}
+                  placeholder="New owner address (0x...)"
+                  className="input flex-1 font-mono text-sm"
+                />
+                <button
+                  onClick={() => setConfirming('transferOwnership')}
+                  disabled={!ethers.isAddress(newOwner) || submitting}
+                  className="btn btn-secondary"
+                >
+                  Transfer
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Withdrawal history */}
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <h3 className="text-xl font-bold text-white mb-4">Withdrawals</h3>
+        {withdrawals.length > 0 ? (
+          <ul className="divide-y divide-gray-800">
+            {withdrawals.map((withdrawal) => (
+              <li key={`${withdrawal.transactionHash}-${withdrawal.logIndex}`} className="flex justify-between items-center py-3 text-sm">
+                <div>
+                  <span className="text-primary font-medium">
+                    {config.formatPrice(withdrawal.amount)} {symbol}
+                  </span>
+                  <span className="text-gray-500"> to </span>
+                  <span className="text-gray-300 font-mono">{config.truncateAddress(withdrawal.to)}</span>
+                </div>
+                {config.blockExplorer ? (
+                  <a
+                    href={config.getTxUrl(withdrawal.transactionHash)}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-gray-500 hover:text-primary"
+                  >
+                    {formatWithdrawalTime(withdrawal)}
+                  </a>
+                ) : (
+                  <span className="text-gray-500">{formatWithdrawalTime(withdrawal)}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          !withdrawalsLoading && !withdrawalsError && (
+            <p className="text-gray-500 text-sm">
+              {hasMoreWithdrawals ? 'No recent withdrawals' : 'No withdrawals yet'}
+            </p>
+          )
+        )}
+        {withdrawalsLoading && <p className="text-gray-500 text-sm mt-2">Loading withdrawals...</p>}
+        {withdrawalsError && <p className="text-red-400 text-sm mt-2">{withdrawalsError}</p>}
+        {hasMoreWithdrawals && !withdrawalsLoading && withdrawalCursor !== null && (
+          <button
+            onClick={() => loadWithdrawals(withdrawalCursor)}
+            className="btn btn-secondary btn-sm mt-4"
+          >
+            Search Earlier Blocks
+          </button>
+        )}
+      </div>
+
+      {confirming === 'withdraw' && (
+        <TypedAddressConfirm
+          title="Withdraw Contract Balance"
+          description={`${formatWei(contractOverview.balance)} ${symbol} will be sent to the owner wallet.`}
+          expectedAddress={owner}
+          confirmLabel="Withdraw"
+          submitting={submitting}
+          onConfirm={handleConfirmed}
+          onClose={closeConfirm}
+        />
+      )}
+      {confirming === 'transferOwnership' && (
+        <TypedAddressConfirm
+          title="Transfer Ownership"
+          description="The new owner controls registration, metadata and withdrawals. This can't be undone from this wallet."
+          expectedAddress={newOwner}
+          confirmLabel="Transfer Ownership"
+          submitting={submitting}
+          onConfirm={handleConfirmed}
+          onClose={closeConfirm}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Confirmation that only unlocks once the target address is typed in full
+ */
+const TypedAddressConfirm = ({ title, description, expectedAddress, confirmLabel, submitting, onConfirm, onClose }) => {
+  const [typed, setTyped] = useState('');
+  const matches = typed.trim().toLowerCase() === expectedAddress?.toLowerCase();
+
+  return (
+    <div className="fixed inset-0 bg-black/75 flex items-center justify-center z-50 p-4">
+      <div
+        className="card max-w-lg w-full p-6"
+        data-animate="zoom-in"
+        data-duration="fast"
+      >
+        <h3 className="text-xl font-bold text-white mb-2">{title}</h3>
+        <p className="text-gray-400 text-sm mb-4">{description}</p>
+
+        <label className="block text-sm text-gray-400 mb-1">
+          Type <span className="font-mono text-white break-all">{expectedAddress}</span> to confirm
+        </label>
+        <input
+          type="text"
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          onPaste={(e) => e.preventDefault()}
+          className="input w-full font-mono text-sm mb-4"
+          autoFocus
+        />
+
+        <div className="flex gap-3">
+          <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={!matches || submitting}
+            className="btn btn-primary flex-1"
+          >
+            {submitting ? 'Confirm in wallet...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ContractTab;
@@ -1,5 +1,6 @@
 /**
  * CountriesTab - Admin CRUD interface for countries
+ * The table pages through the backend; page and sort are kept in the URL.
  */
 import { useState } from 'react';
 import {
@@ -8,9 +9,16 @@ import {
   deleteCountry,
   toggleCountryVisibility,
 } from '../../store/slices/adminSlice';
-import AdminTable from './AdminTable';
+import { useGetCountriesQuery } from '../../store/slices/apiSlice';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
+import AdminTable, { tablePageQuery, totalLabel } from './AdminTable';
 
-const CountriesTab = ({ countries, dispatch, actionLoading }) => {
+const TABLE_FILTERS = { page: 1, sort: 'id' };
+
+const CountriesTab = ({ dispatch, actionLoading }) => {
+  const [filters, setFilters] = useUrlFilters(TABLE_FILTERS);
+  const { data: countryPage, isFetching, error } = useGetCountriesQuery({ visibleOnly: false, ...tablePageQuery(filters) });
+  const countries = countryPage?.items ?? [];
   const [showForm, setShowForm] = useState(false);
   const [editItem, setEditItem] = useState(null);
   const [formData, setFormData] = useState({ name: '', code: '', is_visible: true });
@@ -44,9 +52,9 @@ const CountriesTab = ({ countries, dispatch, actionLoading }) => {
   };
 
   const columns = [
-    { key: 'id', label: 'ID', className: 'text-gray-300' },
-    { key: 'name', label: 'Name', className: 'text-white' },
-    { key: 'code', label: 'Code', className: 'text-gray-400' },
+    { key: 'id', label: 'ID', className: 'text-gray-300', sortable: true },
+    { key: 'name', label: 'Name', className: 'text-white', sortable: true },
+    { key: 'code', label: 'Code', className: 'text-gray-400', sortable: true },
     {
       key: 'region_count',
       label: 'Regions',
@@ -87,7 +95,7 @@ const CountriesTab = ({ countries, dispatch, actionLoading }) => {
   return (
     <div>
       <div className="flex justify-between items-center mb-4" data-animate="fade-right" data-duration="fast">
-        <h2 className="text-xl font-bold text-white">Countries ({countries.length})</h2>
+        <h2 className="text-xl font-bold text-white">Countries{totalLabel(countryPage)}</h2>
         <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
           {showForm ? 'Cancel' : 'Add Country'}
         </button>
@@ -136,7 +144,18 @@ const CountriesTab = ({ countries, dispatch, actionLoading }) => {
         </div>
       )}
 
-      <AdminTable columns={columns} data={countries} emptyMessage="No countries found." />
+      <AdminTable
+        columns={columns}
+        data={countries}
+        emptyMessage={error?.message || 'No countries found.'}
+        loading={isFetching}
+        sort={filters.sort}
+        onSortChange={(sort) => setFilters({ sort })}
+        page={filters.page}
+        total={countryPage?.total ?? null}
+        hasMore={countryPage?.hasMore}
+        onPageChange={(page) => setFilters({ page })}
+      />
     </div>
   );
 };
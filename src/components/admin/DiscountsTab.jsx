@@ -0,0 +1,391 @@
+/**
+ * DiscountsTab - Wallets holding a Plus or Premium discount tier
+ *
+ * The contract has no list of discount holders, so it is rebuilt from
+ * DiscountGranted logs (scanned backwards in block windows) and every wallet
+ * is checked against the current hasPlus/hasPremium state. The wallet lookup
+ * explains a single wallet's tier from its grants and completed pairs, for
+ * answering "why don't I get my discount?". Both scans can be stopped and continued.
+ */
+import { useEffect, useRef, useState } from 'react';
+import {
+  FLAG_CATEGORIES,
+  getDiscountGrantsPage,
+  getFlagPairs,
+  userHasPlus,
+  userHasPremium,
+  getErrorMessage,
+} from '../../services/web3';
+import { DISCOUNT_TIERS } from '../../services/pricing';
+import { resolveAddressInput } from '../../services/names';
+import config from '../../config';
+import AdminTable from './AdminTable';
+import StatCard from './StatCard';
+
+const TIER_BADGES = {
+  1: 'bg-blue-500/20 text-blue-400',
+  2: 'bg-yellow-500/20 text-yellow-400',
+};
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp * 1000).toLocaleString() : '-');
+
+// Share of the history between the deploy block and `latest` read so far
+const getScannedPercent = ({ latest, cursor }) => (latest === null
+  ? 0
+  : Math.min(100, Math.round(((latest - cursor) / Math.max(latest - config.contractDeployBlock, 1)) * 100)));
+
+/**
+ * Current tier flags of a wallet, as { 1: hasPlus, 2: hasPremium }
+ */
+const getActiveTiers = async (user) => {
+  const [plus, premium] = await Promise.all([userHasPlus(user), userHasPremium(user)]);
+  return { 1: plus, 2: premium };
+};
+
+// Plain text on networks without a block explorer
+const TxLink = ({ hash, children }) => (config.blockExplorer ? (
+  <a href={config.getTxUrl(hash)} target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+    {children}
+  </a>
+) : children);
+
+const DiscountsTab = () => {
+  // Grants by lowercase wallet: { user, grants: [] }
+  const [holders, setHolders] = useState({});
+  // Current on-chain tiers by lowercase wallet
+  const [activeTiers, setActiveTiers] = useState({});
+  const [scan, setScan] = useState({ cursor: null, latest: null, hasMore: true, running: false, error: null });
+  const [tierFilter, setTierFilter] = useState('');
+
+  const [query, setQuery] = useState('');
+  const [lookup, setLookup] = useState(null);
+
+  const stopRef = useRef(false);
+  const lookupStopRef = useRef(false);
+  const verifiedRef = useRef(new Set());
+
+  // Stop running scans when the tab is closed
+  useEffect(() => () => {
+    stopRef.current = true;
+    lookupStopRef.current = true;
+  }, []);
+
+  if (!config.contractAddress) {
+    return (
+      <div className="card p-6 text-gray-400" data-animate="fade-up" data-duration="normal">
+        No contract configured. Set VITE_CONTRACT_ADDRESS to see discount holders.
+      </div>
+    );
+  }
+
+  const verifyHolders = async (users) => {
+    const unverified = users.filter((user) => !verifiedRef.current.has(user.toLowerCase()));
+    unverified.forEach((user) => verifiedRef.current.add(user.toLowerCase()));
+    const tiers = await Promise.all(unverified.map(getActiveTiers));
+    setActiveTiers((current) => ({
+      ...current,
+      ...Object.fromEntries(unverified.map((user, index) => [user.toLowerCase(), tiers[index]])),
+    }));
+  };
+
+  const runScan = async () => {
+    stopRef.current = false;
+    setScan((current) => ({ ...current, running: true, error: null }));
+
+    let { cursor, latest } = scan;
+    let hasMore = true;
+    try {
+      while (hasMore && !stopRef.current) {
+        const page = await getDiscountGrantsPage({ toBlock: cursor });
+        latest = latest ?? page.toBlock;
+        cursor = page.fromBlock - 1;
+        hasMore = page.hasMore;
+
+        setHolders((current) => {
+          const next = { ...current };
+          page.grants.forEach((grant) => {
+            const key = grant.user.toLowerCase();
+            next[key] = { user: grant.user, grants: [...(next[key]?.grants || []), grant] };
+          });
+          return next;
+        });
+        await verifyHolders([...new Set(page.grants.map((grant) => grant.user))]);
+        setScan((current) => ({ ...current, cursor, latest, hasMore }));
+      }
+    } catch (err) {
+      setScan((current) => ({ ...current, error: getErrorMessage(err, 'Failed to read discount grants') }));
+    } finally {
+      setScan((current) => ({ ...current, running: false }));
+    }
+  };
+
+  // Read a wallet's grants backwards from where the lookup stopped, window by window
+  const runLookup = async (start) => {
+    lookupStopRef.current = false;
+    setLookup({ ...start, running: true, error: null });
+
+    let { grants, completions, categories, cursor, latest, hasMore } = start;
+    try {
+      while (hasMore && !lookupStopRef.current) {
+        const page = await getDiscountGrantsPage({ toBlock: cursor, user: start.address });
+        latest = latest ?? page.toBlock;
+        cursor = page.fromBlock - 1;
+        hasMore = page.hasMore;
+        grants = [...grants, ...page.grants];
+        completions = [...completions, ...page.completions];
+
+        const flagIds = [...new Set(page.completions.map((completion) => completion.flagId))]
+          .filter((flagId) => !(flagId in categories));
+        if (flagIds.length > 0) {
+          const pairs = await getFlagPairs(flagIds);
+          categories = {
+            ...categories,
+            ...Object.fromEntries(
+              flagIds.map((flagId, index) => [flagId, FLAG_CATEGORIES[Number(pairs[index].category)] || 'unknown'])
+            ),
+          };
+        }
+        setLookup((current) => ({ ...current, grants, completions, categories, cursor, latest, hasMore }));
+      }
+    } catch (err) {
+      setLookup((current) => ({ ...current, error: getErrorMessage(err, 'Lookup failed') }));
+    } finally {
+      setLookup((current) => ({ ...current, running: false }));
+    }
+  };
+
+  const handleLookup = async () => {
+    let user;
+    try {
+      user = await resolveAddressInput(query);
+    } catch (err) {
+      setLookup({ error: err.message });
+      return;
+    }
+    setLookup({ address: user, loading: true });
+
+    let tiers;
+    try {
+      tiers = await getActiveTiers(user);
+    } catch (err) {
+      setLookup({ address: user, error: getErrorMessage(err, 'Lookup failed') });
+      return;
+    }
+    runLookup({
+      address: user,
+      tiers,
+      grants: [],
+      completions: [],
+      categories: {},
+      cursor: null,
+      latest: null,
+      hasMore: true,
+    });
+  };
+
+  const rows = Object.values(holders)
+    .map((holder) => {
+      const tiers = [...new Set(holder.grants.map((grant) => grant.tier))].sort();
+      return { ...holder, id: holder.user, tiers, active: activeTiers[holder.user.toLowerCase()] };
+    })
+    .filter((holder) => !tierFilter || holder.tiers.includes(Number(tierFilter)));
+
+  const scannedPercent = getScannedPercent(scan);
+
+  const countActive = (tier) => Object.values(activeTiers).filter((tiers) => tiers[tier]).length;
+
+  const columns = [
+    {
+      key: 'user',
+      label: 'Wallet',
+      className: 'text-gray-300 font-mono text-sm',
+      render: (item) => (
+        <button
+          onClick={() => setQuery(item.user)}
+          className="hover:text-primary bg-transparent border-none cursor-pointer font-mono"
+          title="Look up this wallet"
+        >
+          {config.truncateAddress(item.user, 6)}
+        </button>
+      ),
+    },
+    {
+      key: 'tiers',
+      label: 'Tiers',
+      render: (item) => item.tiers.map((tier) => (
+        <span key={tier} className={`px-2 py-1 rounded text-xs mr-2 ${TIER_BADGES[tier] || ''}`}>
+          {DISCOUNT_TIERS[tier]?.name || `Tier ${tier}`}
+          {item.active && !item.active[tier] && ' (inactive)'}
+        </span>
+      )),
+    },
+    {
+      key: 'earned',
+      label: 'Earned By',
+      className: 'text-gray-400 text-sm',
+      render: (item) => item.grants.map((grant) => (
+        <div key={`${grant.transactionHash}-${grant.logIndex}`}>
+          <TxLink hash={grant.transactionHash}>
+            {grant.flagId ? `Flag #${grant.flagId} pair` : 'Direct grant'}
+          </TxLink>
+          <span className="text-gray-500"> · {formatTime(grant.timestamp)}</span>
+        </div>
+      )),
+    },
+  ];
+
+  return (
+    <div className="space-y-8">
+      {/* Wallet lookup */}
+      <div className="card p-6" data-animate="fade-up" data-duration="normal">
+        <h3 className="text-xl font-bold text-white mb-4">Wallet Lookup</h3>
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleLookup()}
+            placeholder="Wallet address, ENS or saved name"
+            className="input flex-1 font-mono text-sm"
+          />
+          <button onClick={handleLookup} disabled={lookup?.loading || lookup?.running} className="btn btn-primary">
+            {lookup?.loading ? 'Checking...' : 'Check'}
+          </button>
+        </div>
+        {lookup && (
+          <LookupResult
+            lookup={lookup}
+            onStop={() => { lookupStopRef.current = true; }}
+            onContinue={() => runLookup(lookup)}
+          />
+        )}
+      </div>
+
+      {/* Holders */}
+      <div>
+        <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
+          <h2 className="text-xl font-bold text-white">Discount Holders ({rows.length})</h2>
+          <div className="flex gap-4">
+            <select value={tierFilter} onChange={(e) => setTierFilter(e.target.value)} className="input">
+              <option value="">All Tiers</option>
+              <option value="1">{DISCOUNT_TIERS[1].name}</option>
+              <option value="2">{DISCOUNT_TIERS[2].name}</option>
+            </select>
+            {scan.running ? (
+              <button onClick={() => { stopRef.current = true; }} className="btn btn-secondary">
+                Stop
+              </button>
+            ) : (
+              <button onClick={runScan} disabled={!scan.hasMore} className="btn btn-primary">
+                {scan.latest === null ? 'Scan Grants' : scan.hasMore ? 'Continue Scan' : 'Scan Complete'}
+              </button>
+            )}
+          </div>
+        </div>
+
+        {scan.latest !== null && (
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+            <StatCard label="History Scanned" value={`${scannedPercent}%`} />
+            <StatCard label={`Active ${DISCOUNT_TIERS[1].name}`} value={countActive(1)} />
+            <StatCard label={`Active ${DISCOUNT_TIERS[2].name}`} value={countActive(2)} />
+          </div>
+        )}
+        {scan.running && (
+          <p className="text-gray-500 text-sm mb-4">Scanning back to block {scan.cursor ?? '...'}...</p>
+        )}
+        {scan.error && <p className="text-red-400 text-sm mb-4">{scan.error}</p>}
+
+        <AdminTable
+          columns={columns}
+          data={rows}
+          emptyMessage={scan.latest === null ? 'Scan the contract history to list discount holders.' : 'No discount grants found.'}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Explain a wallet's discount tiers from its grants and completed pairs,
+ * as far back as the lookup has read
+ */
+const LookupResult = ({ lookup, onStop, onContinue }) => {
+  if (lookup.error && !lookup.tiers) return <p className="text-red-400 text-sm">{lookup.error}</p>;
+  if (lookup.loading) return <p className="text-gray-500 text-sm">Reading grants of {config.truncateAddress(lookup.address)}...</p>;
+
+  const { tiers, grants, completions, categories } = lookup;
+  const grantedTxs = new Set(grants.map((grant) => grant.transactionHash));
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex gap-2 flex-wrap">
+        <span className="text-gray-400 font-mono">{lookup.address}</span>
+        {[1, 2].map((tier) => (
+          <span
+            key={tier}
+            className={`px-2 py-1 rounded text-xs ${tiers[tier] ? TIER_BADGES[tier] : 'bg-gray-500/20 text-gray-500'}`}
+          >
+            {DISCOUNT_TIERS[tier].name}: {tiers[tier] ? 'active' : 'no'}
+          </span>
+        ))}
+      </div>
+
+      {lookup.hasMore && (
+        <div className="flex items-center gap-4">
+          <span className="text-gray-500">
+            {lookup.running ? 'Reading' : 'Read'} {getScannedPercent(lookup)}% of the history
+          </span>
+          {lookup.running ? (
+            <button onClick={onStop} className="btn btn-secondary btn-sm">Stop</button>
+          ) : (
+            <button onClick={onContinue} className="btn btn-secondary btn-sm">Continue</button>
+          )}
+        </div>
+      )}
+      {lookup.error && <p className="text-red-400">{lookup.error}</p>}
+
+      {grants.length > 0 && (
+        <div>
+          <h4 className="text-white font-medium mb-2">Grants</h4>
+          <ul className="space-y-1">
+            {grants.map((grant) => (
+              <li key={`${grant.transactionHash}-${grant.logIndex}`} className="text-gray-400">
+                {DISCOUNT_TIERS[grant.tier]?.name || `Tier ${grant.tier}`}{' '}
+                {grant.flagId ? `for completing flag #${grant.flagId}` : 'granted directly'}
+                {' · '}
+                <TxLink hash={grant.transactionHash}>{formatTime(grant.timestamp)}</TxLink>
+                {!tiers[grant.tier] && <span className="text-yellow-400"> - no longer active</span>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-white font-medium mb-2">Completed Pairs</h4>
+        {completions.length > 0 ? (
+          <ul className="space-y-1">
+            {completions.map((completion) => (
+              <li key={`${completion.transactionHash}-${completion.logIndex}`} className="text-gray-400">
+                Flag #{completion.flagId} ({categories[completion.flagId]})
+                {' · '}
+                <TxLink hash={completion.transactionHash}>{formatTime(completion.timestamp)}</TxLink>
+                {grantedTxs.has(completion.transactionHash)
+                  ? <span className="text-green-400"> - granted a discount</span>
+                  : <span className="text-gray-500"> - no discount granted</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-gray-500">
+            {lookup.hasMore
+              ? 'No completed flag pair in the history read so far.'
+              : "This wallet hasn't completed any flag pair, which is how discount tiers are earned."}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DiscountsTab;
@@ -1,21 +1,32 @@
 /**
  * FlagsTab - Admin CRUD interface for flags
+ * The table pages through the backend; municipality and category filters, page
+ * and sort are kept in the URL.
  */
 import { useState } from 'react';
 import { createFlag, updateFlag } from '../../store/slices/adminSlice';
-import AdminTable from './AdminTable';
+import { useGetFlagsQuery } from '../../store/slices/apiSlice';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
+import AdminTable, { tablePageQuery, totalLabel } from './AdminTable';
+import config from '../../config';
 
-const FlagsTab = ({ flags, municipalities, dispatch, actionLoading }) => {
+const TABLE_FILTERS = { page: 1, sort: 'id', municipality: '', category: '' };
+
+const FlagsTab = ({ municipalities, dispatch, actionLoading }) => {
+  const symbol = config.network.nativeCurrency.symbol;
   const [showForm, setShowForm] = useState(false);
   const [editItem, setEditItem] = useState(null);
-  const [filterMunicipalityId, setFilterMunicipalityId] = useState('');
+  const [filters, setFilters] = useUrlFilters(TABLE_FILTERS);
   const [formData, setFormData] = useState({
     name: '', municipality_id: '', location_type: '', category: 'standard', nfts_required: '1', price: '0.01',
   });
 
-  const filteredFlags = filterMunicipalityId
-    ? flags.filter((f) => f.municipality_id === parseInt(filterMunicipalityId))
-    : flags;
+  const { data: flagPage, isFetching, error } = useGetFlagsQuery({
+    municipalityId: filters.municipality ? parseInt(filters.municipality) : null,
+    category: filters.category || null,
+    ...tablePageQuery(filters),
+  });
+  const flags = flagPage?.items ?? [];
 
   const resetForm = () => {
     setFormData({ name: '', municipality_id: '', location_type: '', category: 'standard', nfts_required: '1', price: '0.01' });
@@ -64,8 +75,8 @@ const FlagsTab = ({ flags, municipalities, dispatch, actionLoading }) => {
   };
 
   const columns = [
-    { key: 'id', label: 'ID', className: 'text-gray-300' },
-    { key: 'name', label: 'Name', className: 'text-white text-sm' },
+    { key: 'id', label: 'ID', className: 'text-gray-300', sortable: true },
+    { key: 'name', label: 'Name', className: 'text-white text-sm', sortable: true },
     {
       key: 'municipality_id',
       label: 'Municipality',
@@ -87,7 +98,8 @@ const FlagsTab = ({ flags, municipalities, dispatch, actionLoading }) => {
       key: 'price',
       label: 'Price',
       className: 'text-primary',
-      render: (item) => `${item.price} POL`,
+      sortable: true,
+      render: (item) => `${item.price} ${symbol}`,
     },
     {
       key: 'is_pair_complete',
@@ -112,21 +124,38 @@ const FlagsTab = ({ flags, municipalities, dispatch, actionLoading }) => {
   return (
     <div>
       <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
-        <h2 className="text-xl font-bold text-white">Flags ({filteredFlags.length})</h2>
+        <h2 className="text-xl font-bold text-white">Flags{totalLabel(flagPage)}</h2>
         <div className="flex gap-4">
-          <select value={filterMunicipalityId} onChange={(e) => setFilterMunicipalityId(e.target.value)} className="input">
+          <select value={filters.municipality} onChange={(e) => setFilters({ municipality: e.target.value })} className="input">
             <option value="">All Municipalities</option>
             {municipalities.map((m) => (
               <option key={m.id} value={m.id}>{m.name}</option>
             ))}
           </select>
+          <select value={filters.category} onChange={(e) => setFilters({ category: e.target.value })} className="input">
+            <option value="">All Categories</option>
+            <option value="standard">Standard</option>
+            <option value="plus">Plus</option>
+            <option value="premium">Premium</option>
+          </select>
           <button onClick={() => setShowForm(!showForm)} className="btn btn-primary">
             {showForm ? 'Cancel' : 'Add Flag'}
           </button>
         </div>
       </div>
 
-      <AdminTable columns={columns} data={filteredFlags} emptyMessage="No flags found." />
+      <AdminTable
+        columns={columns}
+        data={flags}
+        emptyMessage={error?.message || 'No flags found.'}
+        loading={isFetching}
+        sort={filters.sort}
+        onSortChange={(sort) => setFilters({ sort })}
+        page={filters.page}
+        total={flagPage?.total ?? null}
+        hasMore={flagPage?.hasMore}
+        onPageChange={(page) => setFilters({ page })}
+      />
 
       {/* Flag Form Modal */}
       {showForm && (
@@ -216,7 +245,7 @@ const FlagsTab = ({ flags, municipalities, dispatch, actionLoading }) => {
                   />
                 </div>
                 <div>
-                  <label className="block text-sm text-gray-400 mb-1">Price (MATIC)</label>
+                  <label className="block text-sm text-gray-400 mb-1">Price ({symbol})</label>
                   <input
                     type="number"
                     step="0.001"
@@ -4,6 +4,7 @@
 import { useState } from 'react';
 import { createNFTFromCoordinates, checkStreetView } from '../../store/slices/adminSlice';
 import config from '../../config';
+import IpfsImage from '../IpfsImage';
 
 const GenerateNFTTab = ({ municipalities, dispatch, nftGenerationResult, nftGenerating, streetViewAvailable }) => {
   const [formData, setFormData] = useState({
@@ -279,10 +280,18 @@ const GenerationResult = ({ result }) => (
 
         <div className="bg-dark-darker rounded-[3px] p-4">
           <span className="text-gray-500 text-sm block mb-2">Image IPFS Hash</span>
+          {/* Verified against the CID, so the preview confirms the pinned file */}
+          <IpfsImage
+            src={result.image_ipfs_hash}
+            verify
+            placeholder="https://placehold.co/128x128/1a1a2e/e94560?text=Unavailable"
+            alt={result.flag_name}
+            className="w-32 h-32 object-cover rounded-[3px] mb-3"
+          />
           <div className="flex items-center gap-2">
             <span className="text-primary font-mono text-sm break-all">{result.image_ipfs_hash}</span>
             <a
-              href={`${config.ipfsGateway}/${result.image_ipfs_hash}`}
+              href={config.getIpfsUrl(result.image_ipfs_hash)}
               target="_blank"
               rel="noopener noreferrer"
               className="btn btn-secondary text-xs py-1 px-2"
@@ -297,7 +306,7 @@ const GenerationResult = ({ result }) => (
           <div className="flex items-center gap-2">
             <span className="text-primary font-mono text-sm break-all">{result.metadata_ipfs_hash}</span>
             <a
-              href={`${config.ipfsGateway}/${result.metadata_ipfs_hash}`}
+              href={config.getIpfsUrl(result.metadata_ipfs_hash)}
               target="_blank"
               rel="noopener noreferrer"
               className="btn btn-secondary text-xs py-1 px-2"
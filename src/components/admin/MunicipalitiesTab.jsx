@@ -1,5 +1,6 @@
 /**
  * MunicipalitiesTab - Admin CRUD interface for municipalities
+ * The table pages through the backend; region filter, page and sort are kept in the URL.
  */
 import { useState } from 'react';
 import {
@@ -8,17 +9,24 @@ import {
   deleteMunicipality,
   toggleMunicipalityVisibility,
 } from '../../store/slices/adminSlice';
-import AdminTable from './AdminTable';
+import { useGetMunicipalitiesQuery } from '../../store/slices/apiSlice';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
+import AdminTable, { tablePageQuery, totalLabel } from './AdminTable';
 
-const MunicipalitiesTab = ({ municipalities, regions, dispatch, actionLoading }) => {
+const TABLE_FILTERS = { page: 1, sort: 'id', region: '' };
+
+const MunicipalitiesTab = ({ regions, dispatch, actionLoading }) => {
   const [showForm, setShowForm] = useState(false);
   const [editItem, setEditItem] = useState(null);
-  const [filterRegionId, setFilterRegionId] = useState('');
+  const [filters, setFilters] = useUrlFilters(TABLE_FILTERS);
   const [formData, setFormData] = useState({ name: '', region_id: '', latitude: '', longitude: '', is_visible: true });
 
-  const filteredMunicipalities = filterRegionId
-    ? municipalities.filter((m) => m.region_id === parseInt(filterRegionId))
-    : municipalities;
+  const { data: municipalityPage, isFetching, error } = useGetMunicipalitiesQuery({
+    regionId: filters.region ? parseInt(filters.region) : null,
+    visibleOnly: false,
+    ...tablePageQuery(filters),
+  });
+  const municipalities = municipalityPage?.items ?? [];
 
   const resetForm = () => {
     setFormData({ name: '', region_id: '', latitude: '', longitude: '', is_visible: true });
@@ -63,8 +71,8 @@ const MunicipalitiesTab = ({ municipalities, regions, dispatch, actionLoading })
   const getRegionName = (regionId) => regions.find((r) => r.id === regionId)?.name || 'Unknown';
 
   const columns = [
-    { key: 'id', label: 'ID', className: 'text-gray-300' },
-    { key: 'name', label: 'Name', className: 'text-white' },
+    { key: 'id', label: 'ID', className: 'text-gray-300', sortable: true },
+    { key: 'name', label: 'Name', className: 'text-white', sortable: true },
     {
       key: 'region_id',
       label: 'Region',
@@ -112,9 +120,9 @@ const MunicipalitiesTab = ({ municipalities, regions, dispatch, actionLoading })
   return (
     <div>
       <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
-        <h2 className="text-xl font-bold text-white">Municipalities ({filteredMunicipalities.length})</h2>
+        <h2 className="text-xl font-bold text-white">Municipalities{totalLabel(municipalityPage)}</h2>
         <div className="flex gap-4">
-          <select value={filterRegionId} onChange={(e) => setFilterRegionId(e.target.value)} className="input">
+          <select value={filters.region} onChange={(e) => setFilters({ region: e.target.value })} className="input">
             <option value="">All Regions</option>
             {regions.map((r) => (
               <option key={r.id} value={r.id}>{r.name}</option>
@@ -185,7 +193,18 @@ const MunicipalitiesTab = ({ municipalities, regions, dispatch, actionLoading })
         </div>
       )}
 
-      <AdminTable columns={columns} data={filteredMunicipalities} emptyMessage="No municipalities found." />
+      <AdminTable
+        columns={columns}
+        data={municipalities}
+        emptyMessage={error?.message || 'No municipalities found.'}
+        loading={isFetching}
+        sort={filters.sort}
+        onSortChange={(sort) => setFilters({ sort })}
+        page={filters.page}
+        total={municipalityPage?.total ?? null}
+        hasMore={municipalityPage?.hasMore}
+        onPageChange={(page) => setFilters({ page })}
+      />
     </div>
   );
 };
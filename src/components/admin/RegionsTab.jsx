@@ -1,5 +1,6 @@
 /**
  * RegionsTab - Admin CRUD interface for regions
+ * The table pages through the backend; country filter, page and sort are kept in the URL.
  */
 import { useState } from 'react';
 import {
@@ -8,17 +9,24 @@ import {
   deleteRegion,
   toggleRegionVisibility,
 } from '../../store/slices/adminSlice';
-import AdminTable from './AdminTable';
+import { useGetRegionsQuery } from '../../store/slices/apiSlice';
+import { useUrlFilters } from '../../hooks/useUrlFilters';
+import AdminTable, { tablePageQuery, totalLabel } from './AdminTable';
 
-const RegionsTab = ({ regions, countries, dispatch, actionLoading }) => {
+const TABLE_FILTERS = { page: 1, sort: 'id', country: '' };
+
+const RegionsTab = ({ countries, dispatch, actionLoading }) => {
   const [showForm, setShowForm] = useState(false);
   const [editItem, setEditItem] = useState(null);
-  const [filterCountryId, setFilterCountryId] = useState('');
+  const [filters, setFilters] = useUrlFilters(TABLE_FILTERS);
   const [formData, setFormData] = useState({ name: '', country_id: '', is_visible: true });
 
-  const filteredRegions = filterCountryId
-    ? regions.filter((r) => r.country_id === parseInt(filterCountryId))
-    : regions;
+  const { data: regionPage, isFetching, error } = useGetRegionsQuery({
+    countryId: filters.country ? parseInt(filters.country) : null,
+    visibleOnly: false,
+    ...tablePageQuery(filters),
+  });
+  const regions = regionPage?.items ?? [];
 
   const resetForm = () => {
     setFormData({ name: '', country_id: '', is_visible: true });
@@ -52,8 +60,8 @@ const RegionsTab = ({ regions, countries, dispatch, actionLoading }) => {
   const getCountryName = (countryId) => countries.find((c) => c.id === countryId)?.name || 'Unknown';
 
   const columns = [
-    { key: 'id', label: 'ID', className: 'text-gray-300' },
-    { key: 'name', label: 'Name', className: 'text-white' },
+    { key: 'id', label: 'ID', className: 'text-gray-300', sortable: true },
+    { key: 'name', label: 'Name', className: 'text-white', sortable: true },
     {
       key: 'country_id',
       label: 'Country',
@@ -96,11 +104,11 @@ const RegionsTab = ({ regions, countries, dispatch, actionLoading }) => {
   return (
     <div>
       <div className="flex justify-between items-center mb-4 flex-wrap gap-4" data-animate="fade-right" data-duration="fast">
-        <h2 className="text-xl font-bold text-white">Regions ({filteredRegions.length})</h2>
+        <h2 className="text-xl font-bold text-white">Regions{totalLabel(regionPage)}</h2>
         <div className="flex gap-4">
           <select
-            value={filterCountryId}
-            onChange={(e) => setFilterCountryId(e.target.value)}
+            value={filters.country}
+            onChange={(e) => setFilters({ country: e.target.value })}
             className="input"
           >
             <option value="">All Countries</option>
@@ -155,7 +163,18 @@ const RegionsTab = ({ regions, countries, dispatch, actionLoading }) => {
         </div>
       )}
 
-      <AdminTable columns={columns} data={filteredRegions} emptyMessage="No regions found." />
+      <AdminTable
+        columns={columns}
+        data={regions}
+        emptyMessage={error?.message || 'No regions found.'}
+        loading={isFetching}
+        sort={filters.sort}
+        onSortChange={(sort) => setFilters({ sort })}
+        page={filters.page}
+        total={regionPage?.total ?? null}
+        hasMore={regionPage?.hasMore}
+        onPageChange={(page) => setFilters({ page })}
+      />
     </div>
   );
 };
@@ -10,5 +10,8 @@ export { default as FlagsTab } from './FlagsTab';
 export { default as GenerateNFTTab } from './GenerateNFTTab';
 export { default as DemoUserTab } from './DemoUserTab';
 export { default as UtilitiesTab } from './UtilitiesTab';
+export { default as ChainSyncTab } from './ChainSyncTab';
+export { default as ContractTab } from './ContractTab';
+export { default as DiscountsTab } from './DiscountsTab';
 export { default as AdminTable } from './AdminTable';
 export { default as StatCard } from './StatCard';
@@ -1,33 +1,267 @@
 /**
  * Frontend Configuration
  * Reads settings from environment variables (Vite uses import.meta.env)
+ *
+ * MULTI-NETWORK:
+ * Chain-specific settings (contract addresses, RPCs, explorer, currency, API)
+ * live in a network registry. The VITE_CHAIN_ID network takes the single-network
+ * variables below; more networks can be added with VITE_NETWORKS. The active
+ * network is picked at runtime (setActiveNetwork) and remembered in the browser,
+ * and the chain-specific fields of `config` always describe the active network.
  */
 
+const env = import.meta.env;
+
+const ACTIVE_NETWORK_STORAGE_KEY = 'municipalFlag.network';
+
+const splitList = (value) => (value || '')
+  .split(',')
+  .map((item) => item.trim())
+  .filter(Boolean);
+
+// Public IPFS gateways tried after the primary one when it is slow or down
+const ipfsGateway = env.VITE_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
+const ipfsFallbackGateways = splitList(env.VITE_IPFS_FALLBACK_GATEWAYS || 'https://ipfs.io/ipfs,https://dweb.link/ipfs')
+  .map((url) => url.replace(/\/$/, ''))
+  .filter((url) => url !== ipfsGateway);
+
+const apiUrl = env.VITE_API_URL || 'http://localhost:8000/api';
+
+// =============================================================================
+// NETWORK REGISTRY
+// =============================================================================
+
+const POL = { name: 'POL', symbol: 'POL', decimals: 18 };
+
+// Known chains; deployments (contract addresses) come from the environment
+const BUILT_IN_NETWORKS = [
+  {
+    chainId: 80002,
+    name: 'Polygon Amoy Testnet',
+    shortName: 'Amoy',
+    testnet: true,
+    nativeCurrency: POL,
+    rpcUrls: ['https://rpc-amoy.polygon.technology'],
+    blockExplorer: 'https://amoy.polygonscan.com',
+  },
+  {
+    chainId: 137,
+    name: 'Polygon',
+    shortName: 'Polygon',
+    testnet: false,
+    nativeCurrency: POL,
+    rpcUrls: ['https://polygon-rpc.com'],
+    blockExplorer: 'https://polygonscan.com',
+  },
+  {
+    // Hardhat and Anvil nodes, see scripts/local-chain.js
+    chainId: 31337,
+    name: 'Local Chain',
+    shortName: 'Local',
+    testnet: true,
+    local: true,
+    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+    rpcUrls: ['http://127.0.0.1:8545'],
+    blockExplorer: '',
+  },
+];
+
+const NETWORK_DEFAULTS = {
+  testnet: false,
+  local: false,
+  nativeCurrency: POL,
+  rpcUrls: [],
+  contractAddress: '',
+  auctionHouseAddress: '',
+  contractDeployBlock: 0,
+  apiUrl,
+  auctionEventsUrl: null,
+};
+
+const defaultChainId = parseInt(env.VITE_CHAIN_ID) || 80002;
+
+// Fallback RPCs apply with or without VITE_RPC_URL; without it they follow the built-in RPC
+const envRpcFallbackUrls = splitList(env.VITE_RPC_FALLBACK_URLS);
+const envRpcUrl = env.VITE_RPC_URL
+  || BUILT_IN_NETWORKS.find((network) => network.chainId === defaultChainId)?.rpcUrls[0];
+
+// The single-network variables describe the default network
+const envNetwork = {
+  chainId: defaultChainId,
+  ...(env.VITE_CHAIN_NAME && { name: env.VITE_CHAIN_NAME }),
+  ...((env.VITE_RPC_URL || envRpcFallbackUrls.length > 0) && {
+    rpcUrls: [envRpcUrl, ...envRpcFallbackUrls].filter(Boolean),
+  }),
+  ...(env.VITE_BLOCK_EXPLORER && { blockExplorer: env.VITE_BLOCK_EXPLORER }),
+  contractAddress: env.VITE_CONTRACT_ADDRESS || '',
+  auctionHouseAddress: env.VITE_AUCTION_HOUSE_ADDRESS || '',
+  contractDeployBlock: parseInt(env.VITE_CONTRACT_DEPLOY_BLOCK) || 0,
+  auctionEventsUrl: env.VITE_AUCTION_EVENTS_URL || null,
+  // Marks a development node, enabling the dev signer (set by scripts/local-chain.js)
+  ...(env.VITE_LOCAL_CHAIN === 'true' && { local: true }),
+};
+
+/**
+ * Extra networks as a JSON array, e.g.
+ * [{"chainId":137,"contractAddress":"0x...","apiUrl":"https://api.example.com/api"}]
+ * Entries for a built-in chain only need the fields that differ.
+ */
+const parseExtraNetworks = () => {
+  if (!env.VITE_NETWORKS) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(env.VITE_NETWORKS);
+  } catch (error) {
+    throw new Error(`VITE_NETWORKS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new Error('VITE_NETWORKS must be a JSON array of networks');
+  }
+  return parsed;
+};
+
+const buildNetworks = () => {
+  const byChainId = new Map();
+  const merge = (entry) => {
+    const chainId = parseInt(entry.chainId);
+    if (!chainId) return;
+    const current = byChainId.get(chainId) || { ...NETWORK_DEFAULTS, name: `Chain ${chainId}` };
+    byChainId.set(chainId, {
+      ...current,
+      ...entry,
+      chainId,
+      nativeCurrency: { ...current.nativeCurrency, ...entry.nativeCurrency },
+    });
+  };
+
+  BUILT_IN_NETWORKS.forEach(merge);
+  merge(envNetwork);
+  parseExtraNetworks().forEach(merge);
+
+  return [...byChainId.values()]
+    // Chains without a deployment can't be used, except the default one
+    .filter((network) => network.contractAddress || network.chainId === defaultChainId)
+    .map((network) => ({
+      ...network,
+      shortName: network.shortName || network.name,
+      auctionEventsUrl: network.auctionEventsUrl || network.apiUrl,
+    }));
+};
+
+const networks = buildNetworks();
+
+const findNetwork = (chainId) => networks.find((network) => network.chainId === parseInt(chainId));
+
+const loadActiveChainId = () => {
+  try {
+    return parseInt(localStorage.getItem(ACTIVE_NETWORK_STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+};
+
+let activeNetwork = findNetwork(loadActiveChainId()) || findNetwork(defaultChainId);
+
+/**
+ * Parameters for wallet_addEthereumChain (EIP-3085)
+ */
+const toWalletNetworkConfig = (network) => ({
+  chainId: `0x${network.chainId.toString(16)}`,
+  chainName: network.name,
+  nativeCurrency: network.nativeCurrency,
+  rpcUrls: network.rpcUrls,
+  // Wallets reject an empty explorer URL, so networks without one leave it out
+  ...(network.blockExplorer && { blockExplorerUrls: [network.blockExplorer] }),
+});
+
 const config = {
+  // All selectable networks, and the one currently in use
+  networks,
+  get network() {
+    return activeNetwork;
+  },
+
+  /**
+   * Make another registered network active and remember the choice.
+   * Callers are responsible for resetting network-bound state (see store/slices/networkSlice).
+   * @returns {Object} The new active network
+   */
+  setActiveNetwork: (chainId) => {
+    const network = findNetwork(chainId);
+    if (!network) {
+      throw new Error(`Network ${chainId} is not configured`);
+    }
+    activeNetwork = network;
+    try {
+      localStorage.setItem(ACTIVE_NETWORK_STORAGE_KEY, String(network.chainId));
+    } catch {
+      // Storage unavailable - the choice lasts for this page load only
+    }
+    return network;
+  },
+
   // API Configuration
-  apiUrl: import.meta.env.VITE_API_URL || 'http://localhost:8000/api',
+  get apiUrl() {
+    return activeNetwork.apiUrl;
+  },
+
+  // Live auction updates (WebSocket with SSE fallback); defaults to the API host
+  get auctionEventsUrl() {
+    return activeNetwork.auctionEventsUrl;
+  },
 
   // Blockchain Configuration
-  contractAddress: import.meta.env.VITE_CONTRACT_ADDRESS || '',
-  chainId: parseInt(import.meta.env.VITE_CHAIN_ID) || 80002,
-  chainName: import.meta.env.VITE_CHAIN_NAME || 'Polygon Amoy Testnet',
-  rpcUrl: import.meta.env.VITE_RPC_URL || 'https://rpc-amoy.polygon.technology',
-  blockExplorer: import.meta.env.VITE_BLOCK_EXPLORER || 'https://amoy.polygonscan.com',
+  get contractAddress() {
+    return activeNetwork.contractAddress;
+  },
+  // Escrow auction house; when empty, auctions are database-only
+  get auctionHouseAddress() {
+    return activeNetwork.auctionHouseAddress;
+  },
+  get chainId() {
+    return activeNetwork.chainId;
+  },
+  get chainName() {
+    return activeNetwork.name;
+  },
+  get rpcUrl() {
+    return activeNetwork.rpcUrls[0];
+  },
+  // Extra RPC endpoints for read-only calls, tried when the primary one fails
+  get rpcFallbackUrls() {
+    return activeNetwork.rpcUrls.slice(1);
+  },
+  get blockExplorer() {
+    return activeNetwork.blockExplorer;
+  },
+  // Block the contract was deployed in; event history is not searched before it
+  get contractDeployBlock() {
+    return activeNetwork.contractDeployBlock;
+  },
+  // Blocks scanned per history page, kept below common eth_getLogs range limits
+  logBlockRange: parseInt(env.VITE_LOG_BLOCK_RANGE) || 10000,
+  // Multicall3 is deployed at the same address on most chains; reads fall back to JSON-RPC batching without it
+  get multicallAddress() {
+    return activeNetwork.multicallAddress || env.VITE_MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+  },
+  // WalletConnect Cloud project; the WalletConnect option is hidden when empty
+  walletConnectProjectId: env.VITE_WALLETCONNECT_PROJECT_ID || '',
+  // Built-in signer for local chains only: accounts derived from this mnemonic are offered as wallets
+  devSignerMnemonic: env.VITE_DEV_SIGNER_MNEMONIC || '',
+  devSignerAccounts: parseInt(env.VITE_DEV_SIGNER_ACCOUNTS) || 3,
 
   // IPFS Configuration
-  ipfsGateway: import.meta.env.VITE_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs',
+  ipfsGateway,
+  // All gateways in the order images are requested from
+  ipfsGateways: [ipfsGateway, ...ipfsFallbackGateways],
+  // Milliseconds before the next gateway is raced against a slow one
+  ipfsGatewayTimeout: parseInt(env.VITE_IPFS_GATEWAY_TIMEOUT) || 4000,
+  // Check downloaded images against their CID before showing them
+  ipfsVerifyContent: env.VITE_IPFS_VERIFY_CONTENT === 'true',
 
   // Network configuration for MetaMask
-  networkConfig: {
-    chainId: `0x${(parseInt(import.meta.env.VITE_CHAIN_ID) || 80002).toString(16)}`,
-    chainName: import.meta.env.VITE_CHAIN_NAME || 'Polygon Amoy Testnet',
-    nativeCurrency: {
-      name: 'POL',
-      symbol: 'POL',
-      decimals: 18,
-    },
-    rpcUrls: [import.meta.env.VITE_RPC_URL || 'https://rpc-amoy.polygon.technology'],
-    blockExplorerUrls: [import.meta.env.VITE_BLOCK_EXPLORER || 'https://amoy.polygonscan.com'],
+  get networkConfig() {
+    return toWalletNetworkConfig(activeNetwork);
   },
 
   // Helper functions
@@ -36,10 +270,14 @@ const config = {
     if (hash.startsWith('ipfs://')) {
       hash = hash.replace('ipfs://', '');
     }
-    const gateway = import.meta.env.VITE_IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs';
-    return `${gateway}/${hash}`;
+    return `${ipfsGateway}/${hash}`;
   },
 
+  // Explorer links are null on networks without a block explorer (local chain)
+  getTxUrl: (hash) => (activeNetwork.blockExplorer ? `${activeNetwork.blockExplorer}/tx/${hash}` : null),
+
+  getAddressUrl: (address) => (activeNetwork.blockExplorer ? `${activeNetwork.blockExplorer}/address/${address}` : null),
+
   truncateAddress: (address, chars = 4) => {
     if (!address) return '';
     return `${address.slice(0, chars + 2)}...${address.slice(-chars)}`;
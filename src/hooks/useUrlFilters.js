@@ -0,0 +1,62 @@
+/**
+ * useUrlFilters - List filters, sort and page kept in the URL query string
+ *
+ * - Values are read with the type of their default (number, boolean or string)
+ * - Values equal to their default are left out of the URL, so plain links stay plain
+ * - Changing any filter other than `page` returns to the first page
+ * - Updates replace the history entry instead of adding one per keystroke
+ */
+import { useCallback, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+
+const parseValue = (raw, fallback) => {
+  if (raw === null) return fallback;
+  if (typeof fallback === 'number') {
+    const number = Number(raw);
+    return Number.isFinite(number) ? number : fallback;
+  }
+  if (typeof fallback === 'boolean') return raw === '1' || raw === 'true';
+  return raw;
+};
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  return String(value);
+};
+
+/**
+ * @param {Object} defaults - Filter names and their default values; keep it at
+ *   module level so it is the same object on every render
+ * @returns {[Object, Function]} Current filters, and a setter taking the changed ones
+ */
+export const useUrlFilters = (defaults) => {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const filters = useMemo(
+    () => Object.fromEntries(Object.entries(defaults).map(([key, fallback]) => [
+      key, parseValue(searchParams.get(key), fallback),
+    ])),
+    [defaults, searchParams]
+  );
+
+  const setFilters = useCallback((changes) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      const updates = 'page' in defaults && !('page' in changes)
+        ? { ...changes, page: defaults.page }
+        : changes;
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value === defaults[key] || value === null || value === undefined || value === '') {
+          next.delete(key);
+        } else {
+          next.set(key, formatValue(value));
+        }
+      });
+      return next;
+    }, { replace: true });
+  }, [defaults, setSearchParams]);
+
+  return [filters, setFilters];
+};
+
+export default useUrlFilters;
@@ -3,10 +3,15 @@
  *
  * VISUAL ADMIN CRUD INTERFACE:
  * - Tab-based navigation: Stats | Countries | Regions | Municipalities | Flags
+ * - On-Chain tab registers database flags in the contract (owner wallet)
+ * - Contract tab shows balance, owner and withdrawals; owner can withdraw or hand over ownership
+ * - Discounts tab lists Plus/Premium holders and explains a wallet's tier
  * - Create, Read, Update, Delete operations for all entities
  * - Hierarchical filtering (Country → Region → Municipality → Flag)
+ * - Entity tables page through the backend; the tab, filters, page and sort are in the URL
  */
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import {
   authenticate,
@@ -33,8 +38,13 @@ import {
   selectAdminActionLoading,
   selectAdminMessage,
   selectAdminError,
+  selectChainSync,
+  selectChainSyncLoading,
+  selectContractOverview,
+  selectContractOverviewLoading,
   clearMessage,
 } from '../store/slices/adminSlice';
+import { selectAddress, selectIsConnected } from '../store/slices/walletSlice';
 // Admin Tab Components
 import {
   StatsTab,
@@ -45,9 +55,12 @@ import {
   GenerateNFTTab,
   DemoUserTab,
   UtilitiesTab,
+  ChainSyncTab,
+  ContractTab,
+  DiscountsTab,
 } from '../components/admin';
 
-const TABS = ['Stats', 'Countries', 'Regions', 'Municipalities', 'Flags', 'Generate NFT', 'Demo User', 'Utilities'];
+const TABS = ['Stats', 'Countries', 'Regions', 'Municipalities', 'Flags', 'Generate NFT', 'On-Chain', 'Contract', 'Discounts', 'Demo User', 'Utilities'];
 
 // Login Screen Component
 const AdminLogin = ({ onAuth, loading, error }) => {
@@ -91,9 +104,13 @@ const AdminLogin = ({ onAuth, loading, error }) => {
 const AdminDashboard = ({
   stats, countries, regions, municipalities, flags, ipfsStatus, demoUser,
   nftGenerationResult, nftGenerating, streetViewAvailable,
+  chainSync, chainSyncLoading, contractOverview, contractOverviewLoading, address, isConnected,
   loading, actionLoading, message, error, dispatch, onLogout
 }) => {
-  const [activeTab, setActiveTab] = useState('Stats');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const activeTab = TABS.includes(searchParams.get('tab')) ? searchParams.get('tab') : 'Stats';
+  // A new tab starts without the previous tab's filters
+  const setActiveTab = (tab) => setSearchParams(tab === 'Stats' ? {} : { tab });
 
   return (
     <div className="page-container">
@@ -150,14 +167,12 @@ const AdminDashboard = ({
         {activeTab === 'Stats' && <StatsTab stats={stats} />}
         {activeTab === 'Countries' && (
           <CountriesTab
-            countries={countries}
             dispatch={dispatch}
             actionLoading={actionLoading}
           />
         )}
         {activeTab === 'Regions' && (
           <RegionsTab
-            regions={regions}
             countries={countries}
             dispatch={dispatch}
             actionLoading={actionLoading}
@@ -165,7 +180,6 @@ const AdminDashboard = ({
         )}
         {activeTab === 'Municipalities' && (
           <MunicipalitiesTab
-            municipalities={municipalities}
             regions={regions}
             dispatch={dispatch}
             actionLoading={actionLoading}
@@ -173,7 +187,6 @@ const AdminDashboard = ({
         )}
         {activeTab === 'Flags' && (
           <FlagsTab
-            flags={flags}
             municipalities={municipalities}
             dispatch={dispatch}
             actionLoading={actionLoading}
@@ -188,6 +201,26 @@ const AdminDashboard = ({
             streetViewAvailable={streetViewAvailable}
           />
         )}
+        {activeTab === 'On-Chain' && (
+          <ChainSyncTab
+            flags={flags}
+            chainSync={chainSync}
+            chainSyncLoading={chainSyncLoading}
+            address={address}
+            isConnected={isConnected}
+            dispatch={dispatch}
+          />
+        )}
+        {activeTab === 'Contract' && (
+          <ContractTab
+            contractOverview={contractOverview}
+            contractOverviewLoading={contractOverviewLoading}
+            address={address}
+            isConnected={isConnected}
+            dispatch={dispatch}
+          />
+        )}
+        {activeTab === 'Discounts' && <DiscountsTab />}
         {activeTab === 'Demo User' && (
           <DemoUserTab
             demoUser={demoUser}
@@ -224,22 +257,30 @@ const Admin = () => {
   const nftGenerationResult = useSelector(selectNftGenerationResult);
   const nftGenerating = useSelector(selectNftGenerating);
   const streetViewAvailable = useSelector(selectStreetViewAvailable);
+  const chainSync = useSelector(selectChainSync);
+  const chainSyncLoading = useSelector(selectChainSyncLoading);
+  const contractOverview = useSelector(selectContractOverview);
+  const contractOverviewLoading = useSelector(selectContractOverviewLoading);
+  const address = useSelector(selectAddress);
+  const isConnected = useSelector(selectIsConnected);
   const loading = useSelector(selectAdminLoading);
   const actionLoading = useSelector(selectAdminActionLoading);
   const message = useSelector(selectAdminMessage);
   const error = useSelector(selectAdminError);
 
-  // Load data when authenticated
+  // Load data when authenticated, cancelling the requests when leaving the page
   useEffect(() => {
-    if (authenticated) {
-      dispatch(fetchAdminStats());
-      dispatch(fetchAdminCountries());
-      dispatch(fetchAdminRegions());
-      dispatch(fetchAdminMunicipalities());
-      dispatch(fetchAdminFlags());
-      dispatch(fetchIpfsStatus());
-      dispatch(fetchDemoUser());
-    }
+    if (!authenticated) return undefined;
+    const requests = [
+      dispatch(fetchAdminStats()),
+      dispatch(fetchAdminCountries()),
+      dispatch(fetchAdminRegions()),
+      dispatch(fetchAdminMunicipalities()),
+      dispatch(fetchAdminFlags()),
+      dispatch(fetchIpfsStatus()),
+      dispatch(fetchDemoUser()),
+    ];
+    return () => requests.forEach((request) => request.abort());
   }, [dispatch, authenticated]);
 
   // Auto-clear messages
@@ -269,6 +310,12 @@ const Admin = () => {
       nftGenerationResult={nftGenerationResult}
       nftGenerating={nftGenerating}
       streetViewAvailable={streetViewAvailable}
+      chainSync={chainSync}
+      chainSyncLoading={chainSyncLoading}
+      contractOverview={contractOverview}
+      contractOverviewLoading={contractOverviewLoading}
+      address={address}
+      isConnected={isConnected}
       loading={loading}
       actionLoading={actionLoading}
       message={message}
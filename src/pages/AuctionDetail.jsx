@@ -6,45 +6,90 @@
  * - Displays buyout_price with instant buyout button
  * - Bidder category selection for tie-breaking
  * - Shows winner_category for closed auctions
+ * - Settle an ended auction (seller or winner), cancel one without bids (seller)
+ * - Withdraw outbid escrow refunds
+ *
+ * LIVE UPDATES:
+ * - Bids, buyouts, cancellations and closures are pushed over a live channel
+ * - Countdown ticks every second
+ * - Banner when the connected wallet has been outbid
  */
-import { useEffect, useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import {
-  fetchAuction,
-  placeBid,
-  buyoutAuction,
-  selectCurrentAuction,
-  selectAuctionsLoading,
-  selectActionLoading,
-  clearCurrentAuction,
+  selectLiveStatus,
+  selectOutbid,
+  clearLiveAuction,
+  setLiveStatus,
+  auctionEventReceived,
+  dismissOutbid,
+  settleAuction,
+  cancelAuction,
 } from '../store/slices/auctionsSlice';
-import { selectAddress, selectIsConnected, connectWallet } from '../store/slices/walletSlice';
+import { trackTransaction, selectPendingAuctionTransaction } from '../store/slices/transactionsSlice';
+import { useGetAuctionQuery, usePlaceBidMutation, useBuyoutAuctionMutation } from '../store/slices/apiSlice';
+import { selectAddress, selectIsConnected, openWalletPicker } from '../store/slices/walletSlice';
+import { subscribeToAuction } from '../services/auctionEvents';
+import { sendPlaceOnChainBid, sendBuyoutOnChainAuction, getErrorMessage } from '../services/web3';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
+import IpfsImage from '../components/IpfsImage';
+import Address from '../components/Address';
+import AuctionRefund from '../components/AuctionRefund';
 import config from '../config';
 
 const AuctionDetail = () => {
+  const symbol = config.network.nativeCurrency.symbol;
   const { id } = useParams();
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const auction = useSelector(selectCurrentAuction);
-  const loading = useSelector(selectAuctionsLoading);
-  const actionLoading = useSelector(selectActionLoading);
+  const { data: auction, isLoading: loading, error, refetch } = useGetAuctionQuery(id);
+  const [placeBid, { isLoading: bidSaving }] = usePlaceBidMutation();
+  const [buyoutAuction, { isLoading: buyoutSaving }] = useBuyoutAuctionMutation();
   const address = useSelector(selectAddress);
   const isConnected = useSelector(selectIsConnected);
+  const liveStatus = useSelector(selectLiveStatus);
+  const outbid = useSelector(selectOutbid);
+  const pendingAuctionTransaction = useSelector(selectPendingAuctionTransaction(auction?.id));
+  // A bid or buyout still being registered blocks the next one
+  const actionLoading = bidSaving || buyoutSaving || !!pendingAuctionTransaction;
 
   const [bidAmount, setBidAmount] = useState('');
   const [bidderCategory, setBidderCategory] = useState('standard');
   const [bidding, setBidding] = useState(false);
   const [buyingOut, setBuyingOut] = useState(false);
+  const [settling, setSettling] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  // Read the latest address inside the live channel callback without resubscribing
+  const addressRef = useRef(address);
+  addressRef.current = address;
 
   useEffect(() => {
-    dispatch(fetchAuction(id));
     return () => {
-      dispatch(clearCurrentAuction());
+      dispatch(clearLiveAuction());
     };
   }, [dispatch, id]);
 
+  // LIVE UPDATES: Subscribe to pushed auction events
+  useEffect(() => {
+    const unsubscribe = subscribeToAuction(id, {
+      onEvent: (event) => dispatch(auctionEventReceived({ event, viewerAddress: addressRef.current })),
+      onStatus: (status) => dispatch(setLiveStatus(status)),
+      // Catch up on anything missed while disconnected
+      onReconnect: () => refetch(),
+    });
+    return unsubscribe;
+  }, [dispatch, id, refetch]);
+
+  // LIVE UPDATES: Tick the countdown
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
   const handlePlaceBid = async (e) => {
     e.preventDefault();
     if (!isConnected) {
@@ -58,23 +103,37 @@ const AuctionDetail = () => {
 
     // Validate bid amount against min_price
     if (parseFloat(bidAmount) < parseFloat(auction.min_price)) {
-      alert(`Bid must be at least ${config.formatPrice(auction.min_price)} POL (minimum price)`);
+      alert(`Bid must be at least ${config.formatPrice(auction.min_price)} ${symbol} (minimum price)`);
       return;
     }
 
     setBidding(true);
     try {
-      await dispatch(placeBid({
+      const bid = {
         auctionId: parseInt(id),
-        walletAddress: address,
         amount: parseFloat(bidAmount),
         bidderCategory: bidderCategory,
-      })).unwrap();
-
-      alert('Bid placed successfully!');
+      };
+
+      if (auction.onchain_auction_id != null) {
+        // ON-CHAIN ESCROW: Lock the bid amount in the auction house; the bid is
+        // registered once the transaction is mined
+        const { transactionHash } = await sendPlaceOnChainBid(auction.onchain_auction_id, bidAmount);
+        dispatch(trackTransaction({
+          hash: transactionHash,
+          kind: 'placeBid',
+          description: `Bid ${config.formatPrice(bidAmount)} ${symbol} on auction #${auction.id}`,
+          params: { ...bid, address },
+        }));
+      } else {
+        await placeBid({ ...bid, walletAddress: address }).unwrap();
+        alert('Bid placed successfully!');
+      }
       setBidAmount('');
     } catch (error) {
-      alert(error || 'Failed to place bid');
+      // Cancelled in the wallet: nothing to report
+      const message = getErrorMessage(error, 'Failed to place bid');
+      if (message) alert(message);
     } finally {
       setBidding(false);
     }
@@ -86,28 +145,65 @@ const AuctionDetail = () => {
       return;
     }
 
-    if (!window.confirm(`Are you sure you want to buyout this auction for ${config.formatPrice(auction.buyout_price)} POL?`)) {
+    if (!window.confirm(`Are you sure you want to buyout this auction for ${config.formatPrice(auction.buyout_price)} ${symbol}?`)) {
       return;
     }
 
     setBuyingOut(true);
     try {
-      await dispatch(buyoutAuction({
-        auctionId: parseInt(id),
-        walletAddress: address,
-      })).unwrap();
-
-      alert('Buyout successful! You now own this flag.');
+      if (auction.onchain_auction_id != null) {
+        // ON-CHAIN ESCROW: Payment and token transfer settle in one transaction;
+        // the buyout is registered once it is mined
+        const { transactionHash } = await sendBuyoutOnChainAuction(auction.onchain_auction_id, auction.buyout_price);
+        dispatch(trackTransaction({
+          hash: transactionHash,
+          kind: 'buyoutAuction',
+          description: `Buy out auction #${auction.id}`,
+          params: { auctionId: parseInt(id), address },
+        }));
+      } else {
+        await buyoutAuction({ auctionId: parseInt(id), walletAddress: address }).unwrap();
+        alert('Buyout successful! You now own this flag.');
+      }
     } catch (error) {
-      alert(error || 'Failed to buyout auction');
+      const message = getErrorMessage(error, 'Failed to buyout auction');
+      if (message) alert(message);
     } finally {
       setBuyingOut(false);
     }
   };
 
-  const handleConnect = () => dispatch(connectWallet());
+  const handleSettle = async () => {
+    setSettling(true);
+    try {
+      await dispatch(settleAuction(auction)).unwrap();
+    } catch (message) {
+      // Cancelled in the wallet: nothing to report
+      if (message) alert(message);
+    } finally {
+      setSettling(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this auction and take the flag back?')) {
+      return;
+    }
+
+    setCancelling(true);
+    try {
+      await dispatch(cancelAuction({ auction, address })).unwrap();
+    } catch (message) {
+      if (message) alert(message);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
+  const handleConnect = () => dispatch(openWalletPicker());
 
   if (loading && !auction) return <Loading text="Loading auction details..." />;
+  if (!auction && error && error.code !== 'not_found') return <ErrorState error={error} onRetry={refetch} />;
   if (!auction) {
     return (
       <div className="page-container">
@@ -128,13 +224,13 @@ const AuctionDetail = () => {
     );
   }
 
-  const imageUrl = auction.flag?.image_ipfs_hash
-    ? config.getIpfsUrl(auction.flag.image_ipfs_hash)
-    : null;
-
-  const timeRemaining = new Date(auction.ends_at) - new Date();
+  const timeRemaining = new Date(auction.ends_at) - now;
   const isEnded = timeRemaining <= 0 || auction.status !== 'active';
   const isSeller = address?.toLowerCase() === auction.seller?.wallet_address?.toLowerCase();
+  const isHighestBidder = !!address
+    && address.toLowerCase() === auction.highest_bidder?.wallet_address?.toLowerCase();
+  const canSettle = isConnected && (isSeller || isHighestBidder);
+  const canCancel = isConnected && isSeller && !isEnded && !auction.bid_count;
   const currentHighestBid = auction.current_highest_bid || auction.starting_price;
   const minBidAmount = Math.max(
     parseFloat(auction.min_price),
@@ -146,10 +242,11 @@ const AuctionDetail = () => {
     const days = Math.floor(timeRemaining / (1000 * 60 * 60 * 24));
     const hours = Math.floor((timeRemaining % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
     const minutes = Math.floor((timeRemaining % (1000 * 60 * 60)) / (1000 * 60));
+    const seconds = Math.floor((timeRemaining % (1000 * 60)) / 1000);
 
     if (days > 0) return `${days}d ${hours}h`;
     if (hours > 0) return `${hours}h ${minutes}m`;
-    return `${minutes}m`;
+    return `${minutes}m ${seconds}s`;
   };
 
   const getCategoryBadgeClass = (category) => {
@@ -185,6 +282,25 @@ const AuctionDetail = () => {
         </span>
       </nav>
 
+      {/* LIVE UPDATES: Outbid banner */}
+      {outbid && outbid.auctionId === auction.id && (
+        <div
+          data-animate="fade-down"
+          data-duration="fast"
+          className="mb-6 p-4 bg-red-600/20 border border-red-600/50 rounded-[3px] flex items-center justify-between gap-4"
+        >
+          <p className="text-red-400">
+            You&apos;ve been outbid! The highest bid is now {config.formatPrice(outbid.amount)} {symbol}.
+          </p>
+          <button
+            onClick={() => dispatch(dismissOutbid())}
+            className="text-gray-400 hover:text-white bg-transparent border-none cursor-pointer text-sm"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
       <div className="grid lg:grid-cols-2 gap-8">
         {/* Image Section */}
         <div>
@@ -197,13 +313,18 @@ const AuctionDetail = () => {
             {auction.buyout_price && auction.status === 'active' && (
               <div className="absolute top-2 right-2 z-10">
                 <span className="px-3 py-1 text-sm rounded bg-yellow-500/20 text-yellow-400 border border-yellow-500/50">
-                  Buyout: {config.formatPrice(auction.buyout_price)} POL
+                  Buyout: {config.formatPrice(auction.buyout_price)} {symbol}
                 </span>
               </div>
             )}
 
-            {imageUrl ? (
-              <img src={imageUrl} alt="Flag" className="w-full aspect-square object-cover" />
+            {auction.flag?.image_ipfs_hash ? (
+              <IpfsImage
+                src={auction.flag.image_ipfs_hash}
+                placeholder={`https://placehold.co/500x500/1a1a2e/e94560?text=${encodeURIComponent(`Flag #${auction.flag_id}`)}`}
+                alt="Flag"
+                className="w-full aspect-square object-cover"
+              />
             ) : (
               <div className="w-full aspect-square bg-dark-darker flex items-center justify-center">
                 <div className="text-gray-600 text-lg">Flag #{auction.flag_id}</div>
@@ -257,6 +378,7 @@ const AuctionDetail = () => {
             <span className={`badge ${isEnded ? 'bg-gray-600' : 'bg-green-600'} text-white`}>
               {auction.status === 'active' ? (isEnded ? 'Time Ended' : 'Active') : auction.status}
             </span>
+            {auction.status === 'active' && <LiveIndicator status={liveStatus} />}
             {auction.status === 'closed' && auction.winner_category && (
               <span className={`px-2 py-1 text-xs rounded border ${getCategoryBadgeClass(auction.winner_category)}`}>
                 Winner: {auction.winner_category.charAt(0).toUpperCase() + auction.winner_category.slice(1)}
@@ -274,27 +396,27 @@ const AuctionDetail = () => {
               <div className="flex justify-between items-center">
                 <span className="text-gray-400">Starting Price:</span>
                 <span className="text-white font-semibold">
-                  {config.formatPrice(auction.starting_price)} POL
+                  {config.formatPrice(auction.starting_price)} {symbol}
                 </span>
               </div>
               <div className="flex justify-between items-center">
                 <span className="text-gray-400">Minimum Bid:</span>
                 <span className="text-gray-300">
-                  {config.formatPrice(auction.min_price)} POL
+                  {config.formatPrice(auction.min_price)} {symbol}
                 </span>
               </div>
               {auction.buyout_price && (
                 <div className="flex justify-between items-center">
                   <span className="text-gray-400">Buyout Price:</span>
                   <span className="text-yellow-400 font-semibold">
-                    {config.formatPrice(auction.buyout_price)} POL
+                    {config.formatPrice(auction.buyout_price)} {symbol}
                   </span>
                 </div>
               )}
               <div className="flex justify-between items-center border-t border-gray-700 pt-4">
                 <span className="text-gray-400">Current Bid:</span>
                 <span className="text-primary text-xl font-bold">
-                  {config.formatPrice(currentHighestBid)} POL
+                  {config.formatPrice(currentHighestBid)} {symbol}
                 </span>
               </div>
               <div className="flex justify-between items-center">
@@ -323,8 +445,8 @@ const AuctionDetail = () => {
             className="card p-6 mb-6"
           >
             <h3 className="text-white font-semibold mb-2">Seller</h3>
-            <p className="text-gray-400 font-mono text-sm">
-              {config.truncateAddress(auction.seller?.wallet_address, 8)}
+            <p className="text-gray-400 text-sm">
+              <Address address={auction.seller?.wallet_address} username={auction.seller?.username} chars={8} explorer />
             </p>
             {auction.seller?.reputation_score !== undefined && (
               <p className="text-gray-500 text-sm mt-1">
@@ -341,8 +463,8 @@ const AuctionDetail = () => {
               className="card p-6 mb-6 bg-primary/10 border-primary/30"
             >
               <h3 className="text-white font-semibold mb-2">Highest Bidder</h3>
-              <p className="text-primary font-mono text-sm">
-                {config.truncateAddress(auction.highest_bidder.wallet_address, 8)}
+              <p className="text-primary text-sm">
+                <Address address={auction.highest_bidder.wallet_address} username={auction.highest_bidder.username} chars={8} explorer />
               </p>
             </div>
           )}
@@ -356,7 +478,7 @@ const AuctionDetail = () => {
             >
               <h3 className="text-yellow-400 font-semibold mb-2">Instant Buyout</h3>
               <p className="text-gray-400 text-sm mb-4">
-                Skip the bidding and purchase this flag instantly for {config.formatPrice(auction.buyout_price)} POL
+                Skip the bidding and purchase this flag instantly for {config.formatPrice(auction.buyout_price)} {symbol}
               </p>
               {!isConnected ? (
                 <button onClick={handleConnect} className="btn bg-yellow-500 hover:bg-yellow-600 text-black w-full">
@@ -368,7 +490,7 @@ const AuctionDetail = () => {
                   className="btn bg-yellow-500 hover:bg-yellow-600 text-black w-full"
                   disabled={buyingOut || actionLoading}
                 >
-                  {buyingOut ? 'Processing Buyout...' : `Buyout for ${config.formatPrice(auction.buyout_price)} POL`}
+                  {buyingOut || pendingAuctionTransaction?.kind === 'buyoutAuction' ? 'Processing Buyout...' : `Buyout for ${config.formatPrice(auction.buyout_price)} ${symbol}`}
                 </button>
               )}
             </div>
@@ -395,7 +517,7 @@ const AuctionDetail = () => {
                 <form onSubmit={handlePlaceBid} className="space-y-4">
                   <div>
                     <label className="block text-sm text-gray-400 mb-2">
-                      Bid Amount (POL)
+                      Bid Amount ({symbol})
                     </label>
                     <input
                       type="number"
@@ -408,7 +530,7 @@ const AuctionDetail = () => {
                       className="w-full px-4 py-2 bg-dark-darker border border-gray-700 rounded-[3px] text-white focus:border-primary focus:outline-none"
                     />
                     <p className="text-gray-500 text-sm mt-1">
-                      Minimum bid: {config.formatPrice(minBidAmount)} POL
+                      Minimum bid: {config.formatPrice(minBidAmount)} {symbol}
                     </p>
                   </div>
 
@@ -436,13 +558,24 @@ const AuctionDetail = () => {
                     className="btn btn-primary w-full"
                     disabled={bidding || actionLoading}
                   >
-                    {bidding ? 'Placing Bid...' : 'Place Bid'}
+                    {bidding || pendingAuctionTransaction?.kind === 'placeBid' ? 'Placing Bid...' : 'Place Bid'}
                   </button>
                 </form>
               )}
             </div>
           )}
 
+          {/* Cancel (seller, no bids yet) */}
+          {canCancel && (
+            <button
+              onClick={handleCancel}
+              className="btn btn-secondary w-full mb-6"
+              disabled={cancelling || !!pendingAuctionTransaction}
+            >
+              {cancelling || pendingAuctionTransaction?.kind === 'cancelAuction' ? 'Cancelling Auction...' : 'Cancel Auction'}
+            </button>
+          )}
+
           {isEnded && auction.status === 'active' && (
             <div
               data-animate="fade-up"
@@ -452,8 +585,19 @@ const AuctionDetail = () => {
               <p className="text-yellow-600">
                 This auction has ended and is waiting to be closed
               </p>
+              {canSettle && (
+                <button
+                  onClick={handleSettle}
+                  className="btn btn-primary w-full mt-4"
+                  disabled={settling || !!pendingAuctionTransaction}
+                >
+                  {settling || pendingAuctionTransaction?.kind === 'settleAuction' ? 'Settling Auction...' : 'Settle Auction'}
+                </button>
+              )}
             </div>
           )}
+
+          {isConnected && <AuctionRefund address={address} />}
         </div>
       </div>
 
@@ -481,8 +625,8 @@ const AuctionDetail = () => {
               >
                 <div>
                   <div className="flex items-center gap-2">
-                    <p className="text-white font-mono text-sm">
-                      {config.truncateAddress(bid.bidder?.wallet_address, 8)}
+                    <p className="text-white text-sm">
+                      <Address address={bid.bidder?.wallet_address} username={bid.bidder?.username} chars={8} />
                     </p>
                     {bid.bidder_category && (
                       <span className={`px-2 py-0.5 text-xs rounded border ${getCategoryBadgeClass(bid.bidder_category)}`}>
@@ -496,7 +640,7 @@ const AuctionDetail = () => {
                 </div>
                 <div className="text-right">
                   <p className="text-primary font-semibold">
-                    {config.formatPrice(bid.amount)} POL
+                    {config.formatPrice(bid.amount)} {symbol}
                   </p>
                   {bid.bidder_id === auction.highest_bidder_id && (
                     <span className="text-xs text-yellow-600">Highest Bid</span>
@@ -511,4 +655,22 @@ const AuctionDetail = () => {
   );
 };
 
+const LiveIndicator = ({ status }) => {
+  if (status === 'live') {
+    return (
+      <span className="px-2 py-1 text-xs rounded border bg-green-500/20 text-green-400 border-green-500/50">
+        ● Live
+      </span>
+    );
+  }
+  if (status === 'connecting' || status === 'reconnecting') {
+    return (
+      <span className="px-2 py-1 text-xs rounded border bg-gray-500/20 text-gray-400 border-gray-500/50">
+        {status === 'connecting' ? 'Connecting...' : 'Reconnecting...'}
+      </span>
+    );
+  }
+  return null;
+};
+
 export default AuctionDetail;
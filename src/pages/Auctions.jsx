@@ -6,28 +6,43 @@
  * - Displays min_price (floor price)
  * - Displays buyout_price (instant purchase option)
  * - Shows category badge for bidders
+ *
+ * Auctions load a page at a time while scrolling; the closed-auction toggle and
+ * sort are kept in the URL so a filtered view can be shared.
  */
-import { useEffect, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import {
-  fetchAuctions,
-  selectAuctions,
-  selectAuctionsLoading,
-} from '../store/slices/auctionsSlice';
+import { useGetAuctionFeedInfiniteQuery } from '../store/slices/apiSlice';
+import { useUrlFilters } from '../hooks/useUrlFilters';
+import InfiniteScroll from '../components/InfiniteScroll';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
+import IpfsImage from '../components/IpfsImage';
 import config from '../config';
 
+const AUCTION_FILTERS = { closed: false, sort: '' };
+
+const AUCTION_SORTS = [
+  { value: '', label: 'Default order' },
+  { value: 'ends_at', label: 'Ending soonest' },
+  { value: '-created_at', label: 'Newest' },
+  { value: '-current_highest_bid', label: 'Highest bid' },
+];
+
 const Auctions = () => {
+  const symbol = config.network.nativeCurrency.symbol;
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const auctions = useSelector(selectAuctions);
-  const loading = useSelector(selectAuctionsLoading);
-  const [showAll, setShowAll] = useState(false);
-
-  useEffect(() => {
-    dispatch(fetchAuctions(!showAll));
-  }, [dispatch, showAll]);
+  const [filters, setFilters] = useUrlFilters(AUCTION_FILTERS);
+  const showAll = filters.closed;
+  const {
+    data,
+    isLoading: loading,
+    error,
+    refetch,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useGetAuctionFeedInfiniteQuery({ activeOnly: !showAll, sort: filters.sort || null });
+  const auctions = data?.pages.flatMap((page) => page.items) ?? [];
 
   const formatTimeRemaining = (endsAt) => {
     const now = new Date();
@@ -57,7 +72,8 @@ const Auctions = () => {
     }
   };
 
-  if (loading && auctions.length === 0) return <Loading />;
+  if (loading) return <Loading />;
+  if (error && auctions.length === 0) return <ErrorState error={error} onRetry={refetch} />;
 
   return (
     <div className="page-container">
@@ -84,11 +100,20 @@ const Auctions = () => {
             data-duration="normal"
             className="flex items-center gap-4"
           >
+            <select
+              value={filters.sort}
+              onChange={(e) => setFilters({ sort: e.target.value })}
+              className="input w-auto"
+            >
+              {AUCTION_SORTS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
             <label className="flex items-center gap-2 text-gray-400">
               <input
                 type="checkbox"
                 checked={showAll}
-                onChange={(e) => setShowAll(e.target.checked)}
+                onChange={(e) => setFilters({ closed: e.target.checked })}
                 className="rounded bg-dark-lighter border-gray-600"
               />
               Show closed auctions
@@ -138,8 +163,9 @@ const Auctions = () => {
 
               <div className="aspect-video bg-dark-darker flex items-center justify-center">
                 {auction.flag?.image_ipfs_hash ? (
-                  <img
-                    src={config.getIpfsUrl(auction.flag.image_ipfs_hash)}
+                  <IpfsImage
+                    src={auction.flag.image_ipfs_hash}
+                    placeholder={`https://placehold.co/400x225/1a1a2e/e94560?text=${encodeURIComponent(`Flag #${auction.flag_id}`)}`}
                     alt="Flag"
                     className="w-full h-full object-cover"
                   />
@@ -157,7 +183,7 @@ const Auctions = () => {
                 <div className="flex justify-between items-center mb-2">
                   <span className="text-gray-400 text-sm">Current Bid:</span>
                   <span className="text-primary font-semibold">
-                    {config.formatPrice(auction.current_highest_bid || auction.starting_price)} MATIC
+                    {config.formatPrice(auction.current_highest_bid || auction.starting_price)} {symbol}
                   </span>
                 </div>
 
@@ -165,7 +191,7 @@ const Auctions = () => {
                 <div className="flex justify-between items-center mb-2 text-sm">
                   <span className="text-gray-500">Min Bid:</span>
                   <span className="text-gray-400">
-                    {config.formatPrice(auction.min_price)} MATIC
+                    {config.formatPrice(auction.min_price)} {symbol}
                   </span>
                 </div>
 
@@ -174,7 +200,7 @@ const Auctions = () => {
                   <div className="flex justify-between items-center mb-2 text-sm">
                     <span className="text-gray-500">Buyout:</span>
                     <span className="text-yellow-400 font-semibold">
-                      {config.formatPrice(auction.buyout_price)} MATIC
+                      {config.formatPrice(auction.buyout_price)} {symbol}
                     </span>
                   </div>
                 )}
@@ -218,6 +244,12 @@ const Auctions = () => {
           </div>
         </div>
       )}
+
+      <InfiniteScroll
+        onLoadMore={fetchNextPage}
+        hasMore={hasNextPage}
+        loading={isFetchingNextPage}
+      />
     </div>
   );
 };
@@ -2,22 +2,15 @@
  * Countries Page - List all countries
  * Refactored to use useNavigate instead of Link
  */
-import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import { fetchCountries, selectCountries, selectCountriesLoading, selectCountriesError } from '../store/slices/countriesSlice';
+import { useGetCountriesQuery } from '../store/slices/apiSlice';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
 
 const Countries = () => {
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const countries = useSelector(selectCountries);
-  const loading = useSelector(selectCountriesLoading);
-  const error = useSelector(selectCountriesError);
-
-  useEffect(() => {
-    dispatch(fetchCountries());
-  }, [dispatch]);
+  const { data, isLoading: loading, error, refetch } = useGetCountriesQuery();
+  const countries = data?.items ?? [];
 
   const getCountryEmoji = (code) => {
     const emojis = { ESP: '🇪🇸', FRA: '🇫🇷', DEU: '🇩🇪', ITA: '🇮🇹' };
@@ -25,7 +18,7 @@ const Countries = () => {
   };
 
   if (loading && countries.length === 0) return <Loading text="Loading countries..." />;
-  if (error) return <ErrorDisplay message={error} />;
+  if (error && countries.length === 0) return <ErrorState error={error} onRetry={refetch} />;
 
   return (
     <div className="page-container">
@@ -83,16 +76,4 @@ const Countries = () => {
   );
 };
 
-const ErrorDisplay = ({ message }) => (
-  <div className="page-container">
-    <div
-      data-animate="zoom-in"
-      data-duration="fast"
-      className="text-center py-16"
-    >
-      <p className="text-red-400">Error: {message}</p>
-    </div>
-  </div>
-);
-
 export default Countries;
@@ -2,25 +2,18 @@
  * Country Detail Page - Show regions of a country
  * Refactored to use useNavigate instead of Link
  */
-import { useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import { fetchCountry, selectCurrentCountry, selectCountriesLoading } from '../store/slices/countriesSlice';
+import { useGetCountryQuery } from '../store/slices/apiSlice';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
 
 const CountryDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const country = useSelector(selectCurrentCountry);
-  const loading = useSelector(selectCountriesLoading);
-
-  useEffect(() => {
-    dispatch(fetchCountry(id));
-  }, [dispatch, id]);
+  const { data: country, isLoading: loading, error, refetch } = useGetCountryQuery(id);
 
   if (loading) return <Loading />;
-  if (!country) return <ErrorDisplay message="Country not found" />;
+  if (!country) return <ErrorState error={error} notFound="Country not found" onRetry={refetch} />;
 
   return (
     <div className="page-container">
@@ -91,16 +84,4 @@ const CountryDetail = () => {
   );
 };
 
-const ErrorDisplay = ({ message }) => (
-  <div className="page-container">
-    <div
-      data-animate="zoom-in"
-      data-duration="fast"
-      className="text-center py-16"
-    >
-      <p className="text-red-400">{message}</p>
-    </div>
-  </div>
-);
-
 export default CountryDetail;
@@ -23,54 +23,57 @@
 import { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
-import {
-  fetchFlag,
-  fetchDiscountedPrice,
-  registerInterest,
-  claimFirstNFT,
-  purchaseSecondNFT,
-  selectCurrentFlag,
-  selectFlagsLoading,
-  selectActionLoading,
-  selectDiscountedPrice,
-} from '../store/slices/flagsSlice';
-import { selectAddress, selectIsConnected, connectWallet } from '../store/slices/walletSlice';
-import { claimFirstNFT as web3ClaimFirst, purchaseSecondNFT as web3PurchaseSecond } from '../services/web3';
+import { fetchFlagPricing, selectFlagPricing } from '../store/slices/flagsSlice';
+import { useGetFlagQuery, useRegisterInterestMutation } from '../store/slices/apiSlice';
+import { selectAddress, selectIsConnected, openWalletPicker } from '../store/slices/walletSlice';
+import { trackTransaction, selectPendingTransaction } from '../store/slices/transactionsSlice';
+import { sendClaimFirstNFT, sendPurchaseSecondNFT, previewTransaction, getErrorMessage } from '../services/web3';
+import { formatWei, formatDiscountPercent } from '../services/pricing';
 import config from '../config';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
+import TransactionPreviewModal from '../components/TransactionPreviewModal';
+import FlagProvenance from '../components/FlagProvenance';
+import IpfsImage from '../components/IpfsImage';
+import Address from '../components/Address';
 
 const FlagDetail = () => {
+  const symbol = config.network.nativeCurrency.symbol;
   const { id } = useParams();
   const navigate = useNavigate();
   const dispatch = useDispatch();
-  const flag = useSelector(selectCurrentFlag);
-  const loading = useSelector(selectFlagsLoading);
-  const actionLoading = useSelector(selectActionLoading);
+  const { data: flag, isLoading: loading, error, refetch } = useGetFlagQuery(id);
+  const [registerInterest, { isLoading: interestLoading }] = useRegisterInterestMutation();
   const address = useSelector(selectAddress);
   const isConnected = useSelector(selectIsConnected);
-  const discountedPrice = useSelector(selectDiscountedPrice(id));
+  const pricing = useSelector(selectFlagPricing(id));
 
-  // MULTI-NFT: Get number of NFTs required (default to 1 for backward compatibility)
-  const nftsRequired = flag?.nfts_required || 1;
+  // MULTI-NFT: Get number of NFTs required (contract first, default to 1 for backward compatibility)
+  const nftsRequired = pricing?.nftsRequired || flag?.nfts_required || 1;
 
-  // Local loading states for each action
-  const [interestLoading, setInterestLoading] = useState(false);
-  const [claimLoading, setClaimLoading] = useState(false);
-  const [purchaseLoading, setPurchaseLoading] = useState(false);
+  // Local loading states for claim/purchase while waiting for the wallet to sign
+  const [claimSubmitting, setClaimSubmitting] = useState(false);
+  const [purchaseSubmitting, setPurchaseSubmitting] = useState(false);
+
+  // Submitted transactions are tracked globally and survive a reload
+  const pendingClaim = useSelector(selectPendingTransaction('claimFirst', flag?.id));
+  const pendingPurchase = useSelector(selectPendingTransaction('purchaseSecond', flag?.id));
+  const claimLoading = claimSubmitting || !!pendingClaim;
+  const purchaseLoading = purchaseSubmitting || !!pendingPurchase;
+
+  // Cost preview shown before claim/purchase: { action: 'claim' | 'purchase', data, valueWei }
+  const [costPreview, setCostPreview] = useState(null);
 
   // MATCHING GAME: Track reveal animation state
   const [isRevealing, setIsRevealing] = useState(false);
 
   // Combined loading state
-  const isActionLoading = actionLoading || interestLoading || claimLoading || purchaseLoading;
-
-  useEffect(() => {
-    dispatch(fetchFlag(id));
-  }, [dispatch, id]);
+  const isActionLoading = interestLoading || claimLoading || purchaseLoading;
 
   useEffect(() => {
-    if (flag && address && config.contractAddress) {
-      dispatch(fetchDiscountedPrice({ flagId: flag.id, address }));
+    // Without a wallet this still loads the list price from the contract
+    if (flag && config.contractAddress) {
+      dispatch(fetchFlagPricing({ flagId: flag.id, address }));
     }
   }, [dispatch, flag, address]);
 
@@ -98,83 +101,117 @@ const FlagDetail = () => {
 
   const handleShowInterest = async () => {
     if (!isConnected) {
-      dispatch(connectWallet());
+      dispatch(openWalletPicker());
       return;
     }
-    setInterestLoading(true);
     try {
-      await dispatch(registerInterest({ flagId: flag.id, address })).unwrap();
+      await registerInterest({ flagId: flag.id, address }).unwrap();
       // Trigger reveal animation
       setIsRevealing(true);
       setTimeout(() => setIsRevealing(false), 1000);
     } catch (err) {
       alert(err.message || 'Failed to register interest');
-    } finally {
-      setInterestLoading(false);
     }
   };
 
-  const handleClaimFirst = async () => {
+  /**
+   * Simulate the transaction and open the cost preview; the wallet is only
+   * asked to sign once the user confirms the preview
+   */
+  const openCostPreview = async (action) => {
     if (!isConnected) {
-      dispatch(connectWallet());
+      dispatch(openWalletPicker());
       return;
     }
-    setClaimLoading(true);
+    setCostPreview({ action, data: null, valueWei: null });
+
+    let data;
+    let valueWei = null;
     try {
-      const result = await web3ClaimFirst(flag.id);
-      await dispatch(claimFirstNFT({ flagId: flag.id, address, transactionHash: result.transactionHash })).unwrap();
-      // MULTI-NFT: Update success message based on NFTs required
-      if (nftsRequired > 1) {
-        alert(`Successfully claimed ${nftsRequired} first NFTs!`);
+      if (action === 'claim') {
+        data = await previewTransaction('claimFirstNFT', [flag.id], { from: address });
       } else {
-        alert('First NFT claimed successfully!');
+        // MULTI-NFT: Re-read the exact total for all required NFTs, so the value matches the contract
+        const fresh = await dispatch(fetchFlagPricing({ flagId: flag.id, address })).unwrap();
+        valueWei = BigInt(fresh.pricing.totalWei);
+        data = await previewTransaction('purchaseSecondNFT', [flag.id], { from: address, value: valueWei });
       }
     } catch (err) {
-      alert(err.message || 'Transaction error');
-    } finally {
-      setClaimLoading(false);
+      // null when the wallet rejected the request
+      data = { error: `Could not estimate the cost: ${getErrorMessage(err) || 'the request was rejected'}` };
     }
+    // Ignore the result if the preview was closed or replaced meanwhile
+    setCostPreview((current) => (current?.action === action ? { action, data, valueWei } : current));
   };
 
-  const handlePurchaseSecond = async () => {
-    if (!isConnected) {
-      dispatch(connectWallet());
-      return;
+  const handleConfirmPreview = () => {
+    const { action, valueWei } = costPreview;
+    setCostPreview(null);
+    if (action === 'claim') {
+      handleClaimFirst();
+    } else {
+      handlePurchaseSecond(valueWei);
     }
-    setPurchaseLoading(true);
+  };
+
+  const handleClaimFirst = async () => {
+    setClaimSubmitting(true);
     try {
-      // MULTI-NFT: Calculate total price for all required NFTs
-      const pricePerNft = discountedPrice || flag.price;
-      const totalPrice = parseFloat(pricePerNft) * nftsRequired;
-      const result = await web3PurchaseSecond(flag.id, totalPrice.toString());
-      await dispatch(purchaseSecondNFT({ flagId: flag.id, address, transactionHash: result.transactionHash })).unwrap();
-      // MULTI-NFT: Update success message based on NFTs required
-      if (nftsRequired > 1) {
-        alert(`Successfully purchased ${nftsRequired} second NFTs! Pair complete!`);
-      } else {
-        alert('Second NFT purchased! Pair complete!');
-      }
+      const { transactionHash } = await sendClaimFirstNFT(flag.id);
+      // MULTI-NFT: Toast message based on NFTs required
+      dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: 'claimFirst',
+        description: nftsRequired > 1
+          ? `Claim ${nftsRequired} first NFTs of flag #${flag.id}`
+          : `Claim first NFT of flag #${flag.id}`,
+        params: { flagId: flag.id, address },
+      }));
     } catch (err) {
-      alert(err.message || 'Transaction error');
+      // Cancelled in the wallet: nothing to report
+      const message = getErrorMessage(err);
+      if (message) alert(message);
     } finally {
-      setPurchaseLoading(false);
+      setClaimSubmitting(false);
+    }
+  };
+
+  const handlePurchaseSecond = async (valueWei) => {
+    setPurchaseSubmitting(true);
+    try {
+      const { transactionHash } = await sendPurchaseSecondNFT(flag.id, valueWei);
+      dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: 'purchaseSecond',
+        description: nftsRequired > 1
+          ? `Buy ${nftsRequired} second NFTs of flag #${flag.id}`
+          : `Buy second NFT of flag #${flag.id}`,
+        params: { flagId: flag.id, address },
+      }));
+    } catch (err) {
+      // Cancelled in the wallet: nothing to report
+      const message = getErrorMessage(err);
+      if (message) alert(message);
+    } finally {
+      setPurchaseSubmitting(false);
     }
   };
 
   if (loading) return <Loading text="Loading flag details..." />;
-  if (!flag) return <ErrorDisplay message="Flag not found" />;
+  if (!flag) return <ErrorState error={error} notFound="Flag not found" onRetry={refetch} />;
 
-  const imageUrl = flag.image_ipfs_hash
-    ? config.getIpfsUrl(flag.image_ipfs_hash)
-    : `https://placehold.co/500x500/1a1a2e/e94560?text=${encodeURIComponent(flag.location_type)}`;
+  const placeholderUrl = `https://placehold.co/500x500/1a1a2e/e94560?text=${encodeURIComponent(flag.location_type)}`;
 
   const hasUserInterest = flag.interests?.some(i => i.user?.wallet_address?.toLowerCase() === address?.toLowerCase());
 
-  // MULTI-NFT: Calculate total prices
-  const basePricePerNft = parseFloat(flag.price);
-  const totalBasePrice = basePricePerNft * nftsRequired;
-  const discountedPricePerNft = discountedPrice ? parseFloat(discountedPrice) : basePricePerNft;
-  const totalDiscountedPrice = discountedPricePerNft * nftsRequired;
+  // MULTI-NFT: Totals come from the contract in wei when available, else from the database listing
+  const basePricePerNft = pricing ? formatWei(pricing.priceWei) : flag.price;
+  const totalBasePrice = pricing ? formatWei(pricing.baseTotalWei) : parseFloat(flag.price) * nftsRequired;
+  const totalDiscountedPrice = pricing ? formatWei(pricing.totalWei) : totalBasePrice;
+  const discountedPricePerNft = pricing
+    ? formatWei(BigInt(pricing.totalWei) / BigInt(nftsRequired))
+    : basePricePerNft;
+  const hasDiscount = !!pricing && BigInt(pricing.discountWei) > 0n;
 
   // MATCHING GAME: Render mystery/hidden view
   if (!isRevealed) {
@@ -330,12 +367,12 @@ const FlagDetail = () => {
               <div className="flex justify-between items-center mb-2">
                 <span className="text-gray-400">Second NFT Price:</span>
                 <span className="text-primary font-bold text-lg">
-                  {config.formatPrice(totalBasePrice)} MATIC
+                  {config.formatPrice(totalBasePrice)} {symbol}
                 </span>
               </div>
               {nftsRequired > 1 && (
                 <p className="text-gray-500 text-sm">
-                  ({config.formatPrice(flag.price)} MATIC x {nftsRequired} NFTs)
+                  ({config.formatPrice(basePricePerNft)} {symbol} x {nftsRequired} NFTs)
                 </p>
               )}
               <p className="text-gray-500 text-sm mt-2">
@@ -351,7 +388,7 @@ const FlagDetail = () => {
             >
               {!isConnected ? (
                 <button
-                  onClick={() => dispatch(connectWallet())}
+                  onClick={() => dispatch(openWalletPicker())}
                   className="btn btn-primary w-full py-4 text-lg"
                 >
                   Connect Wallet to Reveal
@@ -445,7 +482,12 @@ const FlagDetail = () => {
             data-duration="slow"
             className={`card overflow-hidden ${isRevealing ? 'animate-flip' : ''}`}
           >
-            <img src={imageUrl} alt={flag.name} className="w-full aspect-square object-cover" />
+            <IpfsImage
+              src={flag.image_ipfs_hash}
+              placeholder={placeholderUrl}
+              alt={flag.name}
+              className="w-full aspect-square object-cover"
+            />
           </div>
           <div
             data-animate="fade-up"
@@ -506,27 +548,36 @@ const FlagDetail = () => {
             {/* MULTI-NFT: Show per-NFT and total price */}
             <div className="flex justify-between items-center mb-2">
               <span className="text-gray-400">Price per NFT:</span>
-              <span className="text-white font-semibold">{config.formatPrice(flag.price)} MATIC</span>
+              <span className="text-white font-semibold">{config.formatPrice(basePricePerNft)} {symbol}</span>
             </div>
 
             {nftsRequired > 1 && (
               <div className="flex justify-between items-center mb-2 pt-2 border-t border-gray-700">
                 <span className="text-gray-400">Total Price ({nftsRequired} NFTs):</span>
-                <span className="text-primary font-bold text-lg">{config.formatPrice(totalBasePrice)} MATIC</span>
+                <span className="text-primary font-bold text-lg">{config.formatPrice(totalBasePrice)} {symbol}</span>
               </div>
             )}
 
             {/* Show discounted price if applicable */}
-            {discountedPrice && parseFloat(discountedPrice) !== basePricePerNft && (
+            {pricing && address && (
+              <div className="flex justify-between items-center mt-3 pt-3 border-t border-gray-700">
+                <span className="text-gray-400">Your Tier:</span>
+                <span className={hasDiscount ? 'text-green-400 font-semibold' : 'text-gray-300'}>
+                  {pricing.tierName}
+                  {hasDiscount && ` (-${formatDiscountPercent(pricing.discountBps, pricing.basisPoints)})`}
+                </span>
+              </div>
+            )}
+            {hasDiscount && (
               <>
-                <div className="flex justify-between items-center mt-3 pt-3 border-t border-gray-700">
+                <div className="flex justify-between items-center">
                   <span className="text-gray-400">Your Price per NFT:</span>
-                  <span className="text-green-400 font-semibold">{config.formatPrice(discountedPrice)} MATIC</span>
+                  <span className="text-green-400 font-semibold">{config.formatPrice(discountedPricePerNft)} {symbol}</span>
                 </div>
                 {nftsRequired > 1 && (
                   <div className="flex justify-between items-center">
                     <span className="text-gray-400">Your Total Price:</span>
-                    <span className="text-green-400 font-bold text-lg">{config.formatPrice(totalDiscountedPrice)} MATIC</span>
+                    <span className="text-green-400 font-bold text-lg">{config.formatPrice(totalDiscountedPrice)} {symbol}</span>
                   </div>
                 )}
               </>
@@ -553,7 +604,7 @@ const FlagDetail = () => {
                       </button>
                     )}
                     <button
-                      onClick={handleClaimFirst}
+                      onClick={() => openCostPreview('claim')}
                       disabled={isActionLoading}
                       className="btn btn-primary w-full"
                     >
@@ -567,14 +618,14 @@ const FlagDetail = () => {
                 )}
                 {flag.first_nft_status === 'claimed' && flag.second_nft_status === 'available' && (
                   <button
-                    onClick={handlePurchaseSecond}
+                    onClick={() => openCostPreview('purchase')}
                     disabled={isActionLoading}
                     className="btn btn-primary w-full"
                   >
                     {purchaseLoading ? 'Purchasing NFT...' : (
                       nftsRequired > 1
-                        ? `Purchase ${nftsRequired} Second NFTs (${config.formatPrice(totalDiscountedPrice)} MATIC)`
-                        : `Purchase Second NFT (${config.formatPrice(discountedPrice || flag.price)} MATIC)`
+                        ? `Purchase ${nftsRequired} Second NFTs (${config.formatPrice(totalDiscountedPrice)} ${symbol})`
+                        : `Purchase Second NFT (${config.formatPrice(totalDiscountedPrice)} ${symbol})`
                     )}
                   </button>
                 )}
@@ -601,9 +652,9 @@ const FlagDetail = () => {
                     key={interest.id}
                     data-animate="fade-right"
                     data-duration="fast"
-                    className="text-gray-400 text-sm font-mono"
+                    className="text-gray-400 text-sm"
                   >
-                    {config.truncateAddress(interest.user?.wallet_address)}
+                    <Address address={interest.user?.wallet_address} username={interest.user?.username} />
                   </li>
                 ))}
               </ul>
@@ -628,8 +679,17 @@ const FlagDetail = () => {
                     data-duration="fast"
                     className="flex justify-between text-sm"
                   >
-                    <span className="text-gray-400 font-mono">{config.truncateAddress(ownership.user?.wallet_address)}</span>
-                    <span className="text-gray-500">{ownership.ownership_type}</span>
+                    <Address address={ownership.user?.wallet_address} username={ownership.user?.username} className="text-gray-400" />
+                    {ownership.token_id != null ? (
+                      <button
+                        onClick={() => navigate(`/tokens/${ownership.token_id}`)}
+                        className="text-gray-500 hover:text-primary bg-transparent border-none cursor-pointer"
+                      >
+                        {ownership.ownership_type} #{ownership.token_id}
+                      </button>
+                    ) : (
+                      <span className="text-gray-500">{ownership.ownership_type}</span>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -640,6 +700,30 @@ const FlagDetail = () => {
         </div>
       </div>
 
+      <FlagProvenance flagId={flag.id} />
+
+      {costPreview && (
+        <TransactionPreviewModal
+          title={costPreview.action === 'claim' ? 'Confirm Claim' : 'Confirm Purchase'}
+          lines={costPreview.action === 'claim'
+            ? [{ label: nftsRequired > 1 ? `${nftsRequired} first NFTs` : 'First NFT', value: 'Free' }]
+            : [
+              { label: 'Price', amount: totalBasePrice },
+              ...(hasDiscount
+                ? [{
+                  label: `${pricing.tierName} discount (${formatDiscountPercent(pricing.discountBps, pricing.basisPoints)})`,
+                  amount: `-${formatWei(pricing.discountWei)}`,
+                  className: 'text-green-400',
+                }]
+                : []),
+            ]}
+          preview={costPreview.data}
+          confirmLabel={costPreview.action === 'claim' ? 'Claim' : 'Purchase'}
+          onConfirm={handleConfirmPreview}
+          onClose={() => setCostPreview(null)}
+        />
+      )}
+
       {/* CSS for flip animation */}
       <style>{`
         @keyframes flip {
@@ -655,16 +739,4 @@ const FlagDetail = () => {
   );
 };
 
-const ErrorDisplay = ({ message }) => (
-  <div className="page-container">
-    <div
-      data-animate="zoom-in"
-      data-duration="fast"
-      className="text-center py-16"
-    >
-      <p className="text-red-400">{message}</p>
-    </div>
-  </div>
-);
-
 export default FlagDetail;
@@ -2,27 +2,19 @@
  * Home Page - Landing page for the application
  * Refactored to use useNavigate instead of Link
  */
-import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import { fetchCountries, selectCountries, selectCountriesLoading } from '../store/slices/countriesSlice';
-import { fetchPopularFlags, selectPopularFlags } from '../store/slices/flagsSlice';
+import { useGetCountriesQuery, useGetFlagRankingsQuery } from '../store/slices/apiSlice';
 import FlagCard from '../components/FlagCard';
 import Loading from '../components/Loading';
 
 const Home = () => {
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const countries = useSelector(selectCountries);
-  const popularFlags = useSelector(selectPopularFlags);
-  const loading = useSelector(selectCountriesLoading);
+  const { data: countryPage, isLoading: loading } = useGetCountriesQuery({ limit: 4 });
+  const { data: flagRankings } = useGetFlagRankingsQuery({ limit: 4 });
+  const countries = countryPage?.items ?? [];
+  const popularFlags = (flagRankings?.items ?? []).map((r) => r.flag);
 
-  useEffect(() => {
-    dispatch(fetchCountries());
-    dispatch(fetchPopularFlags(4));
-  }, [dispatch]);
-
-  if (loading && countries.length === 0) return <Loading text="Loading..." />;
+  if (loading) return <Loading text="Loading..." />;
 
   return (
     <div className="min-h-screen">
@@ -64,7 +56,7 @@ const Home = () => {
               data-duration="normal"
               className="stat-card"
             >
-              <span className="stat-value">{countries.length}</span>
+              <span className="stat-value">{countryPage?.total ?? (countryPage ? `${countryPage.items.length}+` : 0)}</span>
               <span className="stat-label">Countries</span>
             </div>
             <div
@@ -166,7 +158,7 @@ const Home = () => {
           </button>
         </div>
         <div className="grid sm:grid-cols-2 lg:grid-cols-4 gap-6">
-          {countries.slice(0, 4).map((country, index) => (
+          {countries.map((country, index) => (
             <div
               key={country.id}
               onClick={() => navigate(`/countries/${country.id}`)}
@@ -6,29 +6,56 @@
  * - Flags are displayed as mystery cards until user shows interest
  * - User must click a card and "Show Interest" to reveal the flag
  * - After revealing, user can claim the first NFT for free
+ *
+ * Flags load a page at a time as the grid is scrolled; category, availability
+ * and sort are kept in the URL so a filtered view can be shared.
  */
-import { useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import { fetchMunicipality, selectCurrentMunicipality, selectCountriesLoading } from '../store/slices/countriesSlice';
+import { useSelector } from 'react-redux';
+import { useGetMunicipalityQuery, useGetFlagFeedInfiniteQuery } from '../store/slices/apiSlice';
 import { selectIsConnected } from '../store/slices/walletSlice';
+import { FLAG_CATEGORIES } from '../services/web3';
+import { useUrlFilters } from '../hooks/useUrlFilters';
 import FlagCard from '../components/FlagCard';
+import InfiniteScroll from '../components/InfiniteScroll';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
+
+const FLAG_FILTERS = { category: '', available: false, sort: '' };
+
+const FLAG_SORTS = [
+  { value: '', label: 'Default order' },
+  { value: 'price', label: 'Price: low to high' },
+  { value: '-price', label: 'Price: high to low' },
+  { value: '-interest_count', label: 'Most interest' },
+];
 
 const MunicipalityDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const municipality = useSelector(selectCurrentMunicipality);
-  const loading = useSelector(selectCountriesLoading);
+  const { data: municipality, isLoading: loading, error, refetch } = useGetMunicipalityQuery(id);
+  const [filters, setFilters] = useUrlFilters(FLAG_FILTERS);
+  const {
+    data: flagFeed,
+    isLoading: flagsLoading,
+    error: flagsError,
+    refetch: refetchFlags,
+    hasNextPage,
+    isFetchingNextPage,
+    fetchNextPage,
+  } = useGetFlagFeedInfiniteQuery({
+    municipalityId: Number(id),
+    category: filters.category || null,
+    availableOnly: filters.available,
+    sort: filters.sort || null,
+  });
   const isConnected = useSelector(selectIsConnected);
 
-  useEffect(() => {
-    dispatch(fetchMunicipality(id));
-  }, [dispatch, id]);
+  const flags = flagFeed?.pages.flatMap((page) => page.items) ?? [];
+  const filtered = filters.category || filters.available;
 
   if (loading) return <Loading />;
-  if (!municipality) return <ErrorDisplay message="Municipality not found" />;
+  if (!municipality) return <ErrorState error={error} notFound="Municipality not found" onRetry={refetch} />;
 
   return (
     <div className="page-container">
@@ -78,7 +105,7 @@ const MunicipalityDetail = () => {
       </div>
 
       {/* MATCHING GAME: Instructions for new users */}
-      {!isConnected && municipality.flags?.length > 0 && (
+      {!isConnected && flags.length > 0 && (
         <div
           data-animate="fade-up"
           data-duration="normal"
@@ -114,8 +141,53 @@ const MunicipalityDetail = () => {
         </div>
       )}
 
+      {/* Filters */}
+      <div
+        data-animate="fade-up"
+        data-duration="fast"
+        className="flex flex-wrap items-center gap-4 mb-6"
+      >
+        <select
+          value={filters.category}
+          onChange={(e) => setFilters({ category: e.target.value })}
+          className="input w-auto"
+        >
+          <option value="">All categories</option>
+          {FLAG_CATEGORIES.map((category) => (
+            <option key={category} value={category}>
+              {category.charAt(0).toUpperCase() + category.slice(1)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.sort}
+          onChange={(e) => setFilters({ sort: e.target.value })}
+          className="input w-auto"
+        >
+          {FLAG_SORTS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-gray-400">
+          <input
+            type="checkbox"
+            checked={filters.available}
+            onChange={(e) => setFilters({ available: e.target.checked })}
+            className="rounded bg-dark-lighter border-gray-600"
+          />
+          Available only
+        </label>
+        {flagFeed && (
+          <span className="text-gray-500 text-sm ml-auto">
+            {flagFeed.pages[0]?.total ?? flags.length} flags
+          </span>
+        )}
+      </div>
+
+      {flagsLoading && <Loading text="Loading flags..." />}
+
       <div className="grid-cards">
-        {municipality.flags?.map((flag) => (
+        {flags.map((flag) => (
           <div
             key={flag.id}
             data-animate="fade-up"
@@ -126,29 +198,29 @@ const MunicipalityDetail = () => {
         ))}
       </div>
 
-      {(!municipality.flags || municipality.flags.length === 0) && (
-        <div
-          data-animate="fade-up"
-          data-duration="slow"
-          className="text-center py-16"
-        >
-          <p className="text-gray-400">No flags available in this municipality.</p>
-        </div>
+      <InfiniteScroll
+        onLoadMore={fetchNextPage}
+        hasMore={hasNextPage}
+        loading={isFetchingNextPage}
+      />
+
+      {!flagsLoading && flags.length === 0 && (
+        flagsError ? (
+          <ErrorState error={flagsError} onRetry={refetchFlags} />
+        ) : (
+          <div
+            data-animate="fade-up"
+            data-duration="slow"
+            className="text-center py-16"
+          >
+            <p className="text-gray-400">
+              {filtered ? 'No flags match these filters.' : 'No flags available in this municipality.'}
+            </p>
+          </div>
+        )
       )}
     </div>
   );
 };
 
-const ErrorDisplay = ({ message }) => (
-  <div className="page-container">
-    <div
-      data-animate="zoom-in"
-      data-duration="fast"
-      className="text-center py-16"
-    >
-      <p className="text-red-400">{message}</p>
-    </div>
-  </div>
-);
-
 export default MunicipalityDetail;
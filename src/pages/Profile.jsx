@@ -1,29 +1,51 @@
 /**
  * Profile Page - User's profile with flags and interests
  * Supports viewing own profile (when connected) or any user's profile by address
+ * Owned flags can be verified against the chain and resynced
+ * Own auctions can be settled once ended or cancelled while they have no bids
  */
-import { useEffect, useState } from 'react';
+import { useState, useSyncExternalStore } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
-import { connectWallet, selectAddress, selectIsConnected } from '../store/slices/walletSlice';
-import { fetchUserData, selectUserProfile, selectUserFlags, selectUserInterests, selectUserLoading } from '../store/slices/userSlice';
+import { openWalletPicker, selectAddress, selectIsConnected } from '../store/slices/walletSlice';
+import {
+  useGetUserQuery,
+  useGetUserFlagsQuery,
+  useGetUserInterestsQuery,
+  useGetAuctionsQuery,
+  useCreateAuctionMutation,
+} from '../store/slices/apiSlice';
+import { settleAuction, cancelAuction } from '../store/slices/auctionsSlice';
+import { selectTransactions } from '../store/slices/transactionsSlice';
+import { isAuctionHouseEnabled, createOnChainAuction, getErrorMessage } from '../services/web3';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
+import TransferFlagModal from '../components/TransferFlagModal';
+import OwnershipReconciliation from '../components/OwnershipReconciliation';
+import AuctionRefund from '../components/AuctionRefund';
+import Address from '../components/Address';
+import { getAddressBook, getAddressLabel, setAddressLabel, subscribeToAddressBook } from '../services/names';
 import config from '../config';
-import api from '../services/api';
 
 const Profile = () => {
+  const symbol = config.network.nativeCurrency.symbol;
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const { address: urlAddress } = useParams(); // Get address from URL if provided
   const connectedAddress = useSelector(selectAddress);
   const isConnected = useSelector(selectIsConnected);
-  const profile = useSelector(selectUserProfile);
-  const flags = useSelector(selectUserFlags);
-  const interests = useSelector(selectUserInterests);
-  const loading = useSelector(selectUserLoading);
+  const transactions = useSelector(selectTransactions);
 
   // Determine which address to display - URL param takes precedence
   const address = urlAddress || connectedAddress;
+  const skip = !address;
+  const { data: profile, isLoading: profileLoading, error: profileError, refetch: refetchProfile } = useGetUserQuery(address, { skip });
+  const { data: flags = [], isLoading: flagsLoading } = useGetUserFlagsQuery(address, { skip });
+  const { data: interests = [], isLoading: interestsLoading } = useGetUserInterestsQuery(address, { skip });
+  const { data: activeAuctionPage } = useGetAuctionsQuery({ activeOnly: true }, { skip });
+  const activeAuctions = activeAuctionPage?.items ?? [];
+  const [createAuction] = useCreateAuctionMutation();
+  const loading = profileLoading || flagsLoading || interestsLoading;
   const isOwnProfile = !urlAddress || (isConnected && urlAddress?.toLowerCase() === connectedAddress?.toLowerCase());
 
   const [showAuctionModal, setShowAuctionModal] = useState(false);
@@ -33,32 +55,46 @@ const Profile = () => {
     duration_hours: 168 // 7 days default
   });
   const [creating, setCreating] = useState(false);
-  const [activeAuctions, setActiveAuctions] = useState([]);
+  const [transferOwnership, setTransferOwnership] = useState(null);
+  // Auction whose settle or cancel is being submitted
+  const [auctionSubmitting, setAuctionSubmitting] = useState(null);
 
-  useEffect(() => {
-    // Load profile data if we have an address (either from URL or connected wallet)
-    if (address) {
-      dispatch(fetchUserData(address));
-      loadActiveAuctions();
-    }
-  }, [dispatch, address]);
+  const getActiveAuction = (flagId) => {
+    return activeAuctions.find(auction => auction.flag_id === flagId);
+  };
+
+  const isAuctionBusy = (auctionId) => auctionSubmitting === auctionId || transactions.some(
+    (t) => t.params?.auctionId === auctionId && (t.status === 'pending' || t.status === 'unconfirmed')
+  );
 
-  const loadActiveAuctions = async () => {
+  const handleSettleAuction = async (auction) => {
+    setAuctionSubmitting(auction.id);
     try {
-      const response = await api.get('/auctions?active_only=true');
-      // The data might be in response directly, not response.data
-      const auctions = response.data || response || [];
-      setActiveAuctions(Array.isArray(auctions) ? auctions : []);
-    } catch (error) {
-      console.error('Failed to load auctions:', error);
+      await dispatch(settleAuction(auction)).unwrap();
+    } catch (message) {
+      // Cancelled in the wallet: nothing to report
+      if (message) alert(message);
+    } finally {
+      setAuctionSubmitting(null);
     }
   };
 
-  const hasActiveAuction = (flagId) => {
-    return activeAuctions?.some(auction => auction.flag_id === flagId) || false;
+  const handleCancelAuction = async (auction) => {
+    if (!window.confirm(`Cancel the auction of flag #${auction.flag_id} and take it back?`)) {
+      return;
+    }
+
+    setAuctionSubmitting(auction.id);
+    try {
+      await dispatch(cancelAuction({ auction, address })).unwrap();
+    } catch (message) {
+      if (message) alert(message);
+    } finally {
+      setAuctionSubmitting(null);
+    }
   };
 
-  const handleConnect = () => dispatch(connectWallet());
+  const handleConnect = () => dispatch(openWalletPicker());
 
   const handleCreateAuction = (flag) => {
     setSelectedFlag(flag);
@@ -71,12 +107,39 @@ const Profile = () => {
 
     setCreating(true);
     try {
-      await api.post('/auctions', {
-        flag_id: selectedFlag.flag_id,
-        wallet_address: address,
-        starting_price: parseFloat(auctionData.starting_price),
-        duration_hours: parseInt(auctionData.duration_hours)
-      });
+      const startingPrice = parseFloat(auctionData.starting_price);
+      const durationHours = parseInt(auctionData.duration_hours);
+
+      // ON-CHAIN ESCROW: Approve and list the token before registering the auction
+      let escrow = {};
+      if (isAuctionHouseEnabled()) {
+        if (selectedFlag.token_id == null) {
+          throw new Error('Token ID for this flag is unknown, cannot list it on-chain');
+        }
+        const result = await createOnChainAuction({
+          tokenId: selectedFlag.token_id,
+          startingPrice,
+          minPrice: startingPrice,
+          buyoutPrice: null,
+          durationHours,
+        });
+        escrow = {
+          tokenId: selectedFlag.token_id.toString(),
+          onChainAuctionId: result.onChainAuctionId,
+          transactionHash: result.transactionHash,
+        };
+      }
+
+      // Refreshes this profile and the auction list once created
+      await createAuction({
+        flagId: selectedFlag.flag_id,
+        walletAddress: address,
+        startingPrice,
+        minPrice: startingPrice,
+        buyoutPrice: null,
+        durationHours,
+        ...escrow,
+      }).unwrap();
 
       alert('Auction created successfully! Check the Auctions page.');
 
@@ -84,12 +147,10 @@ const Profile = () => {
       setShowAuctionModal(false);
       setAuctionData({ starting_price: '', duration_hours: 168 });
       setSelectedFlag(null);
-
-      // Refresh user data and auctions to update the UI
-      dispatch(fetchUserData(address));
-      loadActiveAuctions();
     } catch (error) {
-      alert(error.response?.data?.detail || 'Failed to create auction');
+      // Cancelled in the wallet: nothing to report
+      const message = getErrorMessage(error, 'Failed to create auction');
+      if (message) alert(message);
     } finally {
       setCreating(false);
     }
@@ -117,6 +178,9 @@ const Profile = () => {
   }
 
   if (loading) return <Loading />;
+  if (profileError) {
+    return <ErrorState error={profileError} notFound="This wallet has no profile yet" onRetry={refetchProfile} />;
+  }
 
   return (
     <div className="page-container">
@@ -131,10 +195,11 @@ const Profile = () => {
         <p
           data-animate="fade-up"
           data-duration="normal"
-          className="text-gray-400 font-mono"
+          className="text-gray-400"
         >
-          {config.truncateAddress(address, 8)}
+          <Address address={address} chars={8} link={false} explorer />
         </p>
+        {!isOwnProfile && <AddressBookEntry address={address} />}
       </div>
 
       {/* Stats */}
@@ -189,7 +254,11 @@ const Profile = () => {
             className="card divide-y divide-gray-800"
           >
             {flags.map((ownership, index) => {
-              const hasAuction = hasActiveAuction(ownership.flag_id);
+              const auction = getActiveAuction(ownership.flag_id);
+              const hasAuction = !!auction;
+              const isOwnAuction = hasAuction
+                && auction.seller?.wallet_address?.toLowerCase() === address.toLowerCase();
+              const auctionEnded = hasAuction && new Date(auction.ends_at) <= new Date();
               return (
                 <div
                   key={ownership.id}
@@ -211,13 +280,41 @@ const Profile = () => {
                     )}
                   </div>
                   {isOwnProfile && (
-                    <button
-                      onClick={() => handleCreateAuction(ownership)}
-                      className="btn btn-primary btn-sm ml-4"
-                      disabled={hasAuction}
-                    >
-                      {hasAuction ? 'Already in Auction' : 'Create Auction'}
-                    </button>
+                    <>
+                      <button
+                        onClick={() => setTransferOwnership(ownership)}
+                        className="btn btn-secondary btn-sm ml-4"
+                        disabled={hasAuction || ownership.token_id == null}
+                        title={ownership.token_id == null ? 'Token ID not available yet' : undefined}
+                      >
+                        Transfer
+                      </button>
+                      {isConnected && isOwnAuction && auctionEnded ? (
+                        <button
+                          onClick={() => handleSettleAuction(auction)}
+                          className="btn btn-primary btn-sm ml-2"
+                          disabled={isAuctionBusy(auction.id)}
+                        >
+                          {isAuctionBusy(auction.id) ? 'Settling...' : 'Settle Auction'}
+                        </button>
+                      ) : isConnected && isOwnAuction && !auction.bid_count ? (
+                        <button
+                          onClick={() => handleCancelAuction(auction)}
+                          className="btn btn-secondary btn-sm ml-2"
+                          disabled={isAuctionBusy(auction.id)}
+                        >
+                          {isAuctionBusy(auction.id) ? 'Cancelling...' : 'Cancel Auction'}
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => handleCreateAuction(ownership)}
+                          className="btn btn-primary btn-sm ml-2"
+                          disabled={hasAuction}
+                        >
+                          {hasAuction ? 'Already in Auction' : 'Create Auction'}
+                        </button>
+                      )}
+                    </>
                   )}
                 </div>
               );
@@ -240,6 +337,11 @@ const Profile = () => {
         )}
       </section>
 
+      {isOwnProfile && isConnected && <AuctionRefund address={address} />}
+
+      {/* On-chain ownership reconciliation */}
+      <OwnershipReconciliation address={address} canResync={isOwnProfile && isConnected} />
+
       {/* Interests */}
       <section>
         <h2
@@ -284,6 +386,15 @@ const Profile = () => {
         )}
       </section>
 
+      {/* Transfer Flag Modal */}
+      {transferOwnership && (
+        <TransferFlagModal
+          ownership={transferOwnership}
+          fromAddress={connectedAddress}
+          onClose={() => setTransferOwnership(null)}
+        />
+      )}
+
       {/* Create Auction Modal */}
       {showAuctionModal && (
         <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50 p-4">
@@ -298,7 +409,7 @@ const Profile = () => {
             <form onSubmit={handleSubmitAuction} className="space-y-4">
               <div>
                 <label className="block text-sm text-gray-400 mb-2">
-                  Starting Price (POL)
+                  Starting Price ({symbol})
                 </label>
                 <input
                   type="number"
@@ -356,4 +467,38 @@ const Profile = () => {
   );
 };
 
+/**
+ * Private name for another wallet, shown in place of its address across the app
+ */
+const AddressBookEntry = ({ address }) => {
+  const addressBook = useSyncExternalStore(subscribeToAddressBook, getAddressBook);
+  const savedLabel = addressBook[address.toLowerCase()] || '';
+  const [label, setLabel] = useState(savedLabel);
+
+  useEffect(() => {
+    setLabel(getAddressLabel(address) || '');
+  }, [address]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    setAddressLabel(address, label);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex gap-2 mt-3 max-w-sm" data-animate="fade-up" data-duration="normal">
+      <input
+        type="text"
+        value={label}
+        onChange={(e) => setLabel(e.target.value)}
+        placeholder="Name in your address book"
+        maxLength={40}
+        className="input flex-1 text-sm"
+      />
+      <button type="submit" disabled={label.trim() === savedLabel} className="btn btn-secondary btn-sm">
+        {savedLabel && !label.trim() ? 'Remove' : 'Save'}
+      </button>
+    </form>
+  );
+};
+
 export default Profile;
@@ -1,31 +1,27 @@
 /**
  * Rankings Page - Leaderboards
  */
-import { useEffect, useState } from 'react';
-import { useSelector, useDispatch } from 'react-redux';
+import { useState } from 'react';
 import {
-  fetchAllRankings,
-  selectUserRankings,
-  selectCollectorRankings,
-  selectFlagRankings,
-  selectRankingsLoading,
-} from '../store/slices/rankingsSlice';
+  useGetUserRankingsQuery,
+  useGetCollectorRankingsQuery,
+  useGetFlagRankingsQuery,
+} from '../store/slices/apiSlice';
 import Loading from '../components/Loading';
-import config from '../config';
+import ErrorState from '../components/ErrorState';
+import Address from '../components/Address';
 
 const Rankings = () => {
-  const dispatch = useDispatch();
   const [tab, setTab] = useState('users');
-  const userRankings = useSelector(selectUserRankings);
-  const collectorRankings = useSelector(selectCollectorRankings);
-  const flagRankings = useSelector(selectFlagRankings);
-  const loading = useSelector(selectRankingsLoading);
+  const { data: userPage, isLoading: loading, error, refetch } = useGetUserRankingsQuery({ limit: 10 });
+  const { data: collectorPage } = useGetCollectorRankingsQuery({ limit: 10 });
+  const { data: flagPage } = useGetFlagRankingsQuery({ limit: 10 });
+  const userRankings = userPage?.items ?? [];
+  const collectorRankings = collectorPage?.items ?? [];
+  const flagRankings = flagPage?.items ?? [];
 
-  useEffect(() => {
-    dispatch(fetchAllRankings(10));
-  }, [dispatch]);
-
-  if (loading && userRankings.length === 0) return <Loading />;
+  if (loading) return <Loading />;
+  if (error && userRankings.length === 0) return <ErrorState error={error} onRetry={refetch} />;
 
   const getCurrentRankings = () => {
     switch (tab) {
@@ -67,8 +63,8 @@ const Rankings = () => {
         className="flex items-center gap-4 p-4 border-b border-gray-800 last:border-b-0"
       >
         <span className="text-2xl font-bold text-primary w-10">#{item.rank}</span>
-        <span className="flex-1 text-white font-mono">
-          {config.truncateAddress(item.user.wallet_address, 6)}
+        <span className="flex-1 text-white">
+          <Address address={item.user.wallet_address} username={item.user.username} chars={6} />
         </span>
         <span className="text-gray-400">
           {item.score} {tab === 'users' ? 'pts' : 'flags'}
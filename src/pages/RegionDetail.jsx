@@ -2,25 +2,18 @@
  * Region Detail Page - Show municipalities of a region
  * Refactored to use useNavigate instead of Link
  */
-import { useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { useSelector, useDispatch } from 'react-redux';
-import { fetchRegion, selectCurrentRegion, selectCountriesLoading } from '../store/slices/countriesSlice';
+import { useGetRegionQuery } from '../store/slices/apiSlice';
 import Loading from '../components/Loading';
+import ErrorState from '../components/ErrorState';
 
 const RegionDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const dispatch = useDispatch();
-  const region = useSelector(selectCurrentRegion);
-  const loading = useSelector(selectCountriesLoading);
-
-  useEffect(() => {
-    dispatch(fetchRegion(id));
-  }, [dispatch, id]);
+  const { data: region, isLoading: loading, error, refetch } = useGetRegionQuery(id);
 
   if (loading) return <Loading />;
-  if (!region) return <ErrorDisplay message="Region not found" />;
+  if (!region) return <ErrorState error={error} notFound="Region not found" onRetry={refetch} />;
 
   return (
     <div className="page-container">
@@ -101,16 +94,4 @@ const RegionDetail = () => {
   );
 };
 
-const ErrorDisplay = ({ message }) => (
-  <div className="page-container">
-    <div
-      data-animate="zoom-in"
-      data-duration="fast"
-      className="text-center py-16"
-    >
-      <p className="text-red-400">{message}</p>
-    </div>
-  </div>
-);
-
 export default RegionDetail;
@@ -0,0 +1,243 @@
+/**
+ * Token Detail Page - On-chain view of a single NFT
+ *
+ * Reads the token straight from the contract (flag, pair side, owner) and
+ * resolves its tokenURI metadata. The backend flag record is loaded alongside
+ * so any disagreement with the on-chain metadata is pointed out.
+ */
+import { useEffect, useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useGetFlagQuery } from '../store/slices/apiSlice';
+import { getFlagIdForToken, isTokenFirstNFT, getTokenOwner, getErrorMessage } from '../services/web3';
+import { getTokenMetadata, compareWithFlag, normalizeUri } from '../services/metadata';
+import config from '../config';
+import Loading from '../components/Loading';
+import IpfsImage from '../components/IpfsImage';
+import Address from '../components/Address';
+
+const TokenDetail = () => {
+  const { tokenId } = useParams();
+  const navigate = useNavigate();
+  const [token, setToken] = useState(null);
+  const [metadata, setMetadata] = useState(null);
+  const [metadataError, setMetadataError] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentData: flag = null } = useGetFlagQuery(token?.flagId, { skip: !token });
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    setToken(null);
+    setMetadata(null);
+    setMetadataError(null);
+
+    const load = async () => {
+      try {
+        const owner = await getTokenOwner(tokenId);
+        if (!owner) {
+          throw new Error('Token not found');
+        }
+        const [flagId, isFirst] = await Promise.all([
+          getFlagIdForToken(tokenId),
+          isTokenFirstNFT(tokenId),
+        ]);
+        if (cancelled) return;
+        setToken({ owner, flagId, ownershipType: isFirst ? 'first' : 'second' });
+      } catch (err) {
+        if (!cancelled) setError(getErrorMessage(err, 'Failed to load token'));
+        return;
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+
+      try {
+        const result = await getTokenMetadata(tokenId);
+        if (!cancelled) setMetadata(result);
+      } catch (err) {
+        if (!cancelled) setMetadataError(err.message || 'Failed to load metadata');
+      }
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [tokenId]);
+
+  if (!config.contractAddress) return <ErrorDisplay message="Contract not configured" />;
+  if (loading) return <Loading text="Loading token..." />;
+  if (error) return <ErrorDisplay message={error} />;
+
+  const mismatches = metadata ? compareWithFlag(metadata.metadata, flag) : [];
+  const attributes = Array.isArray(metadata?.metadata?.attributes) ? metadata.metadata.attributes : [];
+
+  return (
+    <div className="page-container">
+      <nav className="breadcrumb">
+        <button
+          onClick={() => navigate(`/flags/${token.flagId}`)}
+          data-animate="fade-right"
+          data-duration="fast"
+          className="bg-transparent border-none cursor-pointer text-inherit hover:text-primary"
+        >
+          {flag?.name || `Flag #${token.flagId}`}
+        </button>
+        <span data-animate="fade" data-duration="fast">/</span>
+        <span
+          data-animate="fade-left"
+          data-duration="fast"
+          className="text-white"
+        >
+          Token #{tokenId}
+        </span>
+      </nav>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+        {/* Image */}
+        <div
+          data-animate="fade-right"
+          data-duration="normal"
+          className="card overflow-hidden"
+        >
+          {metadata?.imageUrl ? (
+            <IpfsImage
+              src={metadata.metadata.image}
+              placeholder={`https://placehold.co/500x500/1a1a2e/e94560?text=${encodeURIComponent(`Token #${tokenId}`)}`}
+              alt={metadata.metadata.name || `Token #${tokenId}`}
+              className="w-full aspect-square object-cover"
+            />
+          ) : (
+            <div className="w-full aspect-square flex items-center justify-center text-gray-500">
+              {metadataError ? 'Image unavailable' : 'Loading image...'}
+            </div>
+          )}
+        </div>
+
+        {/* Details */}
+        <div>
+          <h1
+            data-animate="fade-down"
+            data-duration="normal"
+            className="text-3xl font-bold text-white mb-2"
+          >
+            {metadata?.metadata?.name || `Token #${tokenId}`}
+          </h1>
+          <div
+            data-animate="fade-up"
+            data-duration="normal"
+            className="flex gap-2 mb-6 flex-wrap"
+          >
+            <span className="badge badge-available">{token.ownershipType} NFT</span>
+            <span className="badge bg-gray-700 text-gray-300">Token #{tokenId}</span>
+          </div>
+
+          {metadata?.metadata?.description && (
+            <p className="text-gray-400 mb-6">{metadata.metadata.description}</p>
+          )}
+
+          {mismatches.length > 0 && (
+            <div
+              data-animate="fade-up"
+              data-duration="normal"
+              className="p-4 mb-6 bg-yellow-500/10 border border-yellow-500/30 rounded-[3px] text-sm"
+            >
+              <p className="text-yellow-400 font-medium mb-2">On-chain metadata differs from the marketplace record</p>
+              <ul className="space-y-1">
+                {mismatches.map((mismatch) => (
+                  <li key={mismatch.field} className="text-gray-400">
+                    {mismatch.field}: <span className="text-white">{mismatch.onChain}</span> on-chain,{' '}
+                    <span className="text-white">{mismatch.backend}</span> in the marketplace
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {metadata?.errors.length > 0 && (
+            <div className="p-4 mb-6 bg-red-500/10 border border-red-500/30 rounded-[3px] text-sm">
+              <p className="text-red-400 font-medium mb-2">Metadata doesn't follow the expected format</p>
+              <ul className="list-disc list-inside text-gray-400">
+                {metadata.errors.map((problem) => (
+                  <li key={problem}>{problem}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div
+            data-animate="fade-left"
+            data-duration="normal"
+            className="card p-6 mb-4"
+          >
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-gray-400">Owner:</span>
+              <Address address={token.owner} explorer className="text-white" />
+            </div>
+            <div className="flex justify-between items-center mb-2">
+              <span className="text-gray-400">Flag:</span>
+              <button
+                onClick={() => navigate(`/flags/${token.flagId}`)}
+                className="text-primary hover:underline bg-transparent border-none cursor-pointer"
+              >
+                #{token.flagId}
+              </button>
+            </div>
+            {metadata && (
+              <div className="flex justify-between items-center">
+                <span className="text-gray-400">Metadata:</span>
+                <a
+                  href={metadata.tokenURI.startsWith('data:') ? undefined : normalizeUri(metadata.tokenURI)}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-primary hover:underline text-sm"
+                >
+                  {metadata.tokenURI.startsWith('data:') ? 'Stored on-chain' : 'View JSON'}
+                </a>
+              </div>
+            )}
+          </div>
+
+          <div
+            data-animate="fade-left"
+            data-duration="normal"
+            className="card p-6"
+          >
+            <h3 className="text-white font-semibold mb-4">Attributes</h3>
+            {metadataError ? (
+              <p className="text-red-400 text-sm">{metadataError}</p>
+            ) : !metadata ? (
+              <p className="text-gray-500 text-sm">Loading metadata...</p>
+            ) : attributes.length > 0 ? (
+              <div className="grid grid-cols-2 gap-3">
+                {attributes.map((attribute, index) => (
+                  <div key={`${attribute?.trait_type}-${index}`} className="p-3 bg-gray-800/50 rounded-[3px]">
+                    <p className="text-gray-500 text-xs uppercase">{attribute?.trait_type}</p>
+                    <p className="text-white text-sm">{String(attribute?.value)}</p>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p className="text-gray-500 text-sm">No attributes</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ErrorDisplay = ({ message }) => (
+  <div className="page-container">
+    <div
+      data-animate="zoom-in"
+      data-duration="fast"
+      className="text-center py-16"
+    >
+      <p className="text-red-400">{message}</p>
+    </div>
+  </div>
+);
+
+export default TokenDetail;
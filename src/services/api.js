@@ -1,37 +1,324 @@
 /**
  * API Service for backend communication
+ *
+ * - Failures reject with an ApiError carrying the HTTP status, an error code,
+ *   field errors of rejected input and whether trying again may help
+ * - GET requests are retried with exponential backoff when the failure is retryable
+ * - Read endpoints take an optional last `options` argument; pass `{ signal }`
+ *   from an AbortController to cancel the request
+ * - List endpoints take their filters, paging and sort key in one object and
+ *   resolve to a page: { items, total, nextCursor } (see PAGINATION)
  */
 import axios from 'axios';
 import config from '../config';
 
+// Retries of a failed GET, and the delay before the first one (doubled for each next one)
+const RETRY_ATTEMPTS = 2;
+const RETRY_BASE_DELAY_MS = 500;
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: config.apiUrl,
   timeout: 30000,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
-// Response interceptor for error handling
+// =============================================================================
+// ERRORS
+// =============================================================================
+
+// Error codes by HTTP status; the backend may send its own `code` instead
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation',
+  429: 'rate_limited',
+};
+
+// Failures that may succeed when tried again
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+const RETRYABLE_CODES = ['network', 'timeout'];
+
+/**
+ * Failed API request.
+ * code is one of the STATUS_CODES values, 'server' (5xx), 'http' (other status),
+ * 'network' (no response), 'timeout' or 'cancelled'.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Message for the user
+   * @param {Object} [details]
+   * @param {number|null} [details.status] - HTTP status, null when no response arrived
+   * @param {string} [details.code] - Error code
+   * @param {Object<string, string>} [details.fieldErrors] - Messages of rejected input fields by field name
+   */
+  constructor(message, { status = null, code = 'http', fieldErrors = {} } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.fieldErrors = fieldErrors;
+    this.retryable = RETRYABLE_CODES.includes(code) || RETRYABLE_STATUSES.includes(status);
+  }
+
+  /**
+   * Wrap any error thrown by a request
+   * @returns {ApiError}
+   */
+  static from(error) {
+    if (error instanceof ApiError) return error;
+    return new ApiError(error?.message || 'An error occurred');
+  }
+
+  // Plain object for Redux state (query errors)
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      status: this.status,
+      code: this.code,
+      fieldErrors: this.fieldErrors,
+      retryable: this.retryable,
+    };
+  }
+}
+
+/**
+ * FastAPI validation errors: [{ loc: ['body', 'field'], msg }]
+ */
+const parseFieldErrors = (detail) => {
+  if (!Array.isArray(detail)) return {};
+  return Object.fromEntries(detail
+    .filter((item) => Array.isArray(item?.loc) && item.msg)
+    .map((item) => [item.loc[item.loc.length - 1], item.msg]));
+};
+
+const toApiError = (error) => {
+  if (axios.isCancel(error)) {
+    return new ApiError('Request cancelled', { code: 'cancelled' });
+  }
+  if (!error.response) {
+    const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+    return new ApiError(
+      timedOut ? 'The server took too long to respond' : 'Could not reach the server',
+      { code: timedOut ? 'timeout' : 'network' }
+    );
+  }
+
+  const { status, data } = error.response;
+  const fieldErrors = parseFieldErrors(data?.detail);
+  const message = typeof data?.detail === 'string'
+    ? data.detail
+    : Object.entries(fieldErrors).map(([field, msg]) => `${field}: ${msg}`).join('; ') || error.message;
+  const code = data?.code || STATUS_CODES[status] || (status >= 500 ? 'server' : 'http');
+  return new ApiError(message || 'An error occurred', { status, code, fieldErrors });
+};
+
+// Resolves after the delay, or rejects right away when the request is cancelled meanwhile
+const waitBeforeRetry = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new ApiError('Request cancelled', { code: 'cancelled' }));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new ApiError('Request cancelled', { code: 'cancelled' }));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// =============================================================================
+// PAGINATION
+// =============================================================================
+
+/**
+ * Query parameters shared by list endpoints:
+ * - limit / offset: page size and number of items to skip
+ * - cursor: continue after the page that returned it (instead of offset)
+ * - sort: sort key, '-' prefixed for descending (e.g. '-created_at')
+ * Without a limit the backend returns the whole collection. Backends answering
+ * with a plain array never return a cursor (see toPage).
+ */
+const pageParams = ({ limit, offset, cursor, sort }) => ({ limit, offset, cursor, sort });
+
+// Compare two field values: numerically when both are numbers (prices arrive as strings)
+const compareValues = (a, b) => {
+  if (a == null || b == null) return a == null ? (b == null ? 0 : 1) : -1;
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (a !== '' && b !== '' && Number.isFinite(numberA) && Number.isFinite(numberB)) {
+    return numberA - numberB;
+  }
+  return String(a).localeCompare(String(b));
+};
+
+// Apply a sort key ('-' prefixed for descending) to a whole collection
+const sortItems = (items, sort) => {
+  if (!sort) return items;
+  const descending = sort.startsWith('-');
+  const key = descending ? sort.slice(1) : sort;
+  return [...items].sort((a, b) => (descending ? -1 : 1) * compareValues(a[key], b[key]));
+};
+
+/**
+ * Normalize a list response to { items, total, nextCursor, hasMore }.
+ * Paged responses are { items, total, next_cursor }. Backends answering with an
+ * array either applied limit/offset themselves or ignored them:
+ * - More items than the limit means paging was ignored: the whole collection is
+ *   sorted and paged here
+ * - Otherwise the array is the page; total is unknown (null) unless it is the last one
+ */
+const toPage = (data, { limit, offset = 0, sort }) => {
+  if (!Array.isArray(data)) {
+    const items = data?.items || [];
+    const total = data?.total ?? items.length;
+    const nextCursor = data?.next_cursor ?? null;
+    return { items, total, nextCursor, hasMore: !!nextCursor || offset + items.length < total };
+  }
+  if (!limit || data.length > limit) {
+    const items = sortItems(data, sort);
+    return {
+      items: limit ? items.slice(offset, offset + limit) : items,
+      total: data.length,
+      nextCursor: null,
+      hasMore: !!limit && offset + limit < data.length,
+    };
+  }
+  const hasMore = data.length === limit;
+  return { items: data, total: hasMore ? null : offset + data.length, nextCursor: null, hasMore };
+};
+
+const getPage = async (url, filters, page, options) =>
+  toPage(await api.get(url, { params: { ...filters, ...pageParams(page) }, ...options }), page);
+
+// =============================================================================
+// WALLET SESSION (SIWE)
+// =============================================================================
+
+// Renew the session slightly before the backend would reject it
+const SESSION_EXPIRY_MARGIN_MS = 60 * 1000;
+
+let session = null;
+let sessionHandlers = { renew: null, expire: null };
+let pendingRenewal = null;
+
+/**
+ * Set the active wallet session ({ address, token, expiresAt }) or null to clear it.
+ */
+export const setSession = (value) => {
+  session = value;
+};
+
+export const getSession = () => session;
+
+export const isSessionValid = (value = session) =>
+  !!value?.token &&
+  (!value.expiresAt || new Date(value.expiresAt).getTime() - SESSION_EXPIRY_MARGIN_MS > Date.now());
+
+/**
+ * Register callbacks used by the interceptors.
+ * @param {Object} handlers
+ * @param {Function} handlers.renew - Re-signs and resolves once a new session is set
+ * @param {Function} handlers.expire - Called when the backend rejects the session
+ */
+export const setSessionHandlers = (handlers) => {
+  sessionHandlers = { ...sessionHandlers, ...handlers };
+};
+
+// Share one renewal between concurrent wallet-scoped requests
+const renewSession = () => {
+  if (!pendingRenewal) {
+    pendingRenewal = Promise.resolve(sessionHandlers.renew()).finally(() => {
+      pendingRenewal = null;
+    });
+  }
+  return pendingRenewal;
+};
+
+// Request interceptor: send requests to the API of the active network
+api.interceptors.request.use((requestConfig) => {
+  requestConfig.baseURL = config.apiUrl;
+  return requestConfig;
+});
+
+// Request interceptor: attach the session token to wallet-scoped requests
+// (those created with `walletAuth: true`), signing in again when it expired.
+api.interceptors.request.use(async (requestConfig) => {
+  if (!requestConfig.walletAuth) return requestConfig;
+
+  if (!isSessionValid() && sessionHandlers.renew) {
+    await renewSession();
+  }
+  if (session?.token) {
+    requestConfig.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return requestConfig;
+});
+
+// Response interceptor: unwrap the data, retry idempotent reads, reject with ApiError
 api.interceptors.response.use(
   (response) => response.data,
-  (error) => {
-    const message = error.response?.data?.detail || error.message || 'An error occurred';
-    console.error('API Error:', message);
-    throw new Error(message);
+  async (error) => {
+    if (error.response?.status === 401 && error.config?.walletAuth) {
+      session = null;
+      sessionHandlers.expire?.();
+    }
+    const apiError = toApiError(error);
+    const requestConfig = error.config;
+    const attempt = requestConfig?.retryAttempt || 0;
+
+    if (apiError.retryable && requestConfig?.method === 'get' && attempt < RETRY_ATTEMPTS) {
+      await waitBeforeRetry(RETRY_BASE_DELAY_MS * 2 ** attempt, requestConfig.signal);
+      return api.request({ ...requestConfig, retryAttempt: attempt + 1 });
+    }
+
+    if (apiError.code !== 'cancelled') {
+      console.error('API Error:', apiError.message);
+    }
+    throw apiError;
   }
 );
 
+// =============================================================================
+// AUTHENTICATION (SIWE)
+// =============================================================================
+
+export const getAuthNonce = (walletAddress) =>
+  api.get('/auth/nonce', { params: { wallet_address: walletAddress } });
+
+/**
+ * Exchange a signed EIP-4361 message for a session token.
+ * @param {string} message - The exact message that was signed
+ * @param {string} signature - Signature from the wallet
+ * @returns {Promise<{token: string, expires_at: string}>}
+ */
+export const verifySiwe = (message, signature) =>
+  api.post('/auth/verify', { message, signature });
+
+export const logoutSession = (token) =>
+  api.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } });
+
 // =============================================================================
 // COUNTRIES
 // =============================================================================
 
-export const getCountries = (visibleOnly = true) =>
-  api.get('/countries', { params: { visible_only: visibleOnly } });
+/**
+ * @param {Object} [query] - Filters below, plus limit, offset, cursor and sort (see PAGINATION)
+ * @param {boolean} [query.visibleOnly=true] - Hide countries hidden by the admin
+ */
+export const getCountries = ({ visibleOnly = true, ...page } = {}, options = {}) =>
+  getPage('/countries', { visible_only: visibleOnly }, page, options);
 
-export const getCountry = (id) =>
-  api.get(`/countries/${id}`);
+export const getCountry = (id, options = {}) =>
+  api.get(`/countries/${id}`, options);
 
 export const createCountry = (data, adminKey) =>
   api.post('/countries', data, { headers: { 'X-Admin-Key': adminKey } });
@@ -46,11 +333,16 @@ export const deleteCountry = (id, adminKey) =>
 // REGIONS
 // =============================================================================
 
-export const getRegions = (countryId = null, visibleOnly = true) =>
-  api.get('/regions', { params: { country_id: countryId, visible_only: visibleOnly } });
+/**
+ * @param {Object} [query] - Filters below, plus limit, offset, cursor and sort (see PAGINATION)
+ * @param {number|null} [query.countryId] - Only regions of this country
+ * @param {boolean} [query.visibleOnly=true] - Hide regions hidden by the admin
+ */
+export const getRegions = ({ countryId = null, visibleOnly = true, ...page } = {}, options = {}) =>
+  getPage('/regions', { country_id: countryId, visible_only: visibleOnly }, page, options);
 
-export const getRegion = (id) =>
-  api.get(`/regions/${id}`);
+export const getRegion = (id, options = {}) =>
+  api.get(`/regions/${id}`, options);
 
 export const createRegion = (data, adminKey) =>
   api.post('/regions', data, { headers: { 'X-Admin-Key': adminKey } });
@@ -65,11 +357,16 @@ export const deleteRegion = (id, adminKey) =>
 // MUNICIPALITIES
 // =============================================================================
 
-export const getMunicipalities = (regionId = null, visibleOnly = true) =>
-  api.get('/municipalities', { params: { region_id: regionId, visible_only: visibleOnly } });
+/**
+ * @param {Object} [query] - Filters below, plus limit, offset, cursor and sort (see PAGINATION)
+ * @param {number|null} [query.regionId] - Only municipalities of this region
+ * @param {boolean} [query.visibleOnly=true] - Hide municipalities hidden by the admin
+ */
+export const getMunicipalities = ({ regionId = null, visibleOnly = true, ...page } = {}, options = {}) =>
+  getPage('/municipalities', { region_id: regionId, visible_only: visibleOnly }, page, options);
 
-export const getMunicipality = (id) =>
-  api.get(`/municipalities/${id}`);
+export const getMunicipality = (id, options = {}) =>
+  api.get(`/municipalities/${id}`, options);
 
 export const createMunicipality = (data, adminKey) =>
   api.post('/municipalities', data, { headers: { 'X-Admin-Key': adminKey } });
@@ -84,17 +381,21 @@ export const deleteMunicipality = (id, adminKey) =>
 // FLAGS
 // =============================================================================
 
-export const getFlags = (municipalityId = null, category = null, availableOnly = false) =>
-  api.get('/flags', {
-    params: {
-      municipality_id: municipalityId,
-      category,
-      available_only: availableOnly,
-    },
-  });
+/**
+ * @param {Object} [query] - Filters below, plus limit, offset, cursor and sort (see PAGINATION)
+ * @param {number|null} [query.municipalityId] - Only flags of this municipality
+ * @param {string|null} [query.category] - 'standard', 'plus' or 'premium'
+ * @param {boolean} [query.availableOnly=false] - Only flags that can still be claimed or bought
+ */
+export const getFlags = ({ municipalityId = null, category = null, availableOnly = false, ...page } = {}, options = {}) =>
+  getPage('/flags', {
+    municipality_id: municipalityId,
+    category,
+    available_only: availableOnly,
+  }, page, options);
 
-export const getFlag = (id) =>
-  api.get(`/flags/${id}`);
+export const getFlag = (id, options = {}) =>
+  api.get(`/flags/${id}`, options);
 
 export const createFlag = (data, adminKey) =>
   api.post('/flags', data, { headers: { 'X-Admin-Key': adminKey } });
@@ -104,69 +405,99 @@ export const updateFlag = (id, data, adminKey) =>
 
 // Flag interactions
 export const registerInterest = (flagId, walletAddress) =>
-  api.post(`/flags/${flagId}/interest`, { wallet_address: walletAddress });
+  api.post(`/flags/${flagId}/interest`, { wallet_address: walletAddress }, { walletAuth: true });
 
-export const getFlagInterests = (flagId) =>
-  api.get(`/flags/${flagId}/interests`);
+export const getFlagInterests = (flagId, options = {}) =>
+  api.get(`/flags/${flagId}/interests`, options);
 
 export const claimFirstNFT = (flagId, walletAddress, transactionHash) =>
   api.post(`/flags/${flagId}/claim`, {
     wallet_address: walletAddress,
     ownership_type: 'first',
     transaction_hash: transactionHash,
-  });
+  }, { walletAuth: true });
 
 export const purchaseSecondNFT = (flagId, walletAddress, transactionHash) =>
   api.post(`/flags/${flagId}/purchase`, {
     wallet_address: walletAddress,
     ownership_type: 'second',
     transaction_hash: transactionHash,
-  });
+  }, { walletAuth: true });
+
+export const getFlagOwnerships = (flagId, options = {}) =>
+  api.get(`/flags/${flagId}/ownerships`, options);
 
-export const getFlagOwnerships = (flagId) =>
-  api.get(`/flags/${flagId}/ownerships`);
+/**
+ * Record an on-chain token transfer so the backend ownership follows the token.
+ * @param {number} flagId - Flag ID
+ * @param {string} walletAddress - Sender's wallet address
+ * @param {Object} data - Transfer details
+ * @param {string} data.to - Recipient's wallet address
+ * @param {string} data.tokenId - Transferred token ID
+ * @param {string} data.transactionHash - Transfer transaction hash
+ */
+export const transferFlag = (flagId, walletAddress, { to, tokenId, transactionHash }) =>
+  api.post(`/flags/${flagId}/transfer`, {
+    wallet_address: walletAddress,
+    to_wallet_address: to,
+    token_id: tokenId,
+    transaction_hash: transactionHash,
+  }, { walletAuth: true });
 
 // =============================================================================
 // USERS
 // =============================================================================
 
-export const getUser = (walletAddress) =>
-  api.get(`/users/${walletAddress}`);
+export const getUser = (walletAddress, options = {}) =>
+  api.get(`/users/${walletAddress}`, options);
 
 export const createOrGetUser = (walletAddress, username = null) =>
   api.post('/users', { wallet_address: walletAddress, username });
 
 export const updateUser = (walletAddress, data) =>
-  api.put(`/users/${walletAddress}`, data);
+  api.put(`/users/${walletAddress}`, data, { walletAuth: true });
 
-export const getUserFlags = (walletAddress) =>
-  api.get(`/users/${walletAddress}/flags`);
+export const getUserFlags = (walletAddress, options = {}) =>
+  api.get(`/users/${walletAddress}/flags`, options);
 
-export const getUserInterests = (walletAddress) =>
-  api.get(`/users/${walletAddress}/interests`);
+export const getUserInterests = (walletAddress, options = {}) =>
+  api.get(`/users/${walletAddress}/interests`, options);
+
+/**
+ * Replace the backend ownerships of a wallet with what the chain reports.
+ * @param {string} walletAddress - Wallet to resync
+ * @param {Array<{token_id: string, flag_id: number, ownership_type: string}>} tokens - Tokens owned on-chain
+ */
+export const resyncUserOwnerships = (walletAddress, tokens) =>
+  api.post(`/users/${walletAddress}/resync-ownerships`, { tokens }, { walletAuth: true });
 
 // Social
 export const followUser = (walletAddress, targetWallet) =>
-  api.post(`/users/${walletAddress}/follow`, { target_wallet: targetWallet });
+  api.post(`/users/${walletAddress}/follow`, { target_wallet: targetWallet }, { walletAuth: true });
 
 export const unfollowUser = (walletAddress, targetWallet) =>
-  api.delete(`/users/${walletAddress}/follow/${targetWallet}`);
+  api.delete(`/users/${walletAddress}/follow/${targetWallet}`, { walletAuth: true });
 
-export const getFollowers = (walletAddress) =>
-  api.get(`/users/${walletAddress}/followers`);
+export const getFollowers = (walletAddress, options = {}) =>
+  api.get(`/users/${walletAddress}/followers`, options);
 
-export const getFollowing = (walletAddress) =>
-  api.get(`/users/${walletAddress}/following`);
+export const getFollowing = (walletAddress, options = {}) =>
+  api.get(`/users/${walletAddress}/following`, options);
 
 // =============================================================================
 // AUCTIONS (Enhanced with min_price, buyout_price, bidder_category)
 // =============================================================================
 
-export const getAuctions = (activeOnly = true, flagId = null) =>
-  api.get('/auctions', { params: { active_only: activeOnly, flag_id: flagId } });
+/**
+ * @param {Object} [query] - Filters below, plus limit, offset, cursor and sort (see PAGINATION)
+ * @param {boolean} [query.activeOnly=true] - Leave out closed and cancelled auctions
+ * @param {number|null} [query.flagId] - Only auctions of this flag
+ */
+export const getAuctions = ({ activeOnly = true, flagId = null, ...page } = {}, options = {}) =>
+  getPage('/auctions', { active_only: activeOnly, flag_id: flagId }, page, options);
 
-export const getAuction = (id) =>
-  api.get(`/auctions/${id}`);
+export const getAuction = (id, options = {}) =>
+  api.get(`/auctions/${id}`, options);
 
 /**
  * Create a new auction with enhanced features.
@@ -177,6 +508,9 @@ export const getAuction = (id) =>
  * @param {string|number} data.min_price - Minimum bid price (floor)
  * @param {string|number|null} data.buyout_price - Optional instant purchase price
  * @param {number} data.duration_hours - Auction duration (1-168 hours)
+ * @param {string|null} data.token_id - Escrowed token ID (on-chain auctions)
+ * @param {string|null} data.onchain_auction_id - Auction ID in the auction house contract
+ * @param {string|null} data.transaction_hash - Listing transaction hash
  */
 export const createAuction = (data) =>
   api.post('/auctions', {
@@ -186,7 +520,10 @@ export const createAuction = (data) =>
     min_price: data.min_price.toString(),
     buyout_price: data.buyout_price ? data.buyout_price.toString() : null,
     duration_hours: data.duration_hours,
-  });
+    token_id: data.token_id ?? null,
+    onchain_auction_id: data.onchain_auction_id ?? null,
+    transaction_hash: data.transaction_hash ?? null,
+  }, { walletAuth: true });
 
 /**
  * Place a bid on an auction with category for tie-breaking.
@@ -194,54 +531,63 @@ export const createAuction = (data) =>
  * @param {string} walletAddress - Bidder's wallet address
  * @param {string|number} amount - Bid amount in MATIC
  * @param {string} bidderCategory - Bidder's category ('standard', 'plus', 'premium')
+ * @param {string|null} transactionHash - Escrow bid transaction hash (on-chain auctions)
  */
-export const placeBid = (auctionId, walletAddress, amount, bidderCategory = 'standard') =>
+export const placeBid = (auctionId, walletAddress, amount, bidderCategory = 'standard', transactionHash = null) =>
   api.post(`/auctions/${auctionId}/bid`, {
     wallet_address: walletAddress,
     amount: amount.toString(),
     bidder_category: bidderCategory,
-  });
+    transaction_hash: transactionHash,
+  }, { walletAuth: true });
 
 /**
  * Instant buyout of an auction at the buyout price.
  * @param {number} auctionId - Auction ID
  * @param {string} walletAddress - Buyer's wallet address
+ * @param {string|null} transactionHash - Settlement transaction hash (on-chain auctions)
  */
-export const buyoutAuction = (auctionId, walletAddress) =>
+export const buyoutAuction = (auctionId, walletAddress, transactionHash = null) =>
   api.post(`/auctions/${auctionId}/buyout`, {
     wallet_address: walletAddress,
-  });
+    transaction_hash: transactionHash,
+  }, { walletAuth: true });
 
-export const closeAuction = (auctionId) =>
-  api.post(`/auctions/${auctionId}/close`);
+export const closeAuction = (auctionId, transactionHash = null) =>
+  api.post(`/auctions/${auctionId}/close`, null, {
+    params: { transaction_hash: transactionHash },
+  });
 
-export const cancelAuction = (auctionId, walletAddress) =>
+export const cancelAuction = (auctionId, walletAddress, transactionHash = null) =>
   api.post(`/auctions/${auctionId}/cancel`, null, {
-    params: { wallet_address: walletAddress },
+    params: { wallet_address: walletAddress, transaction_hash: transactionHash },
+    walletAuth: true,
   });
 
 // =============================================================================
 // RANKINGS
 // =============================================================================
 
-export const getUserRankings = (limit = 10) =>
-  api.get('/rankings/users', { params: { limit } });
+// Rankings are ordered by the backend; they page with { limit, offset } (see PAGINATION)
 
-export const getCollectorRankings = (limit = 10) =>
-  api.get('/rankings/collectors', { params: { limit } });
+export const getUserRankings = ({ limit = 10, offset } = {}, options = {}) =>
+  getPage('/rankings/users', {}, { limit, offset }, options);
 
-export const getPopularFlags = (limit = 10) =>
-  api.get('/rankings/flags', { params: { limit } });
+export const getCollectorRankings = ({ limit = 10, offset } = {}, options = {}) =>
+  getPage('/rankings/collectors', {}, { limit, offset }, options);
 
-export const getActiveCollectors = (limit = 10) =>
-  api.get('/rankings/active-collectors', { params: { limit } });
+export const getPopularFlags = ({ limit = 10, offset } = {}, options = {}) =>
+  getPage('/rankings/flags', {}, { limit, offset }, options);
+
+export const getActiveCollectors = ({ limit = 10, offset } = {}, options = {}) =>
+  getPage('/rankings/active-collectors', {}, { limit, offset }, options);
 
 // =============================================================================
 // ADMIN
 // =============================================================================
 
-export const getAdminStats = (adminKey) =>
-  api.get('/admin/stats', { headers: { 'X-Admin-Key': adminKey } });
+export const getAdminStats = (adminKey, options = {}) =>
+  api.get('/admin/stats', { headers: { 'X-Admin-Key': adminKey }, ...options });
 
 export const seedDemoData = (adminKey) =>
   api.post('/admin/seed', null, { headers: { 'X-Admin-Key': adminKey } });
@@ -252,8 +598,8 @@ export const resetDatabase = (adminKey) =>
 export const syncIpfsFromPinata = (adminKey) =>
   api.post('/admin/sync-ipfs-from-pinata', null, { headers: { 'X-Admin-Key': adminKey } });
 
-export const getIpfsStatus = (adminKey) =>
-  api.get('/admin/ipfs-status', { headers: { 'X-Admin-Key': adminKey } });
+export const getIpfsStatus = (adminKey, options = {}) =>
+  api.get('/admin/ipfs-status', { headers: { 'X-Admin-Key': adminKey }, ...options });
 
 export const healthCheck = () =>
   api.get('/admin/health');
@@ -277,11 +623,13 @@ export const createDemoUser = (adminKey, data = {}) =>
  * Get the demo user details.
  * @param {string} adminKey - Admin API key
  * @param {string} walletAddress - Demo wallet address
+ * @param {Object} options - Request options, e.g. { signal }
  */
-export const getDemoUser = (adminKey, walletAddress = '0xdemo000000000000000000000000000000000001') =>
+export const getDemoUser = (adminKey, walletAddress = '0xdemo000000000000000000000000000000000001', options = {}) =>
   api.get('/admin/demo-user', {
     params: { wallet_address: walletAddress },
-    headers: { 'X-Admin-Key': adminKey }
+    headers: { 'X-Admin-Key': adminKey },
+    ...options,
   });
 
 /**
@@ -0,0 +1,134 @@
+/**
+ * Live auction event channel
+ *
+ * Connects to the backend over WebSocket and falls back to Server-Sent Events
+ * when WebSockets are unavailable. Dropped connections are retried with
+ * exponential backoff.
+ *
+ * Event payloads (JSON):
+ * - { type: 'bid_placed', auction_id, bid, auction? }
+ * - { type: 'buyout', auction_id, buyer, amount, auction? }
+ * - { type: 'cancelled', auction_id, auction? }
+ * - { type: 'closed', auction_id, winner?, winner_category?, auction? }
+ * `auction`, when present, is a partial auction record merged into state.
+ */
+import config from '../config';
+
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+export const EVENT_TYPES = ['bid_placed', 'buyout', 'cancelled', 'closed'];
+
+const getWebSocketUrl = (auctionId) =>
+  `${config.auctionEventsUrl.replace(/^http/, 'ws')}/auctions/${auctionId}/ws`;
+
+const getEventSourceUrl = (auctionId) =>
+  `${config.auctionEventsUrl}/auctions/${auctionId}/events`;
+
+/**
+ * Backoff delay for the given attempt, with jitter so clients don't reconnect in lockstep
+ */
+const getRetryDelay = (attempt) => {
+  const delay = Math.min(INITIAL_RETRY_MS * 2 ** attempt, MAX_RETRY_MS);
+  return delay / 2 + Math.random() * (delay / 2);
+};
+
+const parseEvent = (data) => {
+  try {
+    const event = JSON.parse(data);
+    return EVENT_TYPES.includes(event?.type) ? event : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subscribe to live events for an auction.
+ * @param {number|string} auctionId - Auction ID
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - Called with each parsed event
+ * @param {Function} [handlers.onStatus] - Called with 'connecting' | 'live' | 'reconnecting'
+ * @param {Function} [handlers.onReconnect] - Called when the channel reopens after a drop,
+ *   so the caller can refetch anything missed while offline
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAuction = (auctionId, { onEvent, onStatus = () => {}, onReconnect = () => {} }) => {
+  let transport = typeof WebSocket !== 'undefined' ? 'websocket' : 'sse';
+  let connection = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let hasConnected = false;
+  let stopped = false;
+
+  const handleMessage = (data) => {
+    const event = parseEvent(data);
+    if (event) onEvent(event);
+  };
+
+  const handleOpen = () => {
+    if (hasConnected) onReconnect();
+    hasConnected = true;
+    attempt = 0;
+    onStatus('live');
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    onStatus('reconnecting');
+    retryTimer = setTimeout(connect, getRetryDelay(attempt));
+    attempt += 1;
+  };
+
+  const connectWebSocket = () => {
+    let opened = false;
+    const socket = new WebSocket(getWebSocketUrl(auctionId));
+
+    socket.onopen = () => {
+      opened = true;
+      handleOpen();
+    };
+    socket.onmessage = (message) => handleMessage(message.data);
+    socket.onclose = () => {
+      if (stopped) return;
+      // Never opened: the server (or a proxy) doesn't speak WebSocket, use SSE instead
+      if (!opened && typeof EventSource !== 'undefined') {
+        transport = 'sse';
+        connect();
+        return;
+      }
+      scheduleReconnect();
+    };
+    return socket;
+  };
+
+  const connectEventSource = () => {
+    const source = new EventSource(getEventSourceUrl(auctionId));
+
+    source.onopen = handleOpen;
+    source.onmessage = (message) => handleMessage(message.data);
+    source.onerror = () => {
+      // EventSource retries on its own without backoff; take over so we can back off
+      source.close();
+      scheduleReconnect();
+    };
+    return source;
+  };
+
+  function connect() {
+    if (stopped) return;
+    onStatus(hasConnected ? 'reconnecting' : 'connecting');
+    connection = transport === 'websocket' ? connectWebSocket() : connectEventSource();
+  }
+
+  connect();
+
+  return () => {
+    stopped = true;
+    clearTimeout(retryTimer);
+    connection?.close();
+  };
+};
+
+export default {
+  subscribeToAuction,
+};
@@ -0,0 +1,117 @@
+/**
+ * Development signer for local chains
+ *
+ * Accounts derived from VITE_DEV_SIGNER_MNEMONIC sign in the browser and send
+ * through the local node, so claims, purchases and transfers can be tested
+ * without a wallet extension or testnet funds. Each account is wrapped in a
+ * minimal EIP-1193 provider and listed as a wallet by services/wallets.
+ *
+ * Only offered while the active network is marked `local`; the mnemonic is
+ * bundled into the app, so never use one that holds real funds.
+ */
+import { ethers } from 'ethers';
+import config from '../config';
+
+// Unsupported chain (EIP-1193), returned when asked to leave the local chain
+const CHAIN_NOT_SUPPORTED = 4901;
+const METHOD_NOT_SUPPORTED = 4200;
+
+let rootNode = null;
+const devProviders = new Map();
+
+export const isDevSignerEnabled = () => !!config.devSignerMnemonic && config.network.local;
+
+const providerError = (code, message) => Object.assign(new Error(message), { code });
+
+const getRootNode = () => {
+  if (!rootNode) {
+    // Deriving the seed is slow, so child accounts are derived from one root
+    rootNode = ethers.HDNodeWallet.fromPhrase(config.devSignerMnemonic, undefined, 'm/44\'/60\'/0\'/0');
+  }
+  return rootNode;
+};
+
+/**
+ * Addresses of the dev accounts, in derivation order
+ * @returns {string[]}
+ */
+export const getDevAccounts = () => {
+  if (!isDevSignerEnabled()) return [];
+  return Array.from({ length: config.devSignerAccounts }, (_, index) => getRootNode().deriveChild(index).address);
+};
+
+/**
+ * Convert an eth_sendTransaction request (hex quantities) into an ethers transaction
+ */
+const toTransactionRequest = (tx) => ({
+  to: tx.to,
+  data: tx.data,
+  value: tx.value,
+  gasLimit: tx.gas,
+  gasPrice: tx.gasPrice,
+  maxFeePerGas: tx.maxFeePerGas,
+  maxPriorityFeePerGas: tx.maxPriorityFeePerGas,
+  nonce: tx.nonce != null ? Number(tx.nonce) : undefined,
+  type: tx.type != null ? Number(tx.type) : undefined,
+});
+
+const createDevProvider = (index) => {
+  const rpc = new ethers.JsonRpcProvider(config.rpcUrl);
+  const wallet = getRootNode().deriveChild(index).connect(rpc);
+
+  const request = async ({ method, params = [] }) => {
+    switch (method) {
+      case 'eth_requestAccounts':
+      case 'eth_accounts':
+        return [wallet.address];
+      case 'wallet_switchEthereumChain': {
+        const { chainId } = await rpc.getNetwork();
+        if (parseInt(params[0]?.chainId, 16) !== Number(chainId)) {
+          throw providerError(CHAIN_NOT_SUPPORTED, 'The dev signer only works on the local chain');
+        }
+        return null;
+      }
+      case 'wallet_addEthereumChain':
+        throw providerError(METHOD_NOT_SUPPORTED, 'The dev signer can\'t add networks');
+      case 'personal_sign':
+        return wallet.signMessage(ethers.getBytes(params[0]));
+      case 'eth_signTypedData_v4': {
+        const { domain, types, message } = JSON.parse(params[1]);
+        // ethers derives the domain type itself
+        const messageTypes = { ...types };
+        delete messageTypes.EIP712Domain;
+        return wallet.signTypedData(domain, messageTypes, message);
+      }
+      case 'eth_sendTransaction': {
+        const tx = await wallet.sendTransaction(toTransactionRequest(params[0]));
+        return tx.hash;
+      }
+      default:
+        // Reads (eth_chainId, eth_call, eth_estimateGas, ...) go to the node
+        return rpc.send(method, params);
+    }
+  };
+
+  // Accounts and chain never change, so there are no events to emit
+  return { isDevSigner: true, request, on: () => {}, removeListener: () => {} };
+};
+
+/**
+ * EIP-1193 provider signing with the dev account at the given index
+ */
+export const getDevProvider = (index) => {
+  if (!isDevSignerEnabled()) {
+    throw new Error('The dev signer is only available on a local chain');
+  }
+  const key = `${config.rpcUrl}:${index}`;
+  if (!devProviders.has(key)) {
+    devProviders.set(key, createDevProvider(index));
+  }
+  return devProviders.get(key);
+};
+
+export default {
+  isDevSignerEnabled,
+  getDevAccounts,
+  getDevProvider,
+};
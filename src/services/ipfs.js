@@ -0,0 +1,250 @@
+/**
+ * IPFS content loading
+ *
+ * Content is requested from config.ipfsGateways in order. A gateway that has
+ * not answered within config.ipfsGatewayTimeout gets the next one raced
+ * against it, and a failed gateway hands over immediately, so one slow or
+ * down gateway no longer blanks every image. The first complete response wins
+ * and the others are aborted.
+ *
+ * With verification on, the downloaded bytes are hashed and compared with the
+ * CID before they are used, so a misbehaving gateway can't substitute content.
+ */
+import { ethers } from 'ethers';
+import config from '../config';
+
+// Files up to this size are stored as a single block by `ipfs add` defaults
+const SINGLE_BLOCK_MAX_SIZE = 262144;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+const CID_PATTERN = /^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{50,})(\/.*)?$/;
+
+// Object URLs of loaded images, kept for the whole session
+const objectUrlCache = new Map();
+
+/**
+ * Get the "<cid>/<path>" part of an IPFS reference: a bare CID, an ipfs:// URI
+ * or a gateway URL. Returns null for anything that isn't IPFS.
+ */
+export const getIpfsPath = (value) => {
+  if (!value) return null;
+  if (CID_PATTERN.test(value)) return value;
+  const match = value.match(/^ipfs:\/\/(?:ipfs\/)?(.+)$/) || value.match(/\/ipfs\/(.+)$/);
+  return match ? match[1] : null;
+};
+
+// =============================================================================
+// CID VERIFICATION
+// =============================================================================
+
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = bytes[offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, offset];
+};
+
+const encodeVarint = (value) => {
+  const out = [];
+  while (value >= 0x80) {
+    out.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  out.push(value);
+  return out;
+};
+
+const decodeBase32 = (text) => {
+  const out = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    buffer = (buffer << 5) | BASE32_ALPHABET.indexOf(char);
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      out.push((buffer >> bits) & 0xff);
+    }
+  }
+  return Uint8Array.from(out);
+};
+
+/**
+ * Split a CID into its codec and sha2-256 digest; null for unsupported CIDs
+ */
+const parseCid = (cid) => {
+  let codec;
+  let multihash;
+
+  if (cid.startsWith('Qm')) {
+    // CIDv0: a bare base58 multihash of a dag-pb block
+    codec = CODEC_DAG_PB;
+    multihash = ethers.getBytes(ethers.toBeHex(ethers.decodeBase58(cid), 34));
+  } else if (cid.startsWith('b')) {
+    const bytes = decodeBase32(cid.slice(1));
+    let offset;
+    let version;
+    [version, offset] = readVarint(bytes, 0);
+    if (version !== 1) return null;
+    [codec, offset] = readVarint(bytes, offset);
+    multihash = bytes.slice(offset);
+  } else {
+    return null;
+  }
+
+  if (multihash[0] !== MULTIHASH_SHA2_256 || multihash[1] !== 32) return null;
+  return { codec, digest: ethers.hexlify(multihash.slice(2)) };
+};
+
+/**
+ * Rebuild the dag-pb block `ipfs add` creates for a single-chunk file
+ */
+const encodeUnixFsFile = (bytes) => {
+  const size = encodeVarint(bytes.length);
+  const data = [
+    0x08, 0x02, // Type: File
+    ...(bytes.length > 0 ? [0x12, ...size] : []),
+  ];
+  const unixFs = new Uint8Array([...data, ...(bytes.length > 0 ? bytes : []), 0x18, ...size]);
+  return new Uint8Array([0x0a, ...encodeVarint(unixFs.length), ...unixFs]);
+};
+
+/**
+ * Check that content hashes to its CID
+ * @param {string} cid - CIDv0 or base32 CIDv1
+ * @param {Uint8Array} bytes - Downloaded content
+ * @returns {boolean|null} null when the CID can't be checked from the bytes alone
+ *   (unsupported hash, or a file split over several blocks)
+ */
+export const verifyCid = (cid, bytes) => {
+  const parsed = parseCid(cid);
+  if (!parsed) return null;
+
+  if (parsed.codec === CODEC_RAW) {
+    return ethers.sha256(bytes) === parsed.digest;
+  }
+  if (parsed.codec === CODEC_DAG_PB && bytes.length <= SINGLE_BLOCK_MAX_SIZE) {
+    return ethers.sha256(encodeUnixFsFile(bytes)) === parsed.digest;
+  }
+  return null;
+};
+
+// =============================================================================
+// GATEWAY FAILOVER
+// =============================================================================
+
+const fetchFromGateway = async (gateway, path, { verify, signal }) => {
+  const response = await fetch(`${gateway}/${path}`, { signal });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+
+  // Only a whole-file CID can be checked; "<cid>/<path>" content can't
+  if (verify && !path.includes('/') && verifyCid(path, bytes) === false) {
+    throw new Error('Content does not match its CID');
+  }
+  return new Blob([bytes], { type: response.headers.get('content-type') || '' });
+};
+
+/**
+ * Fetch IPFS content, racing gateways when one is slow and moving on when one fails
+ * @param {string} reference - CID, "<cid>/<path>", ipfs:// URI or gateway URL
+ * @param {Object} [options]
+ * @param {boolean} [options.verify] - Check the bytes against the CID
+ * @returns {Promise<Blob>} Rejects once every gateway has failed
+ */
+export const fetchIpfs = (reference, { verify = config.ipfsVerifyContent } = {}) => {
+  const path = getIpfsPath(reference);
+  if (!path) {
+    return Promise.reject(new Error('Not an IPFS reference'));
+  }
+
+  const gateways = config.ipfsGateways;
+  const timeout = config.ipfsGatewayTimeout;
+
+  return new Promise((resolve, reject) => {
+    const controllers = [];
+    const errors = [];
+    let started = 0;
+    let settled = false;
+    let raceTimer;
+
+    const finish = () => {
+      settled = true;
+      clearTimeout(raceTimer);
+      controllers.forEach((controller) => controller.abort());
+    };
+
+    const startNext = () => {
+      clearTimeout(raceTimer);
+      if (settled || started >= gateways.length) return;
+
+      const gateway = gateways[started++];
+      const controller = new AbortController();
+      controllers.push(controller);
+      // A hung gateway is given up on after a few race intervals
+      const abortTimer = setTimeout(() => controller.abort(), timeout * 3);
+      raceTimer = setTimeout(startNext, timeout);
+
+      fetchFromGateway(gateway, path, { verify, signal: controller.signal })
+        .then((blob) => {
+          if (settled) return;
+          finish();
+          resolve(blob);
+        })
+        .catch((error) => {
+          if (settled) return;
+          errors.push(`${gateway}: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+          if (errors.length === gateways.length) {
+            finish();
+            reject(new Error(`All IPFS gateways failed (${errors.join('; ')})`));
+          } else {
+            startNext();
+          }
+        })
+        .finally(() => clearTimeout(abortTimer));
+    };
+
+    startNext();
+  });
+};
+
+/**
+ * Load an IPFS image and return an object URL for it, cached per CID
+ * @param {string} reference - CID, "<cid>/<path>", ipfs:// URI or gateway URL
+ * @param {Object} [options] - See fetchIpfs
+ * @returns {Promise<string>}
+ */
+export const loadIpfsImage = (reference, options = {}) => {
+  const path = getIpfsPath(reference);
+  const key = `${path}:${options.verify ?? config.ipfsVerifyContent}`;
+  if (!objectUrlCache.has(key)) {
+    const promise = fetchIpfs(reference, options)
+      .then((blob) => URL.createObjectURL(blob))
+      .catch((error) => {
+        // Not cached, so a later render tries the gateways again
+        objectUrlCache.delete(key);
+        throw error;
+      });
+    objectUrlCache.set(key, promise);
+  }
+  return objectUrlCache.get(key);
+};
+
+export default {
+  getIpfsPath,
+  verifyCid,
+  fetchIpfs,
+  loadIpfsImage,
+};
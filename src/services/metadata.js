@@ -0,0 +1,162 @@
+/**
+ * Token metadata
+ *
+ * Resolves a token's ERC-721 metadata JSON through its on-chain tokenURI.
+ * IPFS URIs are fetched with gateway failover (see services/ipfs) and data:
+ * URIs are decoded in place. Results are cached per token for the session,
+ * since metadata is pinned to IPFS and only changes when the contract's
+ * metadata hash does.
+ */
+import { getTokenURI } from './web3';
+import { getIpfsPath, fetchIpfs } from './ipfs';
+import config from '../config';
+
+const metadataCache = new Map();
+
+/**
+ * Turn a tokenURI or image URI into something the browser can fetch
+ */
+export const normalizeUri = (uri) => {
+  if (!uri) return '';
+  if (uri.startsWith('ipfs://')) {
+    return config.getIpfsUrl(getIpfsPath(uri));
+  }
+  return uri;
+};
+
+const parseDataUri = (uri) => {
+  // The payload itself may contain commas (plain JSON)
+  const comma = uri.indexOf(',');
+  const header = comma === -1 ? uri : uri.slice(0, comma);
+  const payload = comma === -1 ? '' : uri.slice(comma + 1);
+  if (!header.endsWith(';base64')) {
+    return JSON.parse(decodeURIComponent(payload));
+  }
+  // atob yields one character per byte; decode the bytes as UTF-8
+  const bytes = Uint8Array.from(atob(payload), (char) => char.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+};
+
+/**
+ * Check metadata against the fields the marketplace relies on
+ * @returns {string[]} Problems found, empty when valid
+ */
+export const validateMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    return ['Metadata is not a JSON object'];
+  }
+
+  const errors = [];
+  if (typeof metadata.name !== 'string' || !metadata.name.trim()) {
+    errors.push('Missing "name"');
+  }
+  if (typeof metadata.image !== 'string' || !metadata.image.trim()) {
+    errors.push('Missing "image"');
+  }
+  if (!Array.isArray(metadata.attributes)) {
+    errors.push('Missing "attributes" list');
+  } else if (metadata.attributes.some((a) => !a || typeof a.trait_type !== 'string' || a.value === undefined)) {
+    errors.push('Every attribute needs a "trait_type" and a "value"');
+  }
+  return errors;
+};
+
+/**
+ * Value of an attribute by trait type (case-insensitive)
+ */
+export const getAttribute = (metadata, traitType) => {
+  const attribute = metadata?.attributes?.find?.(
+    (a) => a?.trait_type?.toLowerCase() === traitType.toLowerCase()
+  );
+  return attribute ? attribute.value : undefined;
+};
+
+const loadTokenMetadata = async (tokenId) => {
+  const tokenURI = await getTokenURI(tokenId);
+  if (!tokenURI) {
+    throw new Error('Token has no metadata URI');
+  }
+
+  let metadata;
+  if (tokenURI.startsWith('data:')) {
+    metadata = parseDataUri(tokenURI);
+  } else if (getIpfsPath(tokenURI)) {
+    const blob = await fetchIpfs(tokenURI);
+    metadata = JSON.parse(await blob.text());
+  } else {
+    const response = await fetch(tokenURI);
+    if (!response.ok) {
+      throw new Error(`Metadata request failed (${response.status})`);
+    }
+    metadata = await response.json();
+  }
+
+  return {
+    tokenId: tokenId.toString(),
+    tokenURI,
+    metadata,
+    imageUrl: normalizeUri(metadata?.image),
+    errors: validateMetadata(metadata),
+  };
+};
+
+/**
+ * Fetch, validate and cache a token's metadata
+ * @param {number|string} tokenId - Token ID
+ * @returns {Promise<{tokenId: string, tokenURI: string, metadata: Object, imageUrl: string, errors: string[]}>}
+ *   Schema problems are reported in `errors`; only unreachable metadata throws
+ */
+export const getTokenMetadata = (tokenId) => {
+  const key = `${config.chainId}:${config.contractAddress}:${tokenId}`;
+  if (!metadataCache.has(key)) {
+    const promise = loadTokenMetadata(tokenId).catch((error) => {
+      // Don't cache failures, the gateway may just be slow
+      metadataCache.delete(key);
+      throw error;
+    });
+    metadataCache.set(key, promise);
+  }
+  return metadataCache.get(key);
+};
+
+/**
+ * Compare on-chain metadata with the backend flag record
+ * @param {Object} metadata - Token metadata JSON
+ * @param {Object} flag - Flag from the API
+ * @returns {Array<{field: string, onChain: string, backend: string}>} Fields that disagree
+ */
+export const compareWithFlag = (metadata, flag) => {
+  if (!metadata || !flag) return [];
+
+  const mismatches = [];
+  const check = (field, onChain, backend) => {
+    if (onChain === undefined || onChain === null || backend === undefined || backend === null) return;
+    if (String(onChain).trim().toLowerCase() !== String(backend).trim().toLowerCase()) {
+      mismatches.push({ field, onChain: String(onChain), backend: String(backend) });
+    }
+  };
+
+  // Token names may carry a suffix such as "#1", so only flag a name that doesn't mention the flag
+  if (typeof metadata.name === 'string' && flag.name
+    && !metadata.name.toLowerCase().includes(flag.name.toLowerCase())) {
+    mismatches.push({ field: 'Name', onChain: metadata.name, backend: flag.name });
+  }
+  check('Category', getAttribute(metadata, 'Category'), flag.category);
+  check('Municipality', getAttribute(metadata, 'Municipality'), flag.municipality?.name);
+  check('Flag ID', getAttribute(metadata, 'Flag ID'), flag.id);
+
+  const imagePath = getIpfsPath(metadata.image);
+  if (imagePath && flag.image_ipfs_hash) {
+    check('Image', imagePath, getIpfsPath(flag.image_ipfs_hash) || flag.image_ipfs_hash);
+  }
+
+  return mismatches;
+};
+
+export default {
+  normalizeUri,
+  validateMetadata,
+  getAttribute,
+  getTokenMetadata,
+  compareWithFlag,
+};
@@ -0,0 +1,215 @@
+/**
+ * Batched contract reads
+ *
+ * View calls issued in the same tick are coalesced into a single Multicall3
+ * `aggregate3` call. On chains without Multicall3 they are sent concurrently,
+ * which ethers' JsonRpcProvider folds into one JSON-RPC batch request.
+ * Results are cached for the current block, so repeated reads while a page
+ * renders don't hit the RPC again.
+ */
+import { ethers } from 'ethers';
+import config from '../config';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+];
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+// Calls per aggregate3 request; keeps requests below typical RPC gas/size limits
+const MAX_CALLS_PER_BATCH = 500;
+
+// How long a fetched block number is trusted (Polygon produces a block every ~2s)
+const BLOCK_TTL_MS = 4000;
+
+// Per-provider batching state
+const batchers = new WeakMap();
+
+const getBatcher = (provider) => {
+  if (!batchers.has(provider)) {
+    batchers.set(provider, {
+      queue: [],
+      scheduled: false,
+      hasMulticall: null,
+      blockNumber: null,
+      blockFetchedAt: 0,
+      blockRequest: null,
+      cacheBlock: null,
+      cache: new Map(),
+    });
+  }
+  return batchers.get(provider);
+};
+
+const getBlockNumber = async (provider, batcher) => {
+  if (batcher.blockNumber !== null && Date.now() - batcher.blockFetchedAt < BLOCK_TTL_MS) {
+    return batcher.blockNumber;
+  }
+  if (!batcher.blockRequest) {
+    batcher.blockRequest = provider.getBlockNumber()
+      .then((blockNumber) => {
+        batcher.blockNumber = blockNumber;
+        batcher.blockFetchedAt = Date.now();
+        return blockNumber;
+      })
+      .finally(() => {
+        batcher.blockRequest = null;
+      });
+  }
+  return batcher.blockRequest;
+};
+
+const supportsMulticall = async (provider, batcher) => {
+  if (batcher.hasMulticall === null) {
+    try {
+      const code = await provider.getCode(config.multicallAddress);
+      batcher.hasMulticall = code !== '0x';
+    } catch {
+      batcher.hasMulticall = false;
+    }
+  }
+  return batcher.hasMulticall;
+};
+
+const aggregate = async (provider, calls, blockTag) => {
+  const data = multicallInterface.encodeFunctionData('aggregate3', [
+    calls.map((c) => ({ target: c.target, allowFailure: true, callData: c.callData })),
+  ]);
+  const result = await provider.call({ to: config.multicallAddress, data, blockTag });
+  const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', result);
+
+  return returnData.map((r) => ({ success: r.success, returnData: r.returnData }));
+};
+
+const callEach = (provider, calls, blockTag) =>
+  Promise.all(
+    calls.map((c) =>
+      provider.call({ to: c.target, data: c.callData, blockTag }).then(
+        (returnData) => ({ success: true, returnData }),
+        (error) => ({ success: false, returnData: error.data || '0x', error })
+      )
+    )
+  );
+
+/**
+ * Resolve or reject a queued call with its raw result
+ */
+const settle = (call, result) => {
+  if (!result.success) {
+    const parsed = result.returnData && result.returnData !== '0x'
+      ? call.iface.parseError(result.returnData)
+      : null;
+    const error = result.error || new Error(parsed ? `Contract reverted: ${parsed.name}` : 'Contract call reverted');
+    error.data = result.returnData;
+    call.reject(error);
+    return;
+  }
+  try {
+    const decoded = call.iface.decodeFunctionResult(call.fragment, result.returnData);
+    call.resolve(decoded.length === 1 ? decoded[0] : decoded);
+  } catch (error) {
+    call.reject(error);
+  }
+};
+
+const flush = async (provider, batcher) => {
+  const queue = batcher.queue;
+  batcher.queue = [];
+  batcher.scheduled = false;
+
+  let blockNumber;
+  try {
+    blockNumber = await getBlockNumber(provider, batcher);
+  } catch (error) {
+    queue.forEach((call) => call.reject(error));
+    return;
+  }
+
+  if (batcher.cacheBlock !== blockNumber) {
+    batcher.cache.clear();
+    batcher.cacheBlock = blockNumber;
+  }
+
+  // Serve cached results and collapse duplicate calls
+  const waiting = new Map();
+  queue.forEach((call) => {
+    const cached = batcher.cache.get(call.key);
+    if (cached) {
+      settle(call, cached);
+    } else if (waiting.has(call.key)) {
+      waiting.get(call.key).push(call);
+    } else {
+      waiting.set(call.key, [call]);
+    }
+  });
+  if (waiting.size === 0) return;
+
+  const unique = [...waiting.values()].map((calls) => calls[0]);
+  const useMulticall = await supportsMulticall(provider, batcher);
+
+  for (let i = 0; i < unique.length; i += MAX_CALLS_PER_BATCH) {
+    const chunk = unique.slice(i, i + MAX_CALLS_PER_BATCH);
+    let results;
+    try {
+      results = useMulticall && chunk.length > 1
+        ? await aggregate(provider, chunk, blockNumber)
+        : await callEach(provider, chunk, blockNumber);
+    } catch {
+      // Multicall itself failed (e.g. RPC limits), retry the calls individually
+      results = await callEach(provider, chunk, blockNumber);
+    }
+
+    chunk.forEach((call, index) => {
+      const result = results[index];
+      if (result.success) batcher.cache.set(call.key, result);
+      waiting.get(call.key).forEach((c) => settle(c, result));
+    });
+  }
+};
+
+/**
+ * Read a view function through the batching layer.
+ * Behaves like `contract[method](...args)`: single return values are unwrapped.
+ * @param {ethers.Contract} contract - Contract connected to a provider
+ * @param {string} method - Function name or signature
+ * @param {Array} args - Function arguments
+ */
+export const batchRead = (contract, method, args = []) => {
+  const provider = contract.runner?.provider || contract.runner;
+  const batcher = getBatcher(provider);
+  const fragment = contract.interface.getFunction(method);
+  const target = contract.target;
+  const callData = contract.interface.encodeFunctionData(fragment, args);
+
+  return new Promise((resolve, reject) => {
+    batcher.queue.push({
+      key: `${target}:${callData}`.toLowerCase(),
+      target,
+      callData,
+      fragment,
+      iface: contract.interface,
+      resolve,
+      reject,
+    });
+    if (!batcher.scheduled) {
+      batcher.scheduled = true;
+      setTimeout(() => flush(provider, batcher), 0);
+    }
+  });
+};
+
+/**
+ * Drop cached results, e.g. after a transaction changed contract state
+ */
+export const clearReadCache = (provider) => {
+  const batcher = batchers.get(provider);
+  if (batcher) {
+    batcher.cache.clear();
+    batcher.cacheBlock = null;
+    batcher.blockNumber = null;
+  }
+};
+
+export default {
+  batchRead,
+  clearReadCache,
+};
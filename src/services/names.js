@@ -0,0 +1,162 @@
+/**
+ * Address names
+ *
+ * Resolves a readable name for a wallet address, in order of preference:
+ * - Backend username (passed in by the caller, or remembered from earlier API data)
+ * - Reverse ENS record, on networks with ENS support
+ * - Label from the user's local address book
+ *
+ * The address book lives in localStorage and also lets inputs accept a saved
+ * name wherever a recipient address is expected.
+ */
+import { resolveRecipient, getReadProvider } from './web3';
+import config from '../config';
+
+const ADDRESS_BOOK_STORAGE_KEY = 'municipalFlag.addressBook';
+
+// Usernames seen in API responses (each network has its own backend), by `${chainId}:${lowercase address}`
+const usernames = new Map();
+// Reverse ENS lookups by `${chainId}:${lowercase address}`: promises, and settled names for sync reads
+const ensLookups = new Map();
+const ensNames = new Map();
+// Chains whose provider has no ENS, so lookups are skipped
+const chainsWithoutEns = new Set();
+
+const addressBookSubscribers = new Set();
+let addressBook = null;
+
+// =============================================================================
+// ADDRESS BOOK
+// =============================================================================
+
+const loadAddressBook = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(ADDRESS_BOOK_STORAGE_KEY));
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Saved labels keyed by lowercase address
+ * @returns {Object<string, string>}
+ */
+export const getAddressBook = () => {
+  if (!addressBook) {
+    addressBook = loadAddressBook();
+  }
+  return addressBook;
+};
+
+export const getAddressLabel = (address) =>
+  (address && getAddressBook()[address.toLowerCase()]) || null;
+
+/**
+ * Save a label for an address, or remove it when the label is empty
+ */
+export const setAddressLabel = (address, label) => {
+  const { [address.toLowerCase()]: _previous, ...others } = getAddressBook();
+  addressBook = label?.trim() ? { ...others, [address.toLowerCase()]: label.trim() } : others;
+
+  try {
+    localStorage.setItem(ADDRESS_BOOK_STORAGE_KEY, JSON.stringify(addressBook));
+  } catch {
+    // Storage unavailable (private mode) - the label lasts for this page load only
+  }
+  addressBookSubscribers.forEach((callback) => callback());
+};
+
+/**
+ * Subscribe to address book changes (useSyncExternalStore compatible)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToAddressBook = (callback) => {
+  addressBookSubscribers.add(callback);
+  return () => addressBookSubscribers.delete(callback);
+};
+
+// =============================================================================
+// USERNAMES AND ENS
+// =============================================================================
+
+/**
+ * Remember a backend username so places without the user object can show it
+ */
+export const rememberUsername = (address, username) => {
+  if (address && username) {
+    usernames.set(`${config.chainId}:${address.toLowerCase()}`, username);
+  }
+};
+
+/**
+ * Reverse ENS name of an address on the active network, or null
+ * ethers checks that the name resolves back to the address.
+ * @returns {Promise<string|null>}
+ */
+export const lookupEnsName = (address) => {
+  const { chainId } = config;
+  if (!address || chainsWithoutEns.has(chainId)) return Promise.resolve(null);
+
+  const key = `${chainId}:${address.toLowerCase()}`;
+  if (!ensLookups.has(key)) {
+    ensLookups.set(key, getReadProvider().lookupAddress(address)
+      .then((name) => {
+        ensNames.set(key, name);
+        return name;
+      })
+      .catch((error) => {
+        if (error.code === 'UNSUPPORTED_OPERATION') {
+          chainsWithoutEns.add(chainId);
+        } else {
+          // Likely an RPC hiccup, try again next time
+          ensLookups.delete(key);
+        }
+        return null;
+      }));
+  }
+  return ensLookups.get(key);
+};
+
+/**
+ * Best known name for an address without waiting for ENS
+ * @param {string} address
+ * @param {string} [username] - Backend username, when the caller has the user object
+ * @returns {string|null}
+ */
+export const getDisplayName = (address, username = null) => {
+  if (!address) return null;
+  const key = `${config.chainId}:${address.toLowerCase()}`;
+  return username
+    || usernames.get(key)
+    || ensNames.get(key)
+    || getAddressLabel(address);
+};
+
+// =============================================================================
+// INPUTS
+// =============================================================================
+
+/**
+ * Resolve a recipient typed by the user: hex address, ENS name or address book label
+ * @returns {Promise<string>} Checksummed address
+ */
+export const resolveAddressInput = async (input) => {
+  const value = input?.trim().toLowerCase();
+  const saved = Object.entries(getAddressBook()).find(([, label]) => label.toLowerCase() === value);
+  if (saved) {
+    return resolveRecipient(saved[0]);
+  }
+  return resolveRecipient(input);
+};
+
+export default {
+  getAddressBook,
+  getAddressLabel,
+  setAddressLabel,
+  subscribeToAddressBook,
+  rememberUsername,
+  lookupEnsName,
+  getDisplayName,
+  resolveAddressInput,
+};
@@ -0,0 +1,80 @@
+/**
+ * Flag pricing
+ *
+ * All amounts are bigint wei read from the contract, so the value sent with a
+ * purchase is exactly what the contract charges (no float rounding). Pricing
+ * objects stored in Redux use decimal strings; see serializePricing.
+ */
+import { ethers } from 'ethers';
+import {
+  getTotalPriceWithDiscount,
+  getNftsRequired,
+  getUserDiscountTier,
+  getDiscountRates,
+} from './web3';
+
+export const DISCOUNT_TIERS = {
+  0: { name: 'Standard', key: 'standard' },
+  1: { name: 'Plus', key: 'plus' },
+  2: { name: 'Premium', key: 'premium' },
+};
+
+/**
+ * Read the authoritative pricing for a flag
+ * @param {number|string} flagId - Flag ID
+ * @param {string} [buyer] - Buyer address; without one the undiscounted price is returned
+ * @returns {Promise<Object>} Pricing with bigint amounts:
+ *   { nftsRequired, priceWei (per NFT), baseTotalWei, totalWei, discountWei, tier, tierName, discountBps }
+ */
+export const getFlagPricing = async (flagId, buyer = null) => {
+  const [baseTotalWei, totalWei, nftsRequired, tier, rates] = await Promise.all([
+    // The zero address has no discount, which gives the list price
+    getTotalPriceWithDiscount(flagId, ethers.ZeroAddress),
+    buyer ? getTotalPriceWithDiscount(flagId, buyer) : null,
+    getNftsRequired(flagId),
+    buyer ? getUserDiscountTier(buyer) : 0,
+    getDiscountRates(),
+  ]);
+
+  const discountBps = tier === 2 ? rates.premiumBps : tier === 1 ? rates.plusBps : 0n;
+  const buyerTotalWei = totalWei ?? baseTotalWei;
+
+  return {
+    nftsRequired,
+    priceWei: baseTotalWei / BigInt(Math.max(nftsRequired, 1)),
+    baseTotalWei,
+    totalWei: buyerTotalWei,
+    discountWei: baseTotalWei - buyerTotalWei,
+    tier,
+    tierName: DISCOUNT_TIERS[tier]?.name || DISCOUNT_TIERS[0].name,
+    discountBps,
+    basisPoints: rates.basisPoints,
+  };
+};
+
+/**
+ * Convert bigint amounts to strings for Redux state
+ */
+export const serializePricing = (pricing) =>
+  Object.fromEntries(
+    Object.entries(pricing).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  );
+
+/**
+ * Format a wei amount (bigint or decimal string) in POL
+ */
+export const formatWei = (wei) => ethers.formatEther(BigInt(wei));
+
+/**
+ * Discount basis points as a percentage label, e.g. 1000 bps -> "10%"
+ */
+export const formatDiscountPercent = (discountBps, basisPoints = 10000) =>
+  `${(Number(discountBps) * 100) / Number(basisPoints)}%`;
+
+export default {
+  DISCOUNT_TIERS,
+  getFlagPricing,
+  serializePricing,
+  formatWei,
+  formatDiscountPercent,
+};
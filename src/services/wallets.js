@@ -0,0 +1,354 @@
+/**
+ * Wallet adapters
+ *
+ * Finds the wallets a user can connect with and tracks which one is active:
+ * - Injected wallets announced through EIP-6963, so several extensions can coexist
+ * - Legacy `window.ethereum` when no wallet announces itself
+ * - WalletConnect v2 for mobile wallets (requires VITE_WALLETCONNECT_PROJECT_ID)
+ * - Dev signer accounts on a local chain (requires VITE_DEV_SIGNER_MNEMONIC)
+ *
+ * Every wallet exposes an EIP-1193 provider; web3.js only talks to the active one.
+ */
+import config from '../config';
+import { isDevSignerEnabled, getDevAccounts, getDevProvider } from './devSigner';
+
+const LAST_WALLET_STORAGE_KEY = 'municipalFlag.wallet';
+
+export const INJECTED_WALLET_ID = 'injected';
+export const WALLETCONNECT_WALLET_ID = 'walletconnect';
+// Followed by the account index, e.g. 'dev:0'
+const DEV_WALLET_PREFIX = 'dev:';
+
+const isDevWalletId = (walletId) => !!walletId?.startsWith(DEV_WALLET_PREFIX);
+
+// How long a silent reconnect waits for the remembered wallet to announce itself
+const DISCOVERY_TIMEOUT_MS = 500;
+
+// EIP-6963 announcements keyed by rdns (stable across page loads, unlike uuid)
+const announced = new Map();
+const walletSubscribers = new Set();
+
+let activeWallet = null;
+let activeProvider = null;
+let walletConnectProvider = null;
+
+// Listeners registered through onProviderEvent, re-attached when the active wallet changes
+const providerListeners = new Map();
+// Provider those listeners are attached to: the one getActiveProvider returns
+let listenedProvider = null;
+
+// =============================================================================
+// DISCOVERY
+// =============================================================================
+
+const notifyWalletSubscribers = () => {
+  walletSubscribers.forEach((callback) => callback(getAvailableWallets()));
+};
+
+const handleAnnouncement = (event) => {
+  const { info, provider } = event.detail || {};
+  if (!info?.rdns || !provider) return;
+
+  announced.set(info.rdns, {
+    id: info.rdns,
+    name: info.name,
+    icon: info.icon,
+    type: 'injected',
+    provider,
+  });
+  notifyWalletSubscribers();
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('eip6963:announceProvider', handleAnnouncement);
+  window.dispatchEvent(new Event('eip6963:requestProvider'));
+}
+
+const hasLegacyInjected = () => typeof window !== 'undefined' && typeof window.ethereum !== 'undefined';
+
+export const isWalletConnectEnabled = () => !!config.walletConnectProjectId;
+
+/**
+ * Wallets the user can pick from
+ * @returns {Array<{id: string, name: string, icon: string|null, type: 'injected'|'walletconnect'|'dev'}>}
+ */
+export const getAvailableWallets = () => {
+  const wallets = [...announced.values()].map(({ provider, ...wallet }) => wallet);
+
+  // Older extensions only inject window.ethereum
+  if (wallets.length === 0 && hasLegacyInjected()) {
+    wallets.push({
+      id: INJECTED_WALLET_ID,
+      name: window.ethereum.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+      icon: null,
+      type: 'injected',
+    });
+  }
+
+  if (isWalletConnectEnabled()) {
+    wallets.push({
+      id: WALLETCONNECT_WALLET_ID,
+      name: 'WalletConnect',
+      icon: null,
+      type: 'walletconnect',
+    });
+  }
+
+  getDevAccounts().forEach((address, index) => {
+    wallets.push({
+      id: `${DEV_WALLET_PREFIX}${index}`,
+      name: `Dev Account ${index + 1} (${config.truncateAddress(address)})`,
+      icon: null,
+      type: 'dev',
+    });
+  });
+
+  return wallets;
+};
+
+/**
+ * Subscribe to changes in the available wallet list
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToWallets = (callback) => {
+  walletSubscribers.add(callback);
+  return () => walletSubscribers.delete(callback);
+};
+
+const waitForWallet = (walletId) => {
+  if (getAvailableWallets().some((wallet) => wallet.id === walletId)) {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(false);
+    }, DISCOVERY_TIMEOUT_MS);
+    const unsubscribe = subscribeToWallets((wallets) => {
+      if (wallets.some((wallet) => wallet.id === walletId)) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(true);
+      }
+    });
+  });
+};
+
+// =============================================================================
+// LAST USED WALLET
+// =============================================================================
+
+export const getLastWalletId = () => {
+  try {
+    return localStorage.getItem(LAST_WALLET_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const storeLastWalletId = (walletId) => {
+  try {
+    if (walletId) {
+      localStorage.setItem(LAST_WALLET_STORAGE_KEY, walletId);
+    } else {
+      localStorage.removeItem(LAST_WALLET_STORAGE_KEY);
+    }
+  } catch {
+    // Storage unavailable (private mode) - the choice isn't remembered
+  }
+};
+
+// =============================================================================
+// ACTIVE WALLET
+// =============================================================================
+
+const getWalletConnectProvider = async () => {
+  if (!walletConnectProvider) {
+    // Loaded on demand, the SDK is large and most visitors use an extension
+    const { EthereumProvider } = await import('@walletconnect/ethereum-provider');
+    walletConnectProvider = await EthereumProvider.init({
+      projectId: config.walletConnectProjectId,
+      chains: [config.chainId],
+      // Other configured networks, so the app's network switcher works over WalletConnect too
+      optionalChains: config.networks.map((network) => network.chainId),
+      rpcMap: Object.fromEntries(config.networks.map((network) => [network.chainId, network.rpcUrls[0]])),
+      showQrModal: true,
+      metadata: {
+        name: 'Municipal Flag NFT',
+        description: 'Collect municipal flags as NFTs',
+        url: window.location.origin,
+        icons: [`${window.location.origin}/flag.svg`],
+      },
+    });
+  }
+  return walletConnectProvider;
+};
+
+const resolveProvider = async (walletId) => {
+  if (isDevWalletId(walletId)) {
+    return getDevProvider(parseInt(walletId.slice(DEV_WALLET_PREFIX.length)));
+  }
+  if (walletId === WALLETCONNECT_WALLET_ID) {
+    if (!isWalletConnectEnabled()) {
+      throw new Error('WalletConnect is not configured');
+    }
+    return getWalletConnectProvider();
+  }
+  if (walletId === INJECTED_WALLET_ID) {
+    if (!hasLegacyInjected()) {
+      throw new Error('No browser wallet found');
+    }
+    return window.ethereum;
+  }
+
+  const wallet = announced.get(walletId);
+  if (!wallet) {
+    throw new Error('Selected wallet is no longer available');
+  }
+  return wallet.provider;
+};
+
+const attachListeners = (provider) => {
+  providerListeners.forEach((callbacks, event) => {
+    callbacks.forEach((callback) => provider.on(event, callback));
+  });
+};
+
+const detachListeners = (provider) => {
+  providerListeners.forEach((callbacks, event) => {
+    callbacks.forEach((callback) => provider.removeListener(event, callback));
+  });
+};
+
+// Move the listeners to the provider getActiveProvider returns, including the
+// window.ethereum fallback when no wallet is active
+const syncListeners = () => {
+  const provider = getActiveProvider();
+  if (provider === listenedProvider) return;
+  if (listenedProvider) detachListeners(listenedProvider);
+  listenedProvider = provider;
+  if (provider) attachListeners(provider);
+};
+
+const setActiveProvider = (walletId, provider) => {
+  activeWallet = walletId;
+  activeProvider = provider;
+  syncListeners();
+};
+
+/**
+ * Make a wallet the active one and remember it for the next visit.
+ * WalletConnect shows its QR modal here when there is no existing session.
+ * @returns {Promise<Object>} EIP-1193 provider
+ */
+export const activateWallet = async (walletId) => {
+  const provider = await resolveProvider(walletId);
+
+  if (walletId === WALLETCONNECT_WALLET_ID && !provider.session) {
+    await provider.connect();
+  }
+
+  setActiveProvider(walletId, provider);
+  storeLastWalletId(walletId);
+  return provider;
+};
+
+/**
+ * Re-activate the last used wallet without prompting.
+ * @returns {Promise<Object|null>} EIP-1193 provider, or null when there is nothing to restore
+ */
+export const restoreWallet = async () => {
+  const walletId = getLastWalletId() || (hasLegacyInjected() ? INJECTED_WALLET_ID : null);
+  if (!walletId) return null;
+
+  // Only EIP-6963 wallets need to be discovered first
+  const isAnnounced = walletId !== WALLETCONNECT_WALLET_ID && walletId !== INJECTED_WALLET_ID && !isDevWalletId(walletId);
+  if (isDevWalletId(walletId) && !isDevSignerEnabled()) {
+    return null;
+  }
+  if (isAnnounced && !(await waitForWallet(walletId))) {
+    return null;
+  }
+
+  try {
+    const provider = await resolveProvider(walletId);
+    // WalletConnect restores its session during init; without one it would need the QR modal
+    if (walletId === WALLETCONNECT_WALLET_ID && !provider.session) {
+      return null;
+    }
+    setActiveProvider(walletId, provider);
+    return provider;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Forget the active wallet. WalletConnect sessions are closed on the relay too.
+ */
+export const deactivateWallet = async () => {
+  if (activeWallet === WALLETCONNECT_WALLET_ID && walletConnectProvider?.session) {
+    try {
+      await walletConnectProvider.disconnect();
+    } catch {
+      // Session already gone on the wallet side
+    }
+  }
+  setActiveProvider(null, null);
+  storeLastWalletId(null);
+};
+
+export const getActiveWalletId = () => activeWallet;
+
+/**
+ * EIP-1193 provider of the active wallet.
+ * Falls back to window.ethereum so single-extension setups work before a wallet is picked.
+ */
+export const getActiveProvider = () => {
+  if (activeProvider) return activeProvider;
+  return hasLegacyInjected() ? window.ethereum : null;
+};
+
+/**
+ * Listen to an EIP-1193 event on the provider getActiveProvider returns
+ * @returns {Function} Function removing the listener
+ */
+export const onProviderEvent = (event, callback) => {
+  if (!providerListeners.has(event)) {
+    providerListeners.set(event, new Set());
+  }
+  providerListeners.get(event).add(callback);
+  if (listenedProvider) {
+    listenedProvider.on(event, callback);
+  } else {
+    syncListeners();
+  }
+
+  return () => {
+    providerListeners.get(event)?.delete(callback);
+    listenedProvider?.removeListener(event, callback);
+  };
+};
+
+/**
+ * Remove every listener registered through onProviderEvent
+ */
+export const removeProviderListeners = () => {
+  if (listenedProvider) detachListeners(listenedProvider);
+  listenedProvider = null;
+  providerListeners.clear();
+};
+
+export default {
+  getAvailableWallets,
+  subscribeToWallets,
+  isWalletConnectEnabled,
+  getLastWalletId,
+  activateWallet,
+  restoreWallet,
+  deactivateWallet,
+  getActiveWalletId,
+  getActiveProvider,
+  onProviderEvent,
+  removeProviderListeners,
+};
@@ -4,40 +4,122 @@
 import { ethers } from 'ethers';
 import config from '../config';
 import MunicipalFlagNFTABI from '../contracts/MunicipalFlagNFT.json';
+import FlagAuctionHouseABI from '../contracts/FlagAuctionHouse.json';
+import { batchRead, clearReadCache } from './multicall';
+import {
+  getAvailableWallets,
+  getActiveProvider,
+  activateWallet,
+  onProviderEvent,
+  removeProviderListeners,
+} from './wallets';
 
 // =============================================================================
 // WALLET CONNECTION
 // =============================================================================
 
 /**
- * Check if MetaMask is installed
+ * Check if any wallet can be connected (injected extension or WalletConnect)
  */
-export const isMetaMaskInstalled = () => {
-  return typeof window !== 'undefined' && typeof window.ethereum !== 'undefined';
+export const isWalletAvailable = () => {
+  return getAvailableWallets().length > 0;
 };
 
 /**
- * Get the current provider
+ * Get the active wallet's provider (needed for signing only)
  */
 export const getProvider = () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('MetaMask is not installed');
+  const ethereum = getActiveProvider();
+  if (!ethereum) {
+    throw new Error('No wallet connected');
   }
-  return new ethers.BrowserProvider(window.ethereum);
+  return new ethers.BrowserProvider(ethereum);
 };
 
+// =============================================================================
+// READ PROVIDER
+// =============================================================================
+
+// How long an RPC endpoint may take before the request moves to the next one
+const RPC_ENDPOINT_TIMEOUT_MS = 10000;
+
 /**
- * Connect to MetaMask and get signer
+ * JSON-RPC provider that sends each request batch to the first endpoint that
+ * answers, starting with the last one that worked. Unlike ethers' FallbackProvider
+ * it keeps JSON-RPC batching, which the multicall fallback relies on.
  */
-export const connectWallet = async () => {
-  if (!isMetaMaskInstalled()) {
-    throw new Error('Please install MetaMask to use this application');
+class FallbackJsonRpcProvider extends ethers.JsonRpcProvider {
+  #urls;
+  #active = 0;
+
+  constructor(urls, network) {
+    super(urls[0], network, { staticNetwork: network });
+    this.#urls = urls;
   }
 
-  const provider = getProvider();
+  async _send(payload) {
+    let lastError;
+    for (let attempt = 0; attempt < this.#urls.length; attempt += 1) {
+      const index = (this.#active + attempt) % this.#urls.length;
+      const request = new ethers.FetchRequest(this.#urls[index]);
+      request.timeout = RPC_ENDPOINT_TIMEOUT_MS;
+      request.body = JSON.stringify(payload);
+      request.setHeader('content-type', 'application/json');
+      try {
+        const response = await request.send();
+        response.assertOk();
+        this.#active = index;
+        const body = response.bodyJson;
+        return Array.isArray(body) ? body : [body];
+      } catch (error) {
+        // Unreachable, timed out or HTTP error; JSON-RPC errors arrive in the body
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+}
+
+/**
+ * Get the read-only provider for view calls.
+ * Talks to config.rpcUrl directly, so on-chain data loads without a wallet.
+ * When fallback URLs are configured, a failing or stalled endpoint is skipped;
+ * calls made together still go out as one JSON-RPC batch.
+ * One provider is kept per network, so switching networks never mixes chains.
+ */
+const readProviders = new Map();
+
+export const getReadProvider = () => {
+  if (!readProviders.has(config.chainId)) {
+    const network = ethers.Network.from(config.chainId);
+    const urls = [config.rpcUrl, ...config.rpcFallbackUrls];
+
+    readProviders.set(config.chainId, urls.length === 1
+      // staticNetwork skips the chain ID lookup on startup
+      ? new ethers.JsonRpcProvider(urls[0], network, { staticNetwork: network })
+      : new FallbackJsonRpcProvider(urls, network));
+  }
+  return readProviders.get(config.chainId);
+};
+
+/**
+ * Connect a wallet and get signer
+ * @param {string} [walletId] - Wallet to activate (see wallets.getAvailableWallets);
+ *   defaults to the active wallet
+ * @param {Object} [options]
+ * @param {boolean} [options.allowWrongNetwork=false] - Connect even if the user declines
+ *   the network switch. Only for showing the account; transactions must stay strict.
+ */
+export const connectWallet = async (walletId = null, { allowWrongNetwork = false } = {}) => {
+  const ethereum = walletId ? await activateWallet(walletId) : getActiveProvider();
+  if (!ethereum) {
+    throw new Error('Please install a wallet to use this application');
+  }
+
+  const provider = new ethers.BrowserProvider(ethereum);
 
   // Request account access
-  const accounts = await window.ethereum.request({
+  const accounts = await ethereum.request({
     method: 'eth_requestAccounts',
   });
 
@@ -50,7 +132,13 @@ export const connectWallet = async () => {
   const address = await signer.getAddress();
 
   // Check and switch network if needed
-  await ensureCorrectNetwork();
+  try {
+    await ensureCorrectNetwork();
+  } catch (error) {
+    if (!allowWrongNetwork) throw error;
+  }
+
+  const chainId = await ethereum.request({ method: 'eth_chainId' });
 
   // Get balance
   const balance = await provider.getBalance(address);
@@ -59,29 +147,46 @@ export const connectWallet = async () => {
     signer,
     address,
     balance: ethers.formatEther(balance),
+    chainId,
   };
 };
 
 /**
- * Ensure connected to correct network
+ * Check whether a chain ID (hex string, as reported by the wallet) is the configured network
+ */
+export const isCorrectNetwork = (chainId) => {
+  return !!chainId && parseInt(chainId, 16) === config.chainId;
+};
+
+/**
+ * Get balance of an address on the wallet's current network
+ */
+export const getBalance = async (address) => {
+  const balance = await getProvider().getBalance(address);
+  return ethers.formatEther(balance);
+};
+
+/**
+ * Ensure the wallet is on the network selected in the app (config.network)
  */
 export const ensureCorrectNetwork = async () => {
-  if (!isMetaMaskInstalled()) return;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return;
 
-  const chainId = await window.ethereum.request({ method: 'eth_chainId' });
+  const chainId = await ethereum.request({ method: 'eth_chainId' });
   const targetChainId = config.networkConfig.chainId;
 
   if (chainId !== targetChainId) {
     try {
       // Try to switch to the correct network
-      await window.ethereum.request({
+      await ethereum.request({
         method: 'wallet_switchEthereumChain',
         params: [{ chainId: targetChainId }],
       });
     } catch (switchError) {
       // Network doesn't exist, add it
       if (switchError.code === 4902) {
-        await window.ethereum.request({
+        await ethereum.request({
           method: 'wallet_addEthereumChain',
           params: [config.networkConfig],
         });
@@ -96,9 +201,10 @@ export const ensureCorrectNetwork = async () => {
  * Get current connected address
  */
 export const getCurrentAddress = async () => {
-  if (!isMetaMaskInstalled()) return null;
+  const ethereum = getActiveProvider();
+  if (!ethereum) return null;
 
-  const accounts = await window.ethereum.request({ method: 'eth_accounts' });
+  const accounts = await ethereum.request({ method: 'eth_accounts' });
   return accounts[0] || null;
 };
 
@@ -106,28 +212,192 @@ export const getCurrentAddress = async () => {
  * Listen for account changes
  */
 export const onAccountsChanged = (callback) => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.on('accountsChanged', callback);
-  }
+  return onProviderEvent('accountsChanged', callback);
 };
 
 /**
  * Listen for network changes
  */
 export const onChainChanged = (callback) => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.on('chainChanged', callback);
-  }
+  return onProviderEvent('chainChanged', callback);
 };
 
 /**
  * Remove event listeners
  */
 export const removeListeners = () => {
-  if (isMetaMaskInstalled()) {
-    window.ethereum.removeAllListeners('accountsChanged');
-    window.ethereum.removeAllListeners('chainChanged');
+  removeProviderListeners();
+};
+
+// =============================================================================
+// SIGN-IN WITH ETHEREUM (EIP-4361)
+// =============================================================================
+
+/**
+ * Get a signer for the currently selected account without prompting for access
+ */
+export const getSigner = async () => {
+  const provider = getProvider();
+  return provider.getSigner();
+};
+
+/**
+ * Build an EIP-4361 sign-in message
+ * @param {Object} params
+ * @param {string} params.address - Wallet address (checksummed in the message)
+ * @param {string} params.nonce - Single-use nonce issued by the backend
+ * @param {string} [params.issuedAt] - ISO timestamp, defaults to now
+ */
+export const buildSiweMessage = ({ address, nonce, issuedAt = new Date().toISOString() }) => {
+  const { host, origin } = window.location;
+
+  return [
+    `${host} wants you to sign in with your Ethereum account:`,
+    ethers.getAddress(address),
+    '',
+    'Sign in to Municipal Flag NFT.',
+    '',
+    `URI: ${origin}`,
+    'Version: 1',
+    `Chain ID: ${config.chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+  ].join('\n');
+};
+
+/**
+ * Ask the wallet to sign a sign-in message for the given nonce
+ */
+export const signSiweMessage = async (address, nonce) => {
+  const signer = await getSigner();
+  const signerAddress = await signer.getAddress();
+
+  if (signerAddress.toLowerCase() !== address.toLowerCase()) {
+    throw new Error('Selected wallet account does not match the connected address');
+  }
+
+  const message = buildSiweMessage({ address, nonce });
+  const signature = await signer.signMessage(message);
+
+  return { message, signature };
+};
+
+// =============================================================================
+// CONTRACT ERRORS
+// =============================================================================
+
+const errorInterfaces = [
+  new ethers.Interface(MunicipalFlagNFTABI.abi),
+  new ethers.Interface(FlagAuctionHouseABI.abi),
+];
+
+const formatAmount = (wei) => `${ethers.formatEther(wei)} ${config.networkConfig.nativeCurrency.symbol}`;
+
+/**
+ * User-facing messages for custom contract errors, keyed by error name.
+ * Each receives the decoded error arguments. Keep all wording here so it can be translated in one place.
+ */
+const ERROR_MESSAGES = {
+  // MunicipalFlagNFT
+  FirstNFTAlreadyClaimed: () => 'Someone already claimed the first NFT of this flag. You can still buy the second one.',
+  FirstNFTNotClaimed: () => 'The first NFT of this flag has to be claimed before the second can be bought.',
+  SecondNFTAlreadyPurchased: () => 'The second NFT of this flag has already been sold.',
+  FlagNotRegistered: () => 'This flag is not on-chain yet. Please try again later.',
+  FlagAlreadyRegistered: () => 'This flag is already registered on-chain.',
+  InsufficientPayment: ({ required, sent }) =>
+    `Payment too low: ${formatAmount(required)} required but ${formatAmount(sent)} sent. ` +
+    `You are ${formatAmount(required - sent)} short - refresh the price and try again.`,
+  InvalidCategory: () => 'Invalid flag category.',
+  InvalidNftsRequired: () => 'Invalid number of required NFTs.',
+  InvalidPrice: () => 'Invalid price.',
+  NoBalanceToWithdraw: () => 'There is no contract balance to withdraw.',
+  WithdrawalFailed: () => 'Withdrawal failed. Check that the receiving address can accept funds.',
+  RefundFailed: () => 'The overpayment refund failed. Please try again with the exact price.',
+  OwnableUnauthorizedAccount: () => 'Only the contract owner can do this.',
+  ERC721IncorrectOwner: () => 'You no longer own this token. Refresh your profile.',
+  ERC721InsufficientApproval: () => 'The token is not approved for this operation.',
+  ERC721InvalidReceiver: () => 'The recipient cannot receive NFTs.',
+  ERC721NonexistentToken: () => 'This token does not exist.',
+  // FlagAuctionHouse
+  AuctionNotActive: () => 'This auction is no longer active.',
+  AuctionEnded: () => 'This auction has already ended.',
+  AuctionNotEnded: () => 'This auction has not ended yet.',
+  BidTooLow: ({ minimum }) => `Bid too low: the minimum bid is now ${formatAmount(minimum)}.`,
+  BuyoutNotAvailable: () => 'Buyout is not available for this auction.',
+  IncorrectBuyoutPayment: ({ required }) => `The buyout price is ${formatAmount(required)}. Refresh the auction and try again.`,
+  NotSeller: () => 'Only the seller can do this.',
+  HasBids: () => 'An auction with bids can no longer be cancelled.',
+  NothingToWithdraw: () => 'You have no refunds to withdraw.',
+};
+
+/**
+ * Check whether the user declined the request in their wallet
+ */
+export const isUserRejection = (error) => {
+  return error?.code === 'ACTION_REJECTED'
+    || error?.code === 4001
+    || error?.info?.error?.code === 4001;
+};
+
+/**
+ * Find revert data in an error; ethers and wallets nest it differently
+ * depending on whether gas estimation, a call or the transaction failed
+ */
+const findRevertData = (error) => {
+  const candidates = [
+    error?.data,
+    error?.info?.error?.data,
+    error?.info?.error?.data?.data,
+    error?.error?.data,
+    error?.error?.data?.data,
+  ];
+  return candidates.find((data) => typeof data === 'string' && data.length >= 10) || null;
+};
+
+/**
+ * Decode a custom contract error from a failed call or transaction
+ * @returns {{name: string, args: Object}|null}
+ */
+export const decodeContractError = (error) => {
+  // ethers already decodes errors defined on the contract that was called
+  if (error?.revert?.name) {
+    return { name: error.revert.name, args: error.revert.args };
+  }
+
+  const data = findRevertData(error);
+  if (!data) return null;
+
+  for (const iface of errorInterfaces) {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) return { name: parsed.name, args: parsed.args };
+    } catch {
+      // Not an error of this contract
+    }
   }
+  return null;
+};
+
+/**
+ * Turn any wallet, contract or API error into a message for the user
+ * @returns {string|null} Message, or null when the user cancelled (nothing to show)
+ */
+export const getErrorMessage = (error, fallback = 'Transaction error') => {
+  if (!error) return fallback;
+  // Thunks reject with plain strings
+  if (typeof error === 'string') return error;
+  if (isUserRejection(error)) return null;
+
+  const decoded = decodeContractError(error);
+  if (decoded) {
+    const format = ERROR_MESSAGES[decoded.name];
+    return format ? format(decoded.args) : `Transaction reverted: ${decoded.name}`;
+  }
+
+  if (error.code === 'INSUFFICIENT_FUNDS') {
+    return 'Your wallet does not have enough funds to cover the price and gas.';
+  }
+  return error.shortMessage || error.reason || error.message || fallback;
 };
 
 // =============================================================================
@@ -135,7 +405,7 @@ export const removeListeners = () => {
 // =============================================================================
 
 /**
- * Get contract instance
+ * Get contract instance (read-only unless a signer is passed)
  */
 export const getContract = async (signerOrProvider = null) => {
   if (!config.contractAddress) {
@@ -143,8 +413,7 @@ export const getContract = async (signerOrProvider = null) => {
   }
 
   if (!signerOrProvider) {
-    const provider = getProvider();
-    signerOrProvider = provider;
+    signerOrProvider = getReadProvider();
   }
 
   return new ethers.Contract(
@@ -163,13 +432,175 @@ export const getContractWithSigner = async () => {
 };
 
 /**
- * Claim first NFT (free)
+ * Get a cached contract instance for view calls.
+ * Reads go through the multicall batcher, so calls made in parallel share one RPC request.
  */
-export const claimFirstNFT = async (flagId) => {
-  const contract = await getContractWithSigner();
+const readContracts = new Map();
+
+export const getReadContract = async () => {
+  if (!readContracts.has(config.chainId)) {
+    readContracts.set(config.chainId, await getContract());
+  }
+  return readContracts.get(config.chainId);
+};
+
+/**
+ * Read a view function through the batching layer
+ */
+const read = async (method, args = []) => batchRead(await getReadContract(), method, args);
+
+/**
+ * Drop cached reads after a transaction so the next render sees the new state
+ */
+const invalidateReads = () => {
+  const readContract = readContracts.get(config.chainId);
+  if (readContract) clearReadCache(readContract.runner);
+};
+
+// How long a transaction may stay unknown to the RPC before it counts as dropped
+const DROPPED_AFTER_MS = 60 * 1000;
+const DROPPED_POLL_MS = 3000;
+
+/**
+ * Current block number of the active network
+ */
+export const getBlockNumber = () => getReadProvider().getBlockNumber();
+
+/**
+ * Wait for a transaction to be mined.
+ * Uses the read provider, so it also works for transactions resumed after a reload.
+ * A transaction sped up in the wallet resolves with the receipt of its replacement
+ * (check `receipt.hash`).
+ * @param {string} transactionHash
+ * @param {number} [confirmations]
+ * @param {number|null} [startBlock] - Block before it was sent; enables replacement detection
+ * @throws {Error} With `reverted`, `replaced` or `dropped` set when the transaction
+ *   will not succeed; without them (RPC errors) the outcome is unknown
+ */
+export const waitForTransaction = async (transactionHash, confirmations = 1, startBlock = null) => {
+  const provider = getReadProvider();
+
+  // Mined transactions are returned too, so one that stays unknown was dropped
+  let tx = await provider.getTransaction(transactionHash);
+  const waitingSince = Date.now();
+  while (!tx) {
+    if (Date.now() - waitingSince > DROPPED_AFTER_MS) {
+      throw Object.assign(new Error('Transaction was dropped by the network'), { dropped: true });
+    }
+    await new Promise((resolve) => setTimeout(resolve, DROPPED_POLL_MS));
+    tx = await provider.getTransaction(transactionHash);
+  }
+
+  let receipt;
+  try {
+    receipt = await (startBlock != null ? tx.replaceableTransaction(startBlock) : tx).wait(confirmations);
+  } catch (error) {
+    invalidateReads();
+    if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced') {
+      // Same transaction with a higher fee
+      receipt = error.receipt;
+    } else if (error.code === 'TRANSACTION_REPLACED') {
+      throw Object.assign(
+        new Error(error.reason === 'cancelled' ? 'Transaction was cancelled in the wallet' : 'Transaction was replaced'),
+        { replaced: true }
+      );
+    } else if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+      receipt = error.receipt;
+    } else {
+      throw error;
+    }
+  }
+  invalidateReads();
+
+  if (!receipt) {
+    throw new Error('Transaction receipt not available');
+  }
+  if (receipt.status === 0) {
+    // `reverted` tells a mined failure apart from RPC errors, after which the outcome is unknown
+    throw Object.assign(new Error('Transaction failed'), { reverted: true });
+  }
+  return receipt;
+};
+
+/**
+ * Dry-run a contract write for a cost preview: simulates it with staticCall,
+ * estimates gas and compares the total with the sender's balance.
+ * @param {string} method - Contract function name
+ * @param {Array} args - Function arguments
+ * @param {Object} options
+ * @param {string} options.from - Sender address
+ * @param {bigint} [options.value] - Amount sent with the transaction, in wei
+ * @returns {Promise<Object>} Amounts in POL, plus `error` (why the transaction would
+ *   revert) and `insufficientFunds`
+ */
+export const previewTransaction = async (method, args, { from, value = 0n }) => {
+  const contract = await getReadContract();
+  const provider = getReadProvider();
+  const valueWei = BigInt(value);
+  const overrides = { from, value: valueWei };
+
+  const [balance, feeData] = await Promise.all([
+    provider.getBalance(from),
+    provider.getFeeData(),
+  ]);
+
+  const preview = {
+    value: ethers.formatEther(valueWei),
+    balance: ethers.formatEther(balance),
+    gasLimit: null,
+    gasCost: null,
+    total: null,
+    remaining: null,
+    insufficientFunds: false,
+    error: null,
+  };
+
+  // Nodes reject simulations that can't even cover the value, so report it directly
+  if (balance < valueWei) {
+    preview.total = preview.value;
+    preview.remaining = ethers.formatEther(balance - valueWei);
+    preview.insufficientFunds = true;
+    return preview;
+  }
+
+  try {
+    // Simulate first: it surfaces the contract's custom error instead of a generic estimation failure
+    await contract[method].staticCall(...args, overrides);
+    const gasLimit = await contract[method].estimateGas(...args, overrides);
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const gasCost = gasLimit * gasPrice;
+    const total = valueWei + gasCost;
 
+    preview.gasLimit = gasLimit.toString();
+    preview.gasCost = ethers.formatEther(gasCost);
+    preview.total = ethers.formatEther(total);
+    preview.remaining = ethers.formatEther(balance - total);
+    preview.insufficientFunds = balance < total;
+  } catch (error) {
+    preview.error = getErrorMessage(error, 'This transaction would fail');
+  }
+
+  return preview;
+};
+
+/**
+ * Submit a first NFT claim without waiting for it to be mined
+ */
+export const sendClaimFirstNFT = async (flagId) => {
+  const contract = await getContractWithSigner();
   const tx = await contract.claimFirstNFT(flagId);
-  const receipt = await tx.wait();
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Claim first NFT (free)
+ */
+export const claimFirstNFT = async (flagId) => {
+  const { transactionHash } = await sendClaimFirstNFT(flagId);
+  const receipt = await waitForTransaction(transactionHash);
 
   // Get token ID from event
   const event = receipt.logs.find(
@@ -183,16 +614,30 @@ export const claimFirstNFT = async (flagId) => {
 };
 
 /**
- * Purchase second NFT
+ * Submit a second NFT purchase without waiting for it to be mined
+ * @param {number|string} flagId - Flag ID
+ * @param {bigint} [valueWei] - Amount to pay; defaults to the contract's total for the buyer
  */
-export const purchaseSecondNFT = async (flagId, price) => {
-  const contract = await getContractWithSigner();
+export const sendPurchaseSecondNFT = async (flagId, valueWei = null) => {
+  const { signer, address } = await connectWallet();
+  const contract = await getContract(signer);
 
-  // Convert price to wei
-  const priceWei = ethers.parseEther(price.toString());
+  // Pay exactly what the contract charges this buyer, never a client-side float
+  const value = valueWei ?? await getTotalPriceWithDiscount(flagId, address);
 
-  const tx = await contract.purchaseSecondNFT(flagId, { value: priceWei });
-  const receipt = await tx.wait();
+  const tx = await contract.purchaseSecondNFT(flagId, { value });
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Purchase second NFT
+ */
+export const purchaseSecondNFT = async (flagId, valueWei = null) => {
+  const { transactionHash } = await sendPurchaseSecondNFT(flagId, valueWei);
+  const receipt = await waitForTransaction(transactionHash);
 
   return {
     transactionHash: receipt.hash,
@@ -203,8 +648,7 @@ export const purchaseSecondNFT = async (flagId, price) => {
  * Get flag pair info from contract
  */
 export const getFlagPair = async (flagId) => {
-  const contract = await getContract();
-  const pair = await contract.getFlagPair(flagId);
+  const pair = await read('getFlagPair', [flagId]);
 
   return {
     flagId: pair.flagId.toString(),
@@ -215,40 +659,92 @@ export const getFlagPair = async (flagId) => {
     pairComplete: pair.pairComplete,
     category: pair.category,
     price: ethers.formatEther(pair.price),
+    priceWei: pair.price,
+    nftsRequired: Number(pair.nftsRequired),
+    metadataHash: pair.metadataHash,
   };
 };
 
+/**
+ * Get flag pair info for many flags in a single batched request
+ */
+export const getFlagPairs = async (flagIds) =>
+  Promise.all(flagIds.map((flagId) => getFlagPair(flagId)));
+
 /**
  * Get price with discount for a user
  */
 export const getPriceWithDiscount = async (flagId, userAddress) => {
-  const contract = await getContract();
-  const price = await contract.getPriceWithDiscount(flagId, userAddress);
+  const price = await read('getPriceWithDiscount', [flagId, userAddress]);
   return ethers.formatEther(price);
 };
 
+/**
+ * Get the total a buyer pays for all NFTs of a flag, discount applied
+ * @returns {Promise<bigint>} Price in wei
+ */
+export const getTotalPriceWithDiscount = async (flagId, buyer) => {
+  return await read('getTotalPriceWithDiscount', [flagId, buyer]);
+};
+
+/**
+ * Get number of NFTs required to obtain a flag
+ */
+export const getNftsRequired = async (flagId) => {
+  const nftsRequired = await read('getNftsRequired', [flagId]);
+  return Number(nftsRequired);
+};
+
+/**
+ * Get a user's discount tier (0 = Standard, 1 = Plus, 2 = Premium)
+ */
+export const getUserDiscountTier = async (userAddress) => {
+  const tier = await read('getUserDiscountTier', [userAddress]);
+  return Number(tier);
+};
+
+/**
+ * Get discount rates in basis points. They are contract constants, so they're read once per network.
+ * @returns {Promise<{plusBps: bigint, premiumBps: bigint, basisPoints: bigint}>}
+ */
+const discountRates = new Map();
+
+export const getDiscountRates = () => {
+  const { chainId } = config;
+  if (!discountRates.has(chainId)) {
+    const rates = Promise.all([
+      read('PLUS_DISCOUNT_BPS'),
+      read('PREMIUM_DISCOUNT_BPS'),
+      read('BASIS_POINTS'),
+    ]).then(([plusBps, premiumBps, basisPoints]) => ({ plusBps, premiumBps, basisPoints }));
+    // Retry on the next call instead of caching a failure
+    rates.catch(() => {
+      discountRates.delete(chainId);
+    });
+    discountRates.set(chainId, rates);
+  }
+  return discountRates.get(chainId);
+};
+
 /**
  * Check if user has Plus discount
  */
 export const userHasPlus = async (userAddress) => {
-  const contract = await getContract();
-  return await contract.userHasPlus(userAddress);
+  return await read('userHasPlus', [userAddress]);
 };
 
 /**
  * Check if user has Premium discount
  */
 export const userHasPremium = async (userAddress) => {
-  const contract = await getContract();
-  return await contract.userHasPremium(userAddress);
+  return await read('userHasPremium', [userAddress]);
 };
 
 /**
  * Get total supply of NFTs
  */
 export const getTotalSupply = async () => {
-  const contract = await getContract();
-  const supply = await contract.totalSupply();
+  const supply = await read('totalSupply');
   return supply.toString();
 };
 
@@ -256,42 +752,848 @@ export const getTotalSupply = async () => {
  * Get tokens owned by address
  */
 export const getTokensOfOwner = async (address) => {
-  const contract = await getContract();
-  const balance = await contract.balanceOf(address);
-  const tokens = [];
+  const balance = await read('balanceOf', [address]);
+
+  // All index lookups are batched into one request
+  const tokenIds = await Promise.all(
+    Array.from({ length: Number(balance) }, (_, i) => read('tokenOfOwnerByIndex', [address, i]))
+  );
+
+  return tokenIds.map((tokenId) => tokenId.toString());
+};
+
+/**
+ * Get the flag a token belongs to
+ */
+export const getFlagIdForToken = async (tokenId) => {
+  const flagId = await read('getFlagIdForToken', [tokenId]);
+  return flagId.toString();
+};
+
+/**
+ * Check if a token is the first (free) NFT of its flag pair
+ */
+export const isTokenFirstNFT = async (tokenId) => {
+  return await read('isTokenFirstNFT', [tokenId]);
+};
 
-  for (let i = 0; i < balance; i++) {
-    const tokenId = await contract.tokenOfOwnerByIndex(address, i);
-    tokens.push(tokenId.toString());
+/**
+ * Get current owner of a token, or null if it doesn't exist
+ */
+export const getTokenOwner = async (tokenId) => {
+  try {
+    return await read('ownerOf', [tokenId]);
+  } catch {
+    return null;
   }
+};
 
-  return tokens;
+/**
+ * Get tokens owned by address with the flag and pair side each belongs to
+ * @returns {Promise<Array<{tokenId: string, flagId: string, ownershipType: 'first'|'second'}>>}
+ */
+export const getOwnedFlagTokens = async (address) => {
+  const tokenIds = await getTokensOfOwner(address);
+
+  return Promise.all(
+    tokenIds.map(async (tokenId) => {
+      const [flagId, isFirst] = await Promise.all([
+        getFlagIdForToken(tokenId),
+        isTokenFirstNFT(tokenId),
+      ]);
+      return { tokenId, flagId, ownershipType: isFirst ? 'first' : 'second' };
+    })
+  );
 };
 
 /**
  * Get token URI
  */
 export const getTokenURI = async (tokenId) => {
-  const contract = await getContract();
-  return await contract.tokenURI(tokenId);
+  return await read('tokenURI', [tokenId]);
+};
+
+/**
+ * Get token IDs of the first NFTs minted for a flag
+ */
+export const getFirstTokenIds = async (flagId) => {
+  const tokenIds = await read('getFirstTokenIds', [flagId]);
+  return tokenIds.map((tokenId) => tokenId.toString());
+};
+
+/**
+ * Get token IDs of the second NFTs minted for a flag
+ */
+export const getSecondTokenIds = async (flagId) => {
+  const tokenIds = await read('getSecondTokenIds', [flagId]);
+  return tokenIds.map((tokenId) => tokenId.toString());
+};
+
+// =============================================================================
+// EVENT HISTORY
+// =============================================================================
+
+// Events carrying the flag ID as their first indexed argument
+const FLAG_EVENTS = ['FlagRegistered', 'FirstNFTClaimed', 'SecondNFTPurchased', 'PairCompleted', 'MetadataHashSet'];
+
+// Smallest block window tried before giving up on a range the RPC refuses
+const MIN_LOG_RANGE = 100;
+
+// Empty block windows scanned before a history page is returned anyway
+const HISTORY_WINDOWS_PER_PAGE = 20;
+
+// RPC messages for a getLogs range over the provider's block span or result count limits
+const LOG_RANGE_ERROR_PATTERN = /block range|range (is )?too (large|wide|big)|too many (blocks|results|logs)|more than \d+ (results|logs)|response size|exceeds? (the )?max(imum)? (block|range)|limited to (a )?\d+ (block )?range/i;
+
+/**
+ * Whether the RPC refused a getLogs call because of its range; rate limits and
+ * outages are not, and splitting the range would only multiply the requests
+ */
+const isLogRangeError = (error) => {
+  const rpcMessage = error?.info?.error?.message || error?.error?.message || '';
+  const message = `${rpcMessage} ${error?.shortMessage || ''} ${error?.message || ''}`;
+  return !/rate.?limit/i.test(message) && LOG_RANGE_ERROR_PATTERN.test(message);
+};
+
+/**
+ * getLogs over [fromBlock, toBlock], splitting the range in two when the RPC
+ * rejects it as too large. Halves are queried one after the other; other
+ * errors are thrown as they are.
+ */
+const getLogsChunked = async (filter, fromBlock, toBlock) => {
+  try {
+    return await getReadProvider().getLogs({ ...filter, fromBlock, toBlock });
+  } catch (error) {
+    if (!isLogRangeError(error) || toBlock - fromBlock < MIN_LOG_RANGE) throw error;
+    const middle = Math.floor((fromBlock + toBlock) / 2);
+    const first = await getLogsChunked(filter, fromBlock, middle);
+    const second = await getLogsChunked(filter, middle + 1, toBlock);
+    return [...first, ...second];
+  }
+};
+
+/**
+ * Turn a parsed contract log into a provenance entry
+ */
+const toHistoryEntry = (log, parsed) => {
+  const entry = {
+    type: parsed.name,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+  };
+  const { args } = parsed;
+
+  switch (parsed.name) {
+    case 'FlagRegistered':
+      return { ...entry, price: ethers.formatEther(args.price), nftsRequired: Number(args.nftsRequired) };
+    case 'FirstNFTClaimed':
+      return { ...entry, tokenId: args.tokenId.toString(), to: args.claimer };
+    case 'SecondNFTPurchased':
+      return { ...entry, tokenId: args.tokenId.toString(), to: args.buyer, price: ethers.formatEther(args.pricePaid) };
+    case 'PairCompleted':
+      return { ...entry, to: args.completedBy };
+    case 'MetadataHashSet':
+      return { ...entry, metadataHash: args.metadataHash };
+    case 'Transfer':
+      return { ...entry, tokenId: args.tokenId.toString(), from: args.from, to: args.to };
+    default:
+      return entry;
+  }
+};
+
+/**
+ * Walk backwards from `toBlock` in windows of `config.logBlockRange` blocks, so
+ * each eth_getLogs request stays within typical RPC limits, until a window
+ * has logs or HISTORY_WINDOWS_PER_PAGE empty windows were scanned
+ * @param {Function} loadWindow - (fromBlock, toBlock) => Promise<Array> of logs
+ */
+const scanLogWindows = async (loadWindow, toBlock) => {
+  const latest = toBlock ?? await getReadProvider().getBlockNumber();
+
+  let logs = [];
+  let fromBlock = latest + 1;
+  for (let window = 0; window < HISTORY_WINDOWS_PER_PAGE && logs.length === 0; window += 1) {
+    if (fromBlock <= config.contractDeployBlock) break;
+    const to = fromBlock - 1;
+    fromBlock = Math.max(to - config.logBlockRange + 1, config.contractDeployBlock);
+    logs = await loadWindow(fromBlock, to);
+  }
+
+  return { logs, fromBlock, toBlock: latest };
+};
+
+/**
+ * Add the block timestamp to each entry, one lookup per block
+ */
+const addTimestamps = async (entries) => {
+  const provider = getReadProvider();
+  const blockNumbers = [...new Set(entries.map((entry) => entry.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+  const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+  entries.forEach((entry) => {
+    entry.timestamp = timestamps.get(entry.blockNumber) ?? null;
+  });
+  return entries;
+};
+
+/**
+ * Load one page of a flag's on-chain history, walking backwards from `toBlock`.
+ * Blocks are scanned in windows of `config.logBlockRange` so each eth_getLogs
+ * request stays within typical RPC limits; a page ends at the first window with
+ * events or after HISTORY_WINDOWS_PER_PAGE empty windows.
+ * @param {number|string} flagId - Flag ID
+ * @param {Object} [options]
+ * @param {number} [options.toBlock] - Newest block of the page, defaults to the latest block
+ * @param {string[]} [options.tokenIds] - Token IDs of the flag, to include later transfers
+ * @returns {Promise<{entries: Array, fromBlock: number, toBlock: number, hasMore: boolean}>}
+ *   Entries are oldest first; continue with `toBlock: fromBlock - 1` while hasMore
+ */
+export const getFlagHistoryPage = async (flagId, { toBlock = null, tokenIds = [] } = {}) => {
+  const contract = await getReadContract();
+
+  const address = config.contractAddress;
+  const flagTopic = ethers.zeroPadValue(ethers.toBeHex(BigInt(flagId)), 32);
+  const eventTopics = FLAG_EVENTS.map((name) => contract.interface.getEvent(name).topicHash);
+  const transferTopic = contract.interface.getEvent('Transfer').topicHash;
+  const tokenTopics = tokenIds.map((tokenId) => ethers.zeroPadValue(ethers.toBeHex(BigInt(tokenId)), 32));
+
+  const loadWindow = async (from, to) => {
+    const requests = [getLogsChunked({ address, topics: [eventTopics, flagTopic] }, from, to)];
+    if (tokenTopics.length > 0) {
+      requests.push(getLogsChunked({ address, topics: [transferTopic, null, null, tokenTopics] }, from, to));
+    }
+    return (await Promise.all(requests)).flat();
+  };
+
+  const { logs, fromBlock, toBlock: latest } = await scanLogWindows(loadWindow, toBlock);
+
+  const entries = logs
+    .map((log) => toHistoryEntry(log, contract.interface.parseLog(log)))
+    // Mints are already covered by the claim and purchase events
+    .filter((entry) => !(entry.type === 'Transfer' && entry.from === ethers.ZeroAddress))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+  await addTimestamps(entries);
+
+  return {
+    entries,
+    fromBlock,
+    toBlock: latest,
+    // Nothing can happen to a flag before it was registered
+    hasMore: fromBlock > config.contractDeployBlock && !entries.some((entry) => entry.type === 'FlagRegistered'),
+  };
+};
+
+/**
+ * Load one page of contract balance withdrawals, walking backwards from `toBlock`
+ * @param {Object} [options]
+ * @param {number} [options.toBlock] - Newest block of the page, defaults to the latest block
+ * @returns {Promise<{entries: Array<{to, amount, blockNumber, transactionHash, timestamp}>, fromBlock: number, toBlock: number, hasMore: boolean}>}
+ *   Entries are newest first; continue with `toBlock: fromBlock - 1` while hasMore
+ */
+export const getWithdrawalHistoryPage = async ({ toBlock = null } = {}) => {
+  const contract = await getReadContract();
+  const filter = { address: config.contractAddress, topics: [contract.interface.getEvent('Withdrawal').topicHash] };
+
+  const { logs, fromBlock, toBlock: latest } = await scanLogWindows(
+    (from, to) => getLogsChunked(filter, from, to),
+    toBlock
+  );
+
+  const entries = logs
+    .map((log) => {
+      const { args } = contract.interface.parseLog(log);
+      return {
+        to: args.to,
+        amount: ethers.formatEther(args.amount),
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+      };
+    })
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+  await addTimestamps(entries);
+
+  return {
+    entries,
+    fromBlock,
+    toBlock: latest,
+    hasMore: fromBlock > config.contractDeployBlock,
+  };
+};
+
+/**
+ * Load one page of discount grants, walking backwards from `toBlock`.
+ * Each grant is linked to the PairCompleted event of the same transaction,
+ * which is how the tier was earned; grants without one were given directly.
+ * @param {Object} [options]
+ * @param {number} [options.toBlock] - Newest block of the page, defaults to the latest block
+ * @param {string} [options.user] - Only grants and completed pairs of this wallet
+ * @returns {Promise<{grants: Array, completions: Array, fromBlock: number, toBlock: number, hasMore: boolean}>}
+ *   grants: { user, tier, flagId|null, blockNumber, transactionHash, timestamp }
+ *   completions: { user, flagId, blockNumber, transactionHash, timestamp }, newest first
+ */
+export const getDiscountGrantsPage = async ({ toBlock = null, user = null } = {}) => {
+  const contract = await getReadContract();
+  const address = config.contractAddress;
+  const userTopic = user ? ethers.zeroPadValue(user, 32) : null;
+  const grantTopic = contract.interface.getEvent('DiscountGranted').topicHash;
+  const completedTopic = contract.interface.getEvent('PairCompleted').topicHash;
+
+  const { logs, fromBlock, toBlock: latest } = await scanLogWindows(
+    async (from, to) => (await Promise.all([
+      getLogsChunked({ address, topics: [grantTopic, userTopic] }, from, to),
+      getLogsChunked({ address, topics: [completedTopic, null, userTopic] }, from, to),
+    ])).flat(),
+    toBlock
+  );
+
+  const grants = [];
+  const completions = [];
+  logs.forEach((log) => {
+    const { name, args } = contract.interface.parseLog(log);
+    const base = { blockNumber: log.blockNumber, transactionHash: log.transactionHash, logIndex: log.index };
+    if (name === 'DiscountGranted') {
+      grants.push({ ...base, user: args.user, tier: Number(args.discountType), flagId: null });
+    } else {
+      completions.push({ ...base, user: args.completedBy, flagId: args.flagId.toString() });
+    }
+  });
+
+  grants.forEach((grant) => {
+    const completion = completions.find((c) => c.transactionHash === grant.transactionHash);
+    if (completion) grant.flagId = completion.flagId;
+  });
+
+  const newestFirst = (a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex;
+  grants.sort(newestFirst);
+  completions.sort(newestFirst);
+  await addTimestamps([...grants, ...completions]);
+
+  return {
+    grants,
+    completions,
+    fromBlock,
+    toBlock: latest,
+    hasMore: fromBlock > config.contractDeployBlock,
+  };
+};
+
+// =============================================================================
+// TOKEN TRANSFERS
+// =============================================================================
+
+/**
+ * Resolve a transfer recipient (hex address or ENS name) to a checksummed address
+ */
+export const resolveRecipient = async (input) => {
+  const value = input?.trim();
+  if (!value) {
+    throw new Error('Enter a recipient address');
+  }
+  if (ethers.isAddress(value)) {
+    return ethers.getAddress(value);
+  }
+  if (!value.includes('.')) {
+    throw new Error('Invalid address');
+  }
+
+  let resolved = null;
+  try {
+    resolved = await getReadProvider().resolveName(value);
+  } catch {
+    throw new Error('ENS names are not supported on this network');
+  }
+  if (!resolved) {
+    throw new Error(`Could not resolve ${value}`);
+  }
+  return resolved;
+};
+
+/**
+ * Check whether an address has contract code (transfers to contracts that
+ * can't handle ERC-721 tokens would lock them)
+ */
+export const isContractAddress = async (address) => {
+  const code = await getReadProvider().getCode(address);
+  return code !== '0x';
+};
+
+/**
+ * Transfer a token to another wallet with safeTransferFrom
+ */
+export const transferToken = async (tokenId, to) => {
+  const { signer, address } = await connectWallet();
+  const contract = await getContract(signer);
+
+  const tx = await contract['safeTransferFrom(address,address,uint256)'](address, to, tokenId);
+  const receipt = await tx.wait();
+  invalidateReads();
+
+  return {
+    transactionHash: receipt.hash,
+  };
+};
+
+// =============================================================================
+// CONTRACT ADMINISTRATION (contract owner only)
+// =============================================================================
+
+// Contract category codes (CATEGORY_STANDARD, CATEGORY_PLUS, CATEGORY_PREMIUM), indexed by value
+export const FLAG_CATEGORIES = ['standard', 'plus', 'premium'];
+
+/**
+ * Get the contract owner, the only account allowed to register flags
+ */
+export const getContractOwner = async () => {
+  return await read('owner');
+};
+
+/**
+ * Get the POL held by the contract (second NFT sales not yet withdrawn)
+ * @returns {Promise<bigint>} Balance in wei
+ */
+export const getContractBalance = async () => {
+  return await read('getContractBalance');
+};
+
+/**
+ * Get the number of NFTs minted so far
+ */
+export const getTotalTokensMinted = async () => {
+  const total = await read('getTotalTokensMinted');
+  return Number(total);
+};
+
+/**
+ * Get the number of flags registered on-chain
+ */
+export const getTotalRegisteredFlags = async () => {
+  const total = await read('getTotalRegisteredFlags');
+  return Number(total);
+};
+
+/**
+ * Get IDs of all flags registered on-chain
+ */
+export const getRegisteredFlagIds = async () => {
+  const flagIds = await read('getRegisteredFlagIds');
+  return flagIds.map((flagId) => flagId.toString());
+};
+
+/**
+ * Register several database flags in one transaction
+ * @param {Array<{flagId: number|string, category: string, price: string, nftsRequired: number}>} flags -
+ *   Category as named in the database, price per NFT in POL
+ * @returns {Promise<{transactionHash: string}>}
+ */
+export const sendBatchRegisterFlags = async (flags) => {
+  const categories = flags.map(({ flagId, category }) => {
+    const code = FLAG_CATEGORIES.indexOf(category);
+    if (code === -1) {
+      throw new Error(`Flag #${flagId} has unknown category "${category}"`);
+    }
+    return code;
+  });
+
+  const contract = await getContractWithSigner();
+  const tx = await contract.batchRegisterFlags(
+    flags.map(({ flagId }) => flagId),
+    categories,
+    flags.map(({ price }) => ethers.parseEther(String(price))),
+    flags.map(({ nftsRequired }) => nftsRequired || 1)
+  );
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Store a flag's metadata hash on-chain
+ * @returns {Promise<{transactionHash: string}>}
+ */
+export const sendSetMetadataHash = async (flagId, metadataHash) => {
+  const contract = await getContractWithSigner();
+  const tx = await contract.setMetadataHash(flagId, metadataHash);
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Withdraw the whole contract balance to the owner
+ * @returns {Promise<{transactionHash: string}>}
+ */
+export const sendWithdraw = async () => {
+  const contract = await getContractWithSigner();
+  const tx = await contract.withdraw();
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Hand contract ownership to another address. Irreversible for the current owner.
+ * @returns {Promise<{transactionHash: string}>}
+ */
+export const sendTransferOwnership = async (newOwner) => {
+  if (!ethers.isAddress(newOwner)) {
+    throw new Error('Invalid address');
+  }
+  const contract = await getContractWithSigner();
+  const tx = await contract.transferOwnership(ethers.getAddress(newOwner));
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+// =============================================================================
+// ESCROW AUCTION HOUSE
+// =============================================================================
+
+/**
+ * Check if the escrow auction house is configured
+ */
+export const isAuctionHouseEnabled = () => !!config.auctionHouseAddress;
+
+/**
+ * Get auction house contract instance
+ */
+export const getAuctionHouseContract = async (signerOrProvider = null) => {
+  if (!config.auctionHouseAddress) {
+    throw new Error('Auction house address not configured');
+  }
+
+  if (!signerOrProvider) {
+    signerOrProvider = getReadProvider();
+  }
+
+  return new ethers.Contract(
+    config.auctionHouseAddress,
+    FlagAuctionHouseABI.abi,
+    signerOrProvider
+  );
+};
+
+/**
+ * Find a decoded event emitted by the given contract in a receipt
+ */
+const findEvent = (receipt, contract, eventName) => {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed?.name === eventName) return parsed;
+    } catch {
+      // Log from another contract
+    }
+  }
+  return null;
+};
+
+/**
+ * Approve the auction house to move a token, unless it already can
+ * @param {ethers.Signer} signer - Seller's signer
+ * @param {string|number} tokenId - Token to list
+ * @param {boolean} forAll - Use setApprovalForAll so later listings skip this step
+ * @returns {Promise<string|null>} Approval transaction hash, or null if already approved
+ */
+export const approveAuctionHouse = async (signer, tokenId, forAll = false) => {
+  const contract = await getContract(signer);
+  const owner = await signer.getAddress();
+  const operator = config.auctionHouseAddress;
+
+  const [approvedForAll, approved] = await Promise.all([
+    contract.isApprovedForAll(owner, operator),
+    contract.getApproved(tokenId),
+  ]);
+  if (approvedForAll || approved.toLowerCase() === operator.toLowerCase()) {
+    return null;
+  }
+
+  const tx = forAll
+    ? await contract.setApprovalForAll(operator, true)
+    : await contract.approve(operator, tokenId);
+  const receipt = await tx.wait();
+  return receipt.hash;
+};
+
+/**
+ * Approve and list a token in the escrow auction house.
+ * The token is held by the contract until the auction is settled or cancelled.
+ * @param {Object} params
+ * @param {string|number} params.tokenId - Token to list
+ * @param {string|number} params.startingPrice - Starting price in POL
+ * @param {string|number} params.minPrice - Minimum bid price in POL
+ * @param {string|number|null} params.buyoutPrice - Optional buyout price in POL
+ * @param {number} params.durationHours - Auction duration in hours
+ */
+export const createOnChainAuction = async ({ tokenId, startingPrice, minPrice, buyoutPrice, durationHours }) => {
+  const { signer } = await connectWallet();
+  await approveAuctionHouse(signer, tokenId);
+
+  const auctionHouse = await getAuctionHouseContract(signer);
+  const tx = await auctionHouse.createAuction(
+    tokenId,
+    ethers.parseEther(startingPrice.toString()),
+    ethers.parseEther(minPrice.toString()),
+    buyoutPrice ? ethers.parseEther(buyoutPrice.toString()) : 0n,
+    Math.round(durationHours * 60 * 60)
+  );
+  const receipt = await tx.wait();
+  const event = findEvent(receipt, auctionHouse, 'AuctionCreated');
+  // Without the ID the backend auction could not be linked to the escrow
+  if (!event) {
+    throw new Error(`Listing transaction ${receipt.hash} did not create an auction`);
+  }
+
+  return {
+    transactionHash: receipt.hash,
+    onChainAuctionId: event.args.auctionId.toString(),
+  };
+};
+
+/**
+ * Submit a bid escrowing the bid amount, without waiting for it to be mined
+ */
+export const sendPlaceOnChainBid = async (onChainAuctionId, amount) => {
+  const { signer } = await connectWallet();
+  const auctionHouse = await getAuctionHouseContract(signer);
+
+  const tx = await auctionHouse.placeBid(onChainAuctionId, {
+    value: ethers.parseEther(amount.toString()),
+  });
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Place a bid, escrowing the bid amount in the contract.
+ * Outbid amounts are credited to pendingReturns and withdrawn with withdrawAuctionRefund.
+ */
+export const placeOnChainBid = async (onChainAuctionId, amount) => {
+  const { transactionHash } = await sendPlaceOnChainBid(onChainAuctionId, amount);
+  const receipt = await waitForTransaction(transactionHash);
+
+  return {
+    transactionHash: receipt.hash,
+  };
+};
+
+/**
+ * Submit a buyout without waiting for it to be mined
+ */
+export const sendBuyoutOnChainAuction = async (onChainAuctionId, buyoutPrice) => {
+  const { signer } = await connectWallet();
+  const auctionHouse = await getAuctionHouseContract(signer);
+
+  const tx = await auctionHouse.buyout(onChainAuctionId, {
+    value: ethers.parseEther(buyoutPrice.toString()),
+  });
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Buy out an auction: payment and token transfer settle in a single transaction
+ */
+export const buyoutOnChainAuction = async (onChainAuctionId, buyoutPrice) => {
+  const { transactionHash } = await sendBuyoutOnChainAuction(onChainAuctionId, buyoutPrice);
+  const receipt = await waitForTransaction(transactionHash);
+
+  return {
+    transactionHash: receipt.hash,
+  };
+};
+
+/**
+ * Submit the cancellation of an auction without bids, without waiting for it to be mined
+ */
+export const sendCancelOnChainAuction = async (onChainAuctionId) => {
+  const { signer } = await connectWallet();
+  const auctionHouse = await getAuctionHouseContract(signer);
+
+  const tx = await auctionHouse.cancelAuction(onChainAuctionId);
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Cancel an auction without bids and return the token to the seller
+ */
+export const cancelOnChainAuction = async (onChainAuctionId) => {
+  const { transactionHash } = await sendCancelOnChainAuction(onChainAuctionId);
+  const receipt = await waitForTransaction(transactionHash);
+
+  return {
+    transactionHash: receipt.hash,
+  };
+};
+
+/**
+ * Submit the settlement of an ended auction without waiting for it to be mined
+ */
+export const sendSettleOnChainAuction = async (onChainAuctionId) => {
+  const { signer } = await connectWallet();
+  const auctionHouse = await getAuctionHouseContract(signer);
+
+  const tx = await auctionHouse.settleAuction(onChainAuctionId);
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Settle an ended auction: token to the winner, funds to the seller
+ */
+export const settleOnChainAuction = async (onChainAuctionId) => {
+  const { transactionHash } = await sendSettleOnChainAuction(onChainAuctionId);
+  const receipt = await waitForTransaction(transactionHash);
+
+  return {
+    transactionHash: receipt.hash,
+  };
+};
+
+/**
+ * Get escrow state of an auction from the contract
+ */
+export const getOnChainAuction = async (onChainAuctionId) => {
+  const auctionHouse = await getAuctionHouseContract();
+  const auction = await auctionHouse.getAuction(onChainAuctionId);
+
+  return {
+    tokenId: auction.tokenId.toString(),
+    seller: auction.seller,
+    startingPrice: ethers.formatEther(auction.startingPrice),
+    minPrice: ethers.formatEther(auction.minPrice),
+    buyoutPrice: auction.buyoutPrice > 0n ? ethers.formatEther(auction.buyoutPrice) : null,
+    highestBid: ethers.formatEther(auction.highestBid),
+    highestBidder: auction.highestBidder === ethers.ZeroAddress ? null : auction.highestBidder,
+    endTime: new Date(Number(auction.endTime) * 1000),
+    status: Number(auction.status),
+  };
+};
+
+/**
+ * Get refundable amount from outbid escrow for an address
+ */
+export const getPendingAuctionRefund = async (address) => {
+  const auctionHouse = await getAuctionHouseContract();
+  const amount = await auctionHouse.pendingReturns(address);
+  return ethers.formatEther(amount);
+};
+
+/**
+ * Submit a refund withdrawal from outbid escrow without waiting for it to be mined
+ */
+export const sendWithdrawAuctionRefund = async () => {
+  const { signer } = await connectWallet();
+  const auctionHouse = await getAuctionHouseContract(signer);
+
+  const tx = await auctionHouse.withdrawRefund();
+
+  return {
+    transactionHash: tx.hash,
+  };
+};
+
+/**
+ * Withdraw refunds from outbid escrow
+ */
+export const withdrawAuctionRefund = async () => {
+  const { transactionHash } = await sendWithdrawAuctionRefund();
+  const receipt = await waitForTransaction(transactionHash);
+
+  return {
+    transactionHash: receipt.hash,
+  };
 };
 
 export default {
-  isMetaMaskInstalled,
+  isWalletAvailable,
+  getReadProvider,
   connectWallet,
   getCurrentAddress,
   ensureCorrectNetwork,
+  isCorrectNetwork,
+  getBalance,
   onAccountsChanged,
   onChainChanged,
   removeListeners,
+  getSigner,
+  buildSiweMessage,
+  signSiweMessage,
   getContract,
+  getReadContract,
+  isUserRejection,
+  decodeContractError,
+  getErrorMessage,
+  getBlockNumber,
+  waitForTransaction,
+  previewTransaction,
+  sendClaimFirstNFT,
   claimFirstNFT,
+  sendPurchaseSecondNFT,
   purchaseSecondNFT,
   getFlagPair,
+  getFlagPairs,
   getPriceWithDiscount,
+  getTotalPriceWithDiscount,
+  getNftsRequired,
+  getUserDiscountTier,
+  getDiscountRates,
   userHasPlus,
   userHasPremium,
   getTotalSupply,
   getTokensOfOwner,
+  getFlagIdForToken,
+  isTokenFirstNFT,
+  getTokenOwner,
+  getOwnedFlagTokens,
   getTokenURI,
+  getFirstTokenIds,
+  getSecondTokenIds,
+  getFlagHistoryPage,
+  getWithdrawalHistoryPage,
+  getDiscountGrantsPage,
+  resolveRecipient,
+  isContractAddress,
+  transferToken,
+  getContractOwner,
+  getContractBalance,
+  getTotalTokensMinted,
+  getTotalRegisteredFlags,
+  getRegisteredFlagIds,
+  sendBatchRegisterFlags,
+  sendSetMetadataHash,
+  sendWithdraw,
+  sendTransferOwnership,
+  isAuctionHouseEnabled,
+  getAuctionHouseContract,
+  approveAuctionHouse,
+  createOnChainAuction,
+  sendPlaceOnChainBid,
+  placeOnChainBid,
+  sendBuyoutOnChainAuction,
+  buyoutOnChainAuction,
+  sendCancelOnChainAuction,
+  cancelOnChainAuction,
+  sendSettleOnChainAuction,
+  settleOnChainAuction,
+  getOnChainAuction,
+  getPendingAuctionRefund,
+  sendWithdrawAuctionRefund,
+  withdrawAuctionRefund,
 };
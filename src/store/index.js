@@ -1,26 +1,40 @@
-import { configureStore } from '@reduxjs/toolkit';
+import { configureStore, combineReducers } from '@reduxjs/toolkit';
+import { setupListeners } from '@reduxjs/toolkit/query';
 import walletReducer from './slices/walletSlice';
-import countriesReducer from './slices/countriesSlice';
+import networkReducer, { partitionByNetwork } from './slices/networkSlice';
+import { apiSlice } from './slices/apiSlice';
 import flagsReducer from './slices/flagsSlice';
 import userReducer from './slices/userSlice';
 import auctionsReducer from './slices/auctionsSlice';
-import rankingsReducer from './slices/rankingsSlice';
 import adminReducer from './slices/adminSlice';
+import transactionsReducer from './slices/transactionsSlice';
+import { walletEventsMiddleware } from './middleware/walletEvents';
+import { cacheInvalidationMiddleware } from './middleware/cacheInvalidation';
+
+// Slices holding data of one network's contract and backend, kept per network.
+// The query cache (apiSlice) is reset on a switch instead, see switchAppNetwork.
+const NETWORK_SCOPED_SLICES = ['flags', 'user', 'auctions', 'admin', 'transactions'];
+
+const rootReducer = combineReducers({
+  wallet: walletReducer,
+  network: networkReducer,
+  [apiSlice.reducerPath]: apiSlice.reducer,
+  flags: flagsReducer,
+  user: userReducer,
+  auctions: auctionsReducer,
+  admin: adminReducer,
+  transactions: transactionsReducer,
+});
 
 export const store = configureStore({
-  reducer: {
-    wallet: walletReducer,
-    countries: countriesReducer,
-    flags: flagsReducer,
-    user: userReducer,
-    auctions: auctionsReducer,
-    rankings: rankingsReducer,
-    admin: adminReducer,
-  },
+  reducer: partitionByNetwork(rootReducer, NETWORK_SCOPED_SLICES),
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
       serializableCheck: false,
-    }),
+    }).concat(apiSlice.middleware, walletEventsMiddleware, cacheInvalidationMiddleware),
 });
 
+// Refetch on window focus and when the browser comes back online
+setupListeners(store.dispatch);
+
 export default store;
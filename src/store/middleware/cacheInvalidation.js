@@ -0,0 +1,56 @@
+/**
+ * Cache Invalidation Middleware
+ *
+ * Admin CRUD runs through adminSlice thunks rather than query mutations.
+ * When one succeeds, the query cache tags it affects are invalidated so the
+ * public pages show the change.
+ */
+import { isFulfilled } from '@reduxjs/toolkit';
+import { apiSlice, TAG_TYPES } from '../slices/apiSlice';
+import {
+  createCountry,
+  updateCountry,
+  deleteCountry,
+  toggleCountryVisibility,
+  createRegion,
+  updateRegion,
+  deleteRegion,
+  toggleRegionVisibility,
+  createMunicipality,
+  updateMunicipality,
+  deleteMunicipality,
+  toggleMunicipalityVisibility,
+  createFlag,
+  updateFlag,
+  seedDemoData,
+  createDemoUser,
+  seedDemoUserOwnership,
+  deleteDemoUser,
+  createNFTFromCoordinates,
+} from '../slices/adminSlice';
+
+// Countries, regions and municipalities embed each other's names and counts
+const isGeographyChange = isFulfilled(
+  createCountry, updateCountry, deleteCountry, toggleCountryVisibility,
+  createRegion, updateRegion, deleteRegion, toggleRegionVisibility,
+  createMunicipality, updateMunicipality, deleteMunicipality, toggleMunicipalityVisibility,
+);
+const isFlagChange = isFulfilled(createFlag, updateFlag, createNFTFromCoordinates);
+const isDemoUserChange = isFulfilled(createDemoUser, seedDemoUserOwnership, deleteDemoUser);
+
+export const cacheInvalidationMiddleware = (store) => (next) => (action) => {
+  const result = next(action);
+
+  if (isGeographyChange(action)) {
+    store.dispatch(apiSlice.util.invalidateTags(['Country', 'Region', 'Municipality']));
+  } else if (isFlagChange(action)) {
+    store.dispatch(apiSlice.util.invalidateTags(['Municipality', 'Flag', 'Ranking']));
+  } else if (isDemoUserChange(action)) {
+    store.dispatch(apiSlice.util.invalidateTags(['User', 'Flag', 'Ranking']));
+  } else if (seedDemoData.fulfilled.match(action)) {
+    store.dispatch(apiSlice.util.invalidateTags(TAG_TYPES));
+  }
+  return result;
+};
+
+export default cacheInvalidationMiddleware;
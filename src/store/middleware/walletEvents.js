@@ -0,0 +1,44 @@
+/**
+ * Wallet Event Middleware
+ *
+ * Bridges wallet provider events into Redux:
+ * - accountsChanged re-connects (and re-syncs the user) for the new account
+ * - chainChanged records the wallet's network so the UI can flag a wrong network
+ * When the connected account changes or disconnects, per-user state is
+ * cleared so nothing from the previous account leaks into the next one
+ * (queries are cached by address, so they need no clearing).
+ */
+import { onAccountsChanged, onChainChanged } from '../../services/web3';
+import { switchAccount, chainChanged, refreshBalance } from '../slices/walletSlice';
+import { clearUserData } from '../slices/userSlice';
+import { clearFlagPricing } from '../slices/flagsSlice';
+
+const isSameAddress = (a, b) => (a || '').toLowerCase() === (b || '').toLowerCase();
+
+export const walletEventsMiddleware = (store) => {
+  // Listeners follow whichever wallet is active, so they can be registered up front
+  onAccountsChanged((accounts) => store.dispatch(switchAccount(accounts)));
+  onChainChanged((chainId) => {
+    store.dispatch(chainChanged(chainId));
+    // Balance is per network
+    store.dispatch(refreshBalance());
+  });
+
+  return (next) => (action) => {
+    const previousAddress = store.getState().wallet.address;
+    const result = next(action);
+    const { address } = store.getState().wallet;
+
+    if (previousAddress && !isSameAddress(previousAddress, address)) {
+      // Keep the check of someone else's profile that is merely being viewed
+      const { reconciliation } = store.getState().user;
+      if (!reconciliation || isSameAddress(reconciliation.address, previousAddress)) {
+        store.dispatch(clearUserData());
+      }
+      store.dispatch(clearFlagPricing());
+    }
+    return result;
+  };
+};
+
+export default walletEventsMiddleware;
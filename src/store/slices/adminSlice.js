@@ -3,11 +3,24 @@
  *
  * VISUAL ADMIN CRUD INTERFACE:
  * - Complete CRUD operations for Countries, Regions, Municipalities, Flags
+ * - The full lists kept here feed form pickers and the on-chain sync; the admin
+ *   tables page through the query layer (apiSlice) instead
  * - Admin authentication with admin key
  * - Statistics and IPFS management
  */
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { parseEther } from 'ethers';
 import * as api from '../../services/api';
+import {
+  FLAG_CATEGORIES,
+  getContractOwner,
+  getContractBalance,
+  getTotalTokensMinted,
+  getTotalRegisteredFlags,
+  getRegisteredFlagIds,
+  getFlagPairs,
+  getErrorMessage,
+} from '../../services/web3';
 
 // =============================================================================
 // AUTHENTICATION THUNKS
@@ -27,10 +40,10 @@ export const authenticate = createAsyncThunk(
 
 export const fetchAdminStats = createAsyncThunk(
   'admin/fetchStats',
-  async (_, { getState, rejectWithValue }) => {
+  async (_, { getState, signal, rejectWithValue }) => {
     try {
       const { adminKey } = getState().admin;
-      const data = await api.getAdminStats(adminKey);
+      const data = await api.getAdminStats(adminKey, { signal });
       return data;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -44,10 +57,10 @@ export const fetchAdminStats = createAsyncThunk(
 
 export const fetchAdminCountries = createAsyncThunk(
   'admin/fetchCountries',
-  async (_, { rejectWithValue }) => {
+  async (_, { signal, rejectWithValue }) => {
     try {
-      const data = await api.getCountries(false); // Get all, including hidden
-      return data;
+      const data = await api.getCountries({ visibleOnly: false }, { signal }); // Get all, including hidden
+      return data.items;
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -118,10 +131,10 @@ export const toggleCountryVisibility = createAsyncThunk(
 
 export const fetchAdminRegions = createAsyncThunk(
   'admin/fetchRegions',
-  async (countryId = null, { rejectWithValue }) => {
+  async (countryId = null, { signal, rejectWithValue }) => {
     try {
-      const data = await api.getRegions(countryId, false); // Get all, including hidden
-      return data;
+      const data = await api.getRegions({ countryId, visibleOnly: false }, { signal }); // Get all, including hidden
+      return data.items;
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -192,10 +205,10 @@ export const toggleRegionVisibility = createAsyncThunk(
 
 export const fetchAdminMunicipalities = createAsyncThunk(
   'admin/fetchMunicipalities',
-  async (regionId = null, { rejectWithValue }) => {
+  async (regionId = null, { signal, rejectWithValue }) => {
     try {
-      const data = await api.getMunicipalities(regionId, false); // Get all, including hidden
-      return data;
+      const data = await api.getMunicipalities({ regionId, visibleOnly: false }, { signal }); // Get all, including hidden
+      return data.items;
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -266,10 +279,10 @@ export const toggleMunicipalityVisibility = createAsyncThunk(
 
 export const fetchAdminFlags = createAsyncThunk(
   'admin/fetchFlags',
-  async (municipalityId = null, { rejectWithValue }) => {
+  async (municipalityId = null, { signal, rejectWithValue }) => {
     try {
-      const data = await api.getFlags(municipalityId, null, false);
-      return data;
+      const data = await api.getFlags({ municipalityId }, { signal });
+      return data.items;
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -342,10 +355,10 @@ export const syncIpfsFromPinata = createAsyncThunk(
 
 export const fetchIpfsStatus = createAsyncThunk(
   'admin/fetchIpfsStatus',
-  async (_, { getState, rejectWithValue }) => {
+  async (_, { getState, signal, rejectWithValue }) => {
     try {
       const { adminKey } = getState().admin;
-      const data = await api.getIpfsStatus(adminKey);
+      const data = await api.getIpfsStatus(adminKey, { signal });
       return data;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -372,10 +385,10 @@ export const createDemoUser = createAsyncThunk(
 
 export const fetchDemoUser = createAsyncThunk(
   'admin/fetchDemoUser',
-  async (walletAddress, { getState, rejectWithValue }) => {
+  async (walletAddress, { getState, signal, rejectWithValue }) => {
     try {
       const { adminKey } = getState().admin;
-      const data = await api.getDemoUser(adminKey, walletAddress);
+      const data = await api.getDemoUser(adminKey, walletAddress, { signal });
       return data;
     } catch (error) {
       return rejectWithValue(error.message);
@@ -444,6 +457,86 @@ export const checkStreetView = createAsyncThunk(
   }
 );
 
+// =============================================================================
+// ON-CHAIN SYNC THUNKS
+// =============================================================================
+
+/**
+ * Compare the database flags with the contract: flags never registered,
+ * registered flags whose category/price/nftsRequired differ, and metadata
+ * hashes not yet stored on-chain. Uses the flags already loaded in admin state.
+ */
+export const fetchChainSync = createAsyncThunk(
+  'admin/fetchChainSync',
+  async (_, { getState, rejectWithValue }) => {
+    try {
+      const { flags } = getState().admin;
+      const [owner, registeredIds] = await Promise.all([getContractOwner(), getRegisteredFlagIds()]);
+
+      const registered = new Set(registeredIds);
+      const registeredFlags = flags.filter((flag) => registered.has(String(flag.id)));
+      const pairs = await getFlagPairs(registeredFlags.map((flag) => flag.id));
+
+      const mismatched = [];
+      const metadataPending = [];
+      registeredFlags.forEach((flag, index) => {
+        const pair = pairs[index];
+        const chainCategory = FLAG_CATEGORIES[Number(pair.category)] ?? `unknown (${pair.category})`;
+        const nftsRequired = flag.nfts_required || 1;
+        const differences = [];
+
+        if (chainCategory !== flag.category) {
+          differences.push({ field: 'Category', database: flag.category, chain: chainCategory });
+        }
+        if (parseEther(String(flag.price)) !== pair.priceWei) {
+          differences.push({ field: 'Price', database: String(flag.price), chain: pair.price });
+        }
+        if (nftsRequired !== pair.nftsRequired) {
+          differences.push({ field: 'NFTs required', database: String(nftsRequired), chain: String(pair.nftsRequired) });
+        }
+        if (differences.length > 0) {
+          mismatched.push({ flagId: flag.id, differences });
+        }
+
+        if (flag.metadata_hash && flag.metadata_hash !== pair.metadataHash) {
+          metadataPending.push({ flagId: flag.id, metadataHash: flag.metadata_hash, chainHash: pair.metadataHash });
+        }
+      });
+
+      return {
+        owner,
+        registeredCount: registeredIds.length,
+        unregistered: flags.filter((flag) => !registered.has(String(flag.id))).map((flag) => flag.id),
+        mismatched,
+        metadataPending,
+        checkedAt: Date.now(),
+      };
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to read the contract'));
+    }
+  }
+);
+
+/**
+ * Read contract-level figures for the Contract tab. Balance is a wei string.
+ */
+export const fetchContractOverview = createAsyncThunk(
+  'admin/fetchContractOverview',
+  async (_, { rejectWithValue }) => {
+    try {
+      const [owner, balance, totalMinted, registeredCount] = await Promise.all([
+        getContractOwner(),
+        getContractBalance(),
+        getTotalTokensMinted(),
+        getTotalRegisteredFlags(),
+      ]);
+      return { owner, balance: balance.toString(), totalMinted, registeredCount };
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to read the contract'));
+    }
+  }
+);
+
 // =============================================================================
 // INITIAL STATE
 // =============================================================================
@@ -474,6 +567,12 @@ const initialState = {
   nftGenerating: false,
   streetViewAvailable: null,
 
+  // On-chain sync (database vs contract)
+  chainSync: null,
+  chainSyncLoading: false,
+  contractOverview: null,
+  contractOverviewLoading: false,
+
   // UI states
   loading: false,
   actionLoading: false,
@@ -504,6 +603,8 @@ const adminSlice = createSlice({
       state.flags = [];
       state.demoUser = null;
       state.demoOwnershipResult = null;
+      state.chainSync = null;
+      state.contractOverview = null;
     },
     clearMessage: (state) => {
       state.message = null;
@@ -863,6 +964,32 @@ const adminSlice = createSlice({
       })
       .addCase(checkStreetView.rejected, (state) => {
         state.streetViewAvailable = false;
+      })
+
+      // =======================================================================
+      // ON-CHAIN SYNC
+      // =======================================================================
+      .addCase(fetchChainSync.pending, (state) => {
+        state.chainSyncLoading = true;
+      })
+      .addCase(fetchChainSync.fulfilled, (state, action) => {
+        state.chainSyncLoading = false;
+        state.chainSync = action.payload;
+      })
+      .addCase(fetchChainSync.rejected, (state, action) => {
+        state.chainSyncLoading = false;
+        state.error = action.payload;
+      })
+      .addCase(fetchContractOverview.pending, (state) => {
+        state.contractOverviewLoading = true;
+      })
+      .addCase(fetchContractOverview.fulfilled, (state, action) => {
+        state.contractOverviewLoading = false;
+        state.contractOverview = action.payload;
+      })
+      .addCase(fetchContractOverview.rejected, (state, action) => {
+        state.contractOverviewLoading = false;
+        state.error = action.payload;
       });
   },
 });
@@ -921,3 +1048,9 @@ export const selectDemoOwnershipResult = (state) => state.admin.demoOwnershipRes
 export const selectNftGenerationResult = (state) => state.admin.nftGenerationResult;
 export const selectNftGenerating = (state) => state.admin.nftGenerating;
 export const selectStreetViewAvailable = (state) => state.admin.streetViewAvailable;
+
+// On-chain sync selectors
+export const selectChainSync = (state) => state.admin.chainSync;
+export const selectChainSyncLoading = (state) => state.admin.chainSyncLoading;
+export const selectContractOverview = (state) => state.admin.contractOverview;
+export const selectContractOverviewLoading = (state) => state.admin.contractOverviewLoading;
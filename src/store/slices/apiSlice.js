@@ -0,0 +1,334 @@
+/**
+ * Query layer for backend data (RTK Query).
+ *
+ * CACHING:
+ * - Every endpoint of services/api that pages read is a query here, cached by
+ *   its arguments; components using the same query share one request
+ * - Cached data is shown right away and revalidated in the background when it is
+ *   older than REFETCH_AFTER_SECONDS, the window regains focus or the network returns
+ * - Data nobody uses is dropped after KEEP_UNUSED_SECONDS
+ *
+ * PAGINATION:
+ * - List queries take the services/api list query ({ ...filters, limit, offset, sort })
+ *   and return its page: { items, total, nextCursor, hasMore }; total is null when
+ *   the backend does not report it
+ * - Feeds (infinite queries) load FEED_PAGE_SIZE items per page for infinite scroll
+ *
+ * INVALIDATION:
+ * - Queries provide tags (Country, Region, Municipality, Flag, Auction, User, Ranking)
+ *   and mutations invalidate the ones they change, which refetches what is on screen
+ * - Admin CRUD runs through adminSlice; middleware/cacheInvalidation maps it to tags
+ * - The cache belongs to one network's backend and is reset on a network switch
+ *
+ * Requests go through services/api, so wallet sessions and the active network's
+ * API URL are handled the same way as everywhere else.
+ */
+import { createApi } from '@reduxjs/toolkit/query/react';
+import * as api from '../../services/api';
+
+// Seconds before cached data is refetched when a component mounts with it
+const REFETCH_AFTER_SECONDS = 30;
+// Seconds unused data stays cached, so going back to a page is instant
+const KEEP_UNUSED_SECONDS = 300;
+
+// Items per page of a feed
+const FEED_PAGE_SIZE = 24;
+
+export const TAG_TYPES = ['Country', 'Region', 'Municipality', 'Flag', 'Auction', 'User', 'Ranking'];
+
+/**
+ * Run the services/api call built by an endpoint's `query`, passing the
+ * request options (the query's abort signal).
+ * Errors are stored as plain ApiError objects: { message, status, code, fieldErrors, retryable }.
+ */
+const apiCallBaseQuery = async (request, { signal }) => {
+  try {
+    return { data: await request({ signal }) };
+  } catch (error) {
+    return { error: api.ApiError.from(error).toJSON() };
+  }
+};
+
+// Users are tagged by lowercase address, whichever casing the caller used
+const userTag = (address) => ({ type: 'User', id: address?.toLowerCase() });
+
+// Tags for a list result, plus a LIST tag for invalidating the list as a whole
+const listTags = (type, items) => [
+  { type, id: 'LIST' },
+  ...(items || []).map((item) => ({ type, id: item.id })),
+];
+
+/**
+ * Feeds continue from the backend's cursor when it sends one, by offset otherwise,
+ * and stop once every item of the list is loaded.
+ */
+const feedOptions = {
+  initialPageParam: { offset: 0 },
+  getNextPageParam: (lastPage, allPages) => {
+    if (lastPage.nextCursor) return { cursor: lastPage.nextCursor };
+    const loaded = allPages.reduce((count, page) => count + page.items.length, 0);
+    return lastPage.items.length > 0 && lastPage.hasMore ? { offset: loaded } : undefined;
+  },
+};
+
+const feedItems = (result) => result?.pages.flatMap((page) => page.items);
+
+// =============================================================================
+// API
+// =============================================================================
+
+export const apiSlice = createApi({
+  reducerPath: 'api',
+  baseQuery: apiCallBaseQuery,
+  tagTypes: TAG_TYPES,
+  keepUnusedDataFor: KEEP_UNUSED_SECONDS,
+  refetchOnMountOrArgChange: REFETCH_AFTER_SECONDS,
+  refetchOnFocus: true,
+  refetchOnReconnect: true,
+  endpoints: (builder) => ({
+    // -------------------------------------------------------------------------
+    // Geography
+    // -------------------------------------------------------------------------
+    getCountries: builder.query({
+      query: (query = {}) => (options) => api.getCountries(query, options),
+      providesTags: (result) => listTags('Country', result?.items),
+    }),
+    getCountry: builder.query({
+      query: (id) => (options) => api.getCountry(id, options),
+      providesTags: (result, error, id) => [
+        { type: 'Country', id: result?.id ?? Number(id) },
+        ...(result?.regions || []).map((region) => ({ type: 'Region', id: region.id })),
+      ],
+    }),
+    getRegion: builder.query({
+      query: (id) => (options) => api.getRegion(id, options),
+      providesTags: (result, error, id) => [
+        { type: 'Region', id: result?.id ?? Number(id) },
+        ...(result?.municipalities || []).map((municipality) => ({ type: 'Municipality', id: municipality.id })),
+      ],
+    }),
+    getRegions: builder.query({
+      query: (query = {}) => (options) => api.getRegions(query, options),
+      providesTags: (result) => listTags('Region', result?.items),
+    }),
+    getMunicipalities: builder.query({
+      query: (query = {}) => (options) => api.getMunicipalities(query, options),
+      providesTags: (result) => listTags('Municipality', result?.items),
+    }),
+    // Lists the municipality's flags, so their claims and purchases refresh it
+    getMunicipality: builder.query({
+      query: (id) => (options) => api.getMunicipality(id, options),
+      providesTags: (result, error, id) => [
+        { type: 'Municipality', id: result?.id ?? Number(id) },
+        ...(result?.flags || []).map((flag) => ({ type: 'Flag', id: flag.id })),
+      ],
+    }),
+
+    // -------------------------------------------------------------------------
+    // Flags
+    // -------------------------------------------------------------------------
+    getFlags: builder.query({
+      query: (query = {}) => (options) => api.getFlags(query, options),
+      providesTags: (result) => listTags('Flag', result?.items),
+    }),
+    // Flags for infinite scroll; the argument is the getFlags query without paging
+    getFlagFeed: builder.infiniteQuery({
+      infiniteQueryOptions: feedOptions,
+      query: ({ queryArg, pageParam }) => (options) =>
+        api.getFlags({ ...queryArg, ...pageParam, limit: FEED_PAGE_SIZE }, options),
+      providesTags: (result) => listTags('Flag', feedItems(result)),
+    }),
+    getFlag: builder.query({
+      query: (id) => (options) => api.getFlag(id, options),
+      providesTags: (result, error, id) => [{ type: 'Flag', id: result?.id ?? Number(id) }],
+    }),
+    registerInterest: builder.mutation({
+      query: ({ flagId, address }) => () => api.registerInterest(flagId, address),
+      invalidatesTags: (result, error, { flagId, address }) =>
+        error ? [] : [{ type: 'Flag', id: flagId }, userTag(address), 'Ranking'],
+    }),
+    // Backend registration of a mined claim (see transactionsSlice)
+    claimFirstNFT: builder.mutation({
+      query: ({ flagId, address, transactionHash }) => () =>
+        api.claimFirstNFT(flagId, address, transactionHash),
+      invalidatesTags: (result, error, { flagId, address }) =>
+        error ? [] : [{ type: 'Flag', id: flagId }, userTag(address), 'Ranking'],
+    }),
+    // Backend registration of a mined purchase (see transactionsSlice)
+    purchaseSecondNFT: builder.mutation({
+      query: ({ flagId, address, transactionHash }) => () =>
+        api.purchaseSecondNFT(flagId, address, transactionHash),
+      invalidatesTags: (result, error, { flagId, address }) =>
+        error ? [] : [{ type: 'Flag', id: flagId }, userTag(address), 'Ranking'],
+    }),
+
+    // -------------------------------------------------------------------------
+    // Users
+    // -------------------------------------------------------------------------
+    getUser: builder.query({
+      query: (address) => (options) => api.getUser(address, options),
+      providesTags: (result, error, address) => [userTag(address)],
+    }),
+    getUserFlags: builder.query({
+      query: (address) => (options) => api.getUserFlags(address, options),
+      providesTags: (result, error, address) => [userTag(address)],
+      // Refetches (e.g. on focus) keep hiding flags transferred away that the
+      // backend has not recorded yet (see userSlice transferFlag)
+      async onQueryStarted(address, { dispatch, getState, queryFulfilled }) {
+        try {
+          await queryFulfilled;
+        } catch {
+          return;
+        }
+        const transferred = getState().user.transferredOwnershipIds;
+        if (transferred.length === 0) return;
+        dispatch(apiSlice.util.updateQueryData('getUserFlags', address, (flags) =>
+          flags.filter((f) => !transferred.includes(f.id))));
+      },
+    }),
+    getUserInterests: builder.query({
+      query: (address) => (options) => api.getUserInterests(address, options),
+      providesTags: (result, error, address) => [userTag(address)],
+    }),
+
+    // -------------------------------------------------------------------------
+    // Auctions
+    // -------------------------------------------------------------------------
+    getAuctions: builder.query({
+      query: (query = {}) => (options) => api.getAuctions(query, options),
+      providesTags: (result) => listTags('Auction', result?.items),
+    }),
+    // Auctions for infinite scroll; the argument is the getAuctions query without paging
+    getAuctionFeed: builder.infiniteQuery({
+      infiniteQueryOptions: feedOptions,
+      query: ({ queryArg, pageParam }) => (options) =>
+        api.getAuctions({ ...queryArg, ...pageParam, limit: FEED_PAGE_SIZE }, options),
+      providesTags: (result) => listTags('Auction', feedItems(result)),
+    }),
+    getAuction: builder.query({
+      query: (id) => (options) => api.getAuction(id, options),
+      providesTags: (result, error, id) => [{ type: 'Auction', id: result?.id ?? Number(id) }],
+    }),
+    /**
+     * Create a new auction with enhanced features.
+     * @param {Object} params - Auction parameters
+     * @param {number} params.flagId - ID of the flag to auction
+     * @param {string} params.walletAddress - Seller's wallet address
+     * @param {number} params.startingPrice - Starting price in MATIC
+     * @param {number} params.minPrice - Minimum bid price (floor)
+     * @param {number|null} params.buyoutPrice - Optional instant purchase price
+     * @param {number} params.durationHours - Auction duration (1-168 hours)
+     * @param {string|null} params.tokenId - Escrowed token ID (on-chain auctions)
+     * @param {string|null} params.onChainAuctionId - Auction ID in the auction house contract
+     * @param {string|null} params.transactionHash - Listing transaction hash
+     */
+    createAuction: builder.mutation({
+      query: ({
+        flagId, walletAddress, startingPrice, minPrice, buyoutPrice, durationHours,
+        tokenId = null, onChainAuctionId = null, transactionHash = null,
+      }) => () => api.createAuction({
+        flag_id: flagId,
+        wallet_address: walletAddress,
+        starting_price: startingPrice,
+        min_price: minPrice,
+        buyout_price: buyoutPrice,
+        duration_hours: durationHours,
+        token_id: tokenId,
+        onchain_auction_id: onChainAuctionId,
+        transaction_hash: transactionHash,
+      }),
+      invalidatesTags: (result, error, { walletAddress }) =>
+        error ? [] : [{ type: 'Auction', id: 'LIST' }, userTag(walletAddress)],
+    }),
+    /**
+     * Place a bid on an auction with category for tie-breaking.
+     * @param {Object} params - Bid parameters
+     * @param {number} params.auctionId - Auction ID
+     * @param {string} params.walletAddress - Bidder's wallet address
+     * @param {number} params.amount - Bid amount in MATIC
+     * @param {string} params.bidderCategory - Bidder's category ('standard', 'plus', 'premium')
+     * @param {string|null} params.transactionHash - Escrow bid transaction hash (on-chain auctions)
+     */
+    placeBid: builder.mutation({
+      query: ({ auctionId, walletAddress, amount, bidderCategory = 'standard', transactionHash = null }) => () =>
+        api.placeBid(auctionId, walletAddress, amount, bidderCategory, transactionHash),
+      invalidatesTags: (result, error, { auctionId }) =>
+        error ? [] : [{ type: 'Auction', id: auctionId }],
+    }),
+    /**
+     * Instant buyout of an auction at the buyout price.
+     * @param {Object} params - Buyout parameters
+     * @param {number} params.auctionId - Auction ID
+     * @param {string} params.walletAddress - Buyer's wallet address
+     * @param {string|null} params.transactionHash - Settlement transaction hash (on-chain auctions)
+     */
+    buyoutAuction: builder.mutation({
+      query: ({ auctionId, walletAddress, transactionHash = null }) => () =>
+        api.buyoutAuction(auctionId, walletAddress, transactionHash),
+      // The flag changes hands, so both wallets, the flag and the rankings change
+      invalidatesTags: (result, error, { auctionId }) =>
+        error ? [] : [{ type: 'Auction', id: auctionId }, { type: 'Auction', id: 'LIST' }, 'User', 'Flag', 'Ranking'],
+    }),
+    // transactionHash: settlement transaction (on-chain auctions)
+    closeAuction: builder.mutation({
+      query: ({ auctionId, transactionHash = null }) => () => api.closeAuction(auctionId, transactionHash),
+      invalidatesTags: (result, error, { auctionId }) =>
+        error ? [] : [{ type: 'Auction', id: auctionId }, { type: 'Auction', id: 'LIST' }, 'User', 'Flag', 'Ranking'],
+    }),
+    cancelAuction: builder.mutation({
+      query: ({ auctionId, walletAddress, transactionHash = null }) => () =>
+        api.cancelAuction(auctionId, walletAddress, transactionHash),
+      invalidatesTags: (result, error, { auctionId, walletAddress }) =>
+        error ? [] : [{ type: 'Auction', id: auctionId }, { type: 'Auction', id: 'LIST' }, userTag(walletAddress)],
+    }),
+
+    // -------------------------------------------------------------------------
+    // Rankings
+    // -------------------------------------------------------------------------
+    getUserRankings: builder.query({
+      query: (page = {}) => (options) => api.getUserRankings(page, options),
+      providesTags: [{ type: 'Ranking', id: 'USERS' }],
+    }),
+    getCollectorRankings: builder.query({
+      query: (page = {}) => (options) => api.getCollectorRankings(page, options),
+      providesTags: [{ type: 'Ranking', id: 'COLLECTORS' }],
+    }),
+    getFlagRankings: builder.query({
+      query: (page = {}) => (options) => api.getPopularFlags(page, options),
+      providesTags: [{ type: 'Ranking', id: 'FLAGS' }],
+    }),
+  }),
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export const {
+  useGetCountriesQuery,
+  useGetCountryQuery,
+  useGetRegionsQuery,
+  useGetRegionQuery,
+  useGetMunicipalitiesQuery,
+  useGetMunicipalityQuery,
+  useGetFlagsQuery,
+  useGetFlagFeedInfiniteQuery,
+  useGetFlagQuery,
+  useRegisterInterestMutation,
+  useGetUserQuery,
+  useGetUserFlagsQuery,
+  useGetUserInterestsQuery,
+  useGetAuctionsQuery,
+  useGetAuctionFeedInfiniteQuery,
+  useGetAuctionQuery,
+  useCreateAuctionMutation,
+  usePlaceBidMutation,
+  useBuyoutAuctionMutation,
+  useCloseAuctionMutation,
+  useCancelAuctionMutation,
+  useGetUserRankingsQuery,
+  useGetCollectorRankingsQuery,
+  useGetFlagRankingsQuery,
+} = apiSlice;
+
+export default apiSlice;
@@ -1,257 +1,201 @@
 /**
- * Redux slice for auction management.
+ * Redux slice for live auction state.
  *
  * ENHANCED AUCTION FEATURES:
  * - min_price: Floor price for bids
  * - buyout_price: Instant purchase option
  * - bidder_category: Category-based tie-breaking (Premium > Plus > Standard)
  * - winner_category: Records winner's category
+ *
+ * Auction lists, details and the create/bid/buyout/close/cancel calls are in
+ * the query layer (apiSlice).
+ *
+ * ON-CHAIN ESCROW:
+ * - When the auction house is configured, pages submit the escrow transaction via
+ *   services/web3 and track it; the bid or buyout is registered once it is mined
+ * - settleAuction and cancelAuction submit the escrow transaction and hand it to
+ *   the transactions slice, which closes or cancels the backend auction once mined
+ * - Auctions without escrow are closed or cancelled on the backend directly
+ *
+ * LIVE UPDATES:
+ * - auctionEventReceived applies events pushed by services/auctionEvents to
+ *   every cached auction and auction list containing that auction
+ * - outbid is set when the viewer loses the highest bid
  */
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import * as api from '../../services/api';
+import { apiSlice } from './apiSlice';
+import { trackTransaction } from './transactionsSlice';
+import { sendSettleOnChainAuction, sendCancelOnChainAuction, getErrorMessage } from '../../services/web3';
 
 // =============================================================================
-// ASYNC THUNKS
+// LIVE EVENT HELPERS
 // =============================================================================
 
-export const fetchAuctions = createAsyncThunk(
-  'auctions/fetchAll',
-  async (activeOnly = true, { rejectWithValue }) => {
-    try {
-      const data = await api.getAuctions(activeOnly);
-      return data;
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const fetchAuction = createAsyncThunk(
-  'auctions/fetchOne',
-  async (id, { rejectWithValue }) => {
-    try {
-      const data = await api.getAuction(id);
-      return data;
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
+const isSameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
 
 /**
- * Create a new auction with enhanced features.
- * @param {Object} params - Auction parameters
- * @param {number} params.flagId - ID of the flag to auction
- * @param {string} params.walletAddress - Seller's wallet address
- * @param {number} params.startingPrice - Starting price in MATIC
- * @param {number} params.minPrice - Minimum bid price (floor)
- * @param {number|null} params.buyoutPrice - Optional instant purchase price
- * @param {number} params.durationHours - Auction duration (1-168 hours)
+ * Apply a live event to an auction record (mutates the Immer draft)
  */
-export const createAuction = createAsyncThunk(
-  'auctions/create',
-  async ({ flagId, walletAddress, startingPrice, minPrice, buyoutPrice, durationHours }, { dispatch, rejectWithValue }) => {
-    try {
-      const data = await api.createAuction({
-        flag_id: flagId,
-        wallet_address: walletAddress,
-        starting_price: startingPrice,
-        min_price: minPrice,
-        buyout_price: buyoutPrice,
-        duration_hours: durationHours,
-      });
-      dispatch(fetchAuctions(true));
-      return data;
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
+const applyAuctionEvent = (auction, event) => {
+  switch (event.type) {
+    case 'bid_placed':
+      if (event.bid) {
+        if (!auction.bids?.some((b) => b.id === event.bid.id)) {
+          auction.bids = [event.bid, ...(auction.bids || [])];
+          auction.bid_count = (auction.bid_count || 0) + 1;
+        }
+        auction.current_highest_bid = event.bid.amount;
+        auction.highest_bidder = event.bid.bidder;
+        auction.highest_bidder_id = event.bid.bidder_id;
+      }
+      break;
+    case 'buyout':
+      auction.status = 'closed';
+      auction.current_highest_bid = event.amount ?? auction.buyout_price;
+      auction.highest_bidder = event.buyer ?? auction.highest_bidder;
+      break;
+    case 'cancelled':
+      auction.status = 'cancelled';
+      break;
+    case 'closed':
+      auction.status = 'closed';
+      if (event.winner_category) auction.winner_category = event.winner_category;
+      break;
+    default:
+      break;
   }
-);
+  if (event.auction) Object.assign(auction, event.auction);
+};
+
+// =============================================================================
+// ASYNC THUNKS
+// =============================================================================
 
 /**
- * Place a bid on an auction with category for tie-breaking.
- * @param {Object} params - Bid parameters
- * @param {number} params.auctionId - Auction ID
- * @param {string} params.walletAddress - Bidder's wallet address
- * @param {number} params.amount - Bid amount in MATIC
- * @param {string} params.bidderCategory - Bidder's category ('standard', 'plus', 'premium')
+ * Apply a pushed auction event to the query cache.
+ * @param {Object} params
+ * @param {Object} params.event - Event from services/auctionEvents
+ * @param {string|null} params.viewerAddress - Connected wallet, for outbid detection
  */
-export const placeBid = createAsyncThunk(
-  'auctions/placeBid',
-  async ({ auctionId, walletAddress, amount, bidderCategory = 'standard' }, { dispatch, rejectWithValue }) => {
-    try {
-      await api.placeBid(auctionId, walletAddress, amount, bidderCategory);
-      dispatch(fetchAuction(auctionId));
-      return { auctionId };
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
+export const auctionEventReceived = createAsyncThunk(
+  'auctions/eventReceived',
+  async ({ event, viewerAddress }, { getState, dispatch }) => {
+    const auctionId = Number(event.auction_id);
+    let outbid = null;
+
+    const cached = apiSlice.util.selectInvalidatedBy(getState(), [{ type: 'Auction', id: auctionId }]);
+    cached.forEach(({ endpointName, originalArgs }) => {
+      dispatch(apiSlice.util.updateQueryData(endpointName, originalArgs, (draft) => {
+        if (endpointName !== 'getAuction') {
+          // List pages: one for getAuctions, every loaded one for getAuctionFeed
+          const pages = endpointName === 'getAuctionFeed' ? draft.pages : [draft];
+          pages.forEach((page) => {
+            const listed = page.items.find((a) => a.id === auctionId);
+            if (listed) applyAuctionEvent(listed, event);
+          });
+          return;
+        }
+        const wasLeading = isSameAddress(draft.highest_bidder?.wallet_address, viewerAddress);
+        applyAuctionEvent(draft, event);
+        const isLeading = isSameAddress(draft.highest_bidder?.wallet_address, viewerAddress);
+        if (wasLeading && !isLeading && event.type === 'bid_placed') {
+          outbid = { auctionId, amount: draft.current_highest_bid };
+        }
+      }));
+    });
+
+    return { outbid };
   }
 );
 
 /**
- * Instant buyout of an auction at the buyout price.
- * @param {Object} params - Buyout parameters
- * @param {number} params.auctionId - Auction ID
- * @param {string} params.walletAddress - Buyer's wallet address
+ * Settle an ended auction: token to the winner, funds to the seller.
+ * Rejects with null when cancelled in the wallet.
+ * @param {Object} auction - Auction record from the query layer
  */
-export const buyoutAuction = createAsyncThunk(
-  'auctions/buyout',
-  async ({ auctionId, walletAddress }, { dispatch, rejectWithValue }) => {
+export const settleAuction = createAsyncThunk(
+  'auctions/settle',
+  async (auction, { dispatch, rejectWithValue }) => {
     try {
-      const data = await api.buyoutAuction(auctionId, walletAddress);
-      dispatch(fetchAuctions(true));
-      return data;
+      if (auction.onchain_auction_id == null) {
+        await dispatch(apiSlice.endpoints.closeAuction.initiate({ auctionId: auction.id })).unwrap();
+        return;
+      }
+      const { transactionHash } = await sendSettleOnChainAuction(auction.onchain_auction_id);
+      dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: 'settleAuction',
+        description: `Settle auction #${auction.id}`,
+        params: { auctionId: auction.id },
+      }));
     } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const closeAuction = createAsyncThunk(
-  'auctions/close',
-  async (auctionId, { dispatch, rejectWithValue }) => {
-    try {
-      const data = await api.closeAuction(auctionId);
-      dispatch(fetchAuctions(false)); // Refresh all auctions
-      return data;
-    } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(getErrorMessage(error, 'Failed to settle auction'));
     }
   }
 );
 
+/**
+ * Cancel an auction without bids and return the token to the seller.
+ * Rejects with null when cancelled in the wallet.
+ * @param {Object} params
+ * @param {Object} params.auction - Auction record from the query layer
+ * @param {string} params.address - Seller wallet
+ */
 export const cancelAuction = createAsyncThunk(
   'auctions/cancel',
-  async ({ auctionId, walletAddress }, { dispatch, rejectWithValue }) => {
+  async ({ auction, address }, { dispatch, rejectWithValue }) => {
     try {
-      await api.cancelAuction(auctionId, walletAddress);
-      dispatch(fetchAuctions(true));
-      return { auctionId };
+      if (auction.onchain_auction_id == null) {
+        await dispatch(apiSlice.endpoints.cancelAuction.initiate({
+          auctionId: auction.id,
+          walletAddress: address,
+        })).unwrap();
+        return;
+      }
+      const { transactionHash } = await sendCancelOnChainAuction(auction.onchain_auction_id);
+      dispatch(trackTransaction({
+        hash: transactionHash,
+        kind: 'cancelAuction',
+        description: `Cancel auction #${auction.id}`,
+        params: { auctionId: auction.id, address },
+      }));
     } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(getErrorMessage(error, 'Failed to cancel auction'));
     }
   }
 );
 
 // =============================================================================
-// INITIAL STATE
+// SLICE DEFINITION
 // =============================================================================
 
 const initialState = {
-  auctions: [],
-  currentAuction: null,
-  loading: false,
-  actionLoading: false,
-  error: null,
+  liveStatus: 'idle', // 'idle' | 'connecting' | 'live' | 'reconnecting'
+  outbid: null, // { auctionId, amount } when the viewer's bid was beaten
 };
 
-// =============================================================================
-// SLICE DEFINITION
-// =============================================================================
-
 const auctionsSlice = createSlice({
   name: 'auctions',
   initialState,
   reducers: {
-    clearCurrentAuction: (state) => {
-      state.currentAuction = null;
+    // Leaving an auction page
+    clearLiveAuction: (state) => {
+      state.liveStatus = 'idle';
+      state.outbid = null;
     },
-    clearError: (state) => {
-      state.error = null;
+    setLiveStatus: (state, action) => {
+      state.liveStatus = action.payload;
     },
-    setActionLoading: (state, action) => {
-      state.actionLoading = action.payload;
+    dismissOutbid: (state) => {
+      state.outbid = null;
     },
   },
   extraReducers: (builder) => {
     builder
-      // Fetch all auctions
-      .addCase(fetchAuctions.pending, (state) => {
-        state.loading = true;
-        state.error = null;
-      })
-      .addCase(fetchAuctions.fulfilled, (state, action) => {
-        state.loading = false;
-        state.auctions = action.payload;
-      })
-      .addCase(fetchAuctions.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      })
-      // Fetch single auction
-      .addCase(fetchAuction.pending, (state) => {
-        state.loading = true;
-      })
-      .addCase(fetchAuction.fulfilled, (state, action) => {
-        state.loading = false;
-        state.currentAuction = action.payload;
-      })
-      .addCase(fetchAuction.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      })
-      // Create auction
-      .addCase(createAuction.pending, (state) => {
-        state.actionLoading = true;
-        state.error = null;
-      })
-      .addCase(createAuction.fulfilled, (state, action) => {
-        state.actionLoading = false;
-        state.currentAuction = action.payload;
-      })
-      .addCase(createAuction.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Place bid
-      .addCase(placeBid.pending, (state) => {
-        state.actionLoading = true;
-        state.error = null;
-      })
-      .addCase(placeBid.fulfilled, (state) => {
-        state.actionLoading = false;
-      })
-      .addCase(placeBid.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Buyout auction
-      .addCase(buyoutAuction.pending, (state) => {
-        state.actionLoading = true;
-        state.error = null;
-      })
-      .addCase(buyoutAuction.fulfilled, (state, action) => {
-        state.actionLoading = false;
-        state.currentAuction = action.payload;
-      })
-      .addCase(buyoutAuction.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Close auction
-      .addCase(closeAuction.pending, (state) => {
-        state.actionLoading = true;
-      })
-      .addCase(closeAuction.fulfilled, (state, action) => {
-        state.actionLoading = false;
-        state.currentAuction = action.payload;
-      })
-      .addCase(closeAuction.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Cancel auction
-      .addCase(cancelAuction.pending, (state) => {
-        state.actionLoading = true;
-      })
-      .addCase(cancelAuction.fulfilled, (state) => {
-        state.actionLoading = false;
-        state.currentAuction = null;
-      })
-      .addCase(cancelAuction.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
+      .addCase(auctionEventReceived.fulfilled, (state, action) => {
+        if (action.payload.outbid) {
+          state.outbid = action.payload.outbid;
+        }
       });
   },
 });
@@ -260,22 +204,16 @@ const auctionsSlice = createSlice({
 // EXPORTS
 // =============================================================================
 
-export const { clearCurrentAuction, clearError, setActionLoading } = auctionsSlice.actions;
+export const {
+  clearLiveAuction,
+  setLiveStatus,
+  dismissOutbid,
+} = auctionsSlice.actions;
 export default auctionsSlice.reducer;
 
 // =============================================================================
 // SELECTORS
 // =============================================================================
 
-export const selectAuctions = (state) => state.auctions.auctions;
-export const selectCurrentAuction = (state) => state.auctions.currentAuction;
-export const selectAuctionsLoading = (state) => state.auctions.loading;
-export const selectActionLoading = (state) => state.auctions.actionLoading;
-export const selectAuctionsError = (state) => state.auctions.error;
-
-// Derived selectors
-export const selectActiveAuctions = (state) =>
-  state.auctions.auctions.filter((a) => a.status === 'active');
-
-export const selectAuctionsWithBuyout = (state) =>
-  state.auctions.auctions.filter((a) => a.buyout_price !== null);
+export const selectLiveStatus = (state) => state.auctions.liveStatus;
+export const selectOutbid = (state) => state.auctions.outbid;
@@ -1,78 +1,19 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import * as api from '../../services/api';
-import { getPriceWithDiscount } from '../../services/web3';
+import { getFlagPricing, serializePricing } from '../../services/pricing';
 
-// Async thunks
-export const fetchFlag = createAsyncThunk(
-  'flags/fetchOne',
-  async (id, { rejectWithValue }) => {
-    try {
-      const data = await api.getFlag(id);
-      return data;
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const fetchPopularFlags = createAsyncThunk(
-  'flags/fetchPopular',
-  async (limit = 4, { rejectWithValue }) => {
-    try {
-      const data = await api.getPopularFlags(limit);
-      return data.map(r => r.flag);
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const fetchDiscountedPrice = createAsyncThunk(
-  'flags/fetchDiscountedPrice',
-  async ({ flagId, address }, { rejectWithValue }) => {
-    try {
-      const price = await getPriceWithDiscount(flagId, address);
-      return { flagId, price };
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const registerInterest = createAsyncThunk(
-  'flags/registerInterest',
-  async ({ flagId, address }, { dispatch, rejectWithValue }) => {
-    try {
-      await api.registerInterest(flagId, address);
-      // Refetch flag to update interests
-      dispatch(fetchFlag(flagId));
-      return { flagId, address };
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
+// Flag records, interests and claims go through the query layer (apiSlice)
 
-export const claimFirstNFT = createAsyncThunk(
-  'flags/claimFirst',
-  async ({ flagId, address, transactionHash }, { dispatch, rejectWithValue }) => {
-    try {
-      await api.claimFirstNFT(flagId, address, transactionHash);
-      dispatch(fetchFlag(flagId));
-      return { flagId };
-    } catch (error) {
-      return rejectWithValue(error.message);
-    }
-  }
-);
-
-export const purchaseSecondNFT = createAsyncThunk(
-  'flags/purchaseSecond',
-  async ({ flagId, address, transactionHash }, { dispatch, rejectWithValue }) => {
+// Async thunks
+/**
+ * Read on-chain pricing (total, discount tier) for a flag.
+ * Amounts are stored as wei strings; convert with BigInt() before use.
+ */
+export const fetchFlagPricing = createAsyncThunk(
+  'flags/fetchPricing',
+  async ({ flagId, address = null }, { rejectWithValue }) => {
     try {
-      await api.purchaseSecondNFT(flagId, address, transactionHash);
-      dispatch(fetchFlag(flagId));
-      return { flagId };
+      const pricing = await getFlagPricing(flagId, address);
+      return { flagId, pricing: serializePricing(pricing) };
     } catch (error) {
       return rejectWithValue(error.message);
     }
@@ -80,102 +21,30 @@ export const purchaseSecondNFT = createAsyncThunk(
 );
 
 const initialState = {
-  currentFlag: null,
-  popularFlags: [],
-  discountedPrices: {},
-  loading: false,
-  actionLoading: false,
-  error: null,
+  // On-chain pricing by flag ID (wei strings), see services/pricing
+  pricing: {},
 };
 
 const flagsSlice = createSlice({
   name: 'flags',
   initialState,
   reducers: {
-    clearCurrentFlag: (state) => {
-      state.currentFlag = null;
-    },
-    clearError: (state) => {
-      state.error = null;
-    },
-    setActionLoading: (state, action) => {
-      state.actionLoading = action.payload;
+    // Discounts depend on the connected account
+    clearFlagPricing: (state) => {
+      state.pricing = {};
     },
   },
   extraReducers: (builder) => {
     builder
-      // Fetch single flag
-      .addCase(fetchFlag.pending, (state) => {
-        state.loading = true;
-        state.error = null;
-      })
-      .addCase(fetchFlag.fulfilled, (state, action) => {
-        state.loading = false;
-        state.currentFlag = action.payload;
-      })
-      .addCase(fetchFlag.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      })
-      // Fetch popular flags
-      .addCase(fetchPopularFlags.pending, (state) => {
-        state.loading = true;
-      })
-      .addCase(fetchPopularFlags.fulfilled, (state, action) => {
-        state.loading = false;
-        state.popularFlags = action.payload;
-      })
-      .addCase(fetchPopularFlags.rejected, (state, action) => {
-        state.loading = false;
-        state.error = action.payload;
-      })
-      // Fetch discounted price
-      .addCase(fetchDiscountedPrice.fulfilled, (state, action) => {
-        state.discountedPrices[action.payload.flagId] = action.payload.price;
-      })
-      // Register interest
-      .addCase(registerInterest.pending, (state) => {
-        state.actionLoading = true;
-      })
-      .addCase(registerInterest.fulfilled, (state) => {
-        state.actionLoading = false;
-      })
-      .addCase(registerInterest.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Claim first NFT
-      .addCase(claimFirstNFT.pending, (state) => {
-        state.actionLoading = true;
-      })
-      .addCase(claimFirstNFT.fulfilled, (state) => {
-        state.actionLoading = false;
-      })
-      .addCase(claimFirstNFT.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
-      })
-      // Purchase second NFT
-      .addCase(purchaseSecondNFT.pending, (state) => {
-        state.actionLoading = true;
-      })
-      .addCase(purchaseSecondNFT.fulfilled, (state) => {
-        state.actionLoading = false;
-      })
-      .addCase(purchaseSecondNFT.rejected, (state, action) => {
-        state.actionLoading = false;
-        state.error = action.payload;
+      // Fetch on-chain pricing
+      .addCase(fetchFlagPricing.fulfilled, (state, action) => {
+        state.pricing[action.payload.flagId] = action.payload.pricing;
       });
   },
 });
 
-export const { clearCurrentFlag, clearError, setActionLoading } = flagsSlice.actions;
+export const { clearFlagPricing } = flagsSlice.actions;
 export default flagsSlice.reducer;
 
 // Selectors
-export const selectCurrentFlag = (state) => state.flags.currentFlag;
-export const selectPopularFlags = (state) => state.flags.popularFlags;
-export const selectFlagsLoading = (state) => state.flags.loading;
-export const selectActionLoading = (state) => state.flags.actionLoading;
-export const selectFlagsError = (state) => state.flags.error;
-export const selectDiscountedPrice = (flagId) => (state) => state.flags.discountedPrices[flagId];
+export const selectFlagPricing = (flagId) => (state) => state.flags.pricing[flagId];
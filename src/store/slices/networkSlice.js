@@ -0,0 +1,135 @@
+/**
+ * Redux slice for the active network.
+ *
+ * NETWORK SWITCHING:
+ * - switchAppNetwork makes another registered network active in config, so
+ *   RPC, contract and API calls go to that network from then on
+ * - Network-bound slices are partitioned (partitionByNetwork): the state of the
+ *   network being left is kept as a snapshot and restored when switching back,
+ *   and a network visited for the first time starts from the slices' initial state
+ * - The query cache (apiSlice) is emptied instead, pages refetch from the new backend
+ * - The connected wallet is asked to follow, and its session and transactions
+ *   for the new network are reloaded
+ */
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import config from '../../config';
+import { isWalletAvailable } from '../../services/web3';
+import { connectWallet, setWalletAvailable } from './walletSlice';
+import { resumeTransactions } from './transactionsSlice';
+import { apiSlice } from './apiSlice';
+
+// =============================================================================
+// ASYNC THUNKS
+// =============================================================================
+
+/**
+ * Make another configured network active
+ * @param {number} chainId - Chain ID of an entry in config.networks
+ */
+export const switchAppNetwork = createAsyncThunk(
+  'network/switch',
+  async (chainId, { getState, dispatch, rejectWithValue }) => {
+    const from = config.chainId;
+    if (chainId === from) return chainId;
+
+    try {
+      config.setActiveNetwork(chainId);
+    } catch (error) {
+      return rejectWithValue(error.message);
+    }
+    dispatch(networkSwitched({ from, to: chainId }));
+    dispatch(apiSlice.util.resetApiState());
+    // Dev signer accounts are only offered on local chains
+    dispatch(setWalletAvailable(isWalletAvailable()));
+
+    // Sessions and users live in each network's backend; a declined wallet switch
+    // leaves the wallet connected with the wrong network banner shown
+    if (getState().wallet.isConnected) {
+      await dispatch(connectWallet({ requireSession: false }));
+    }
+    dispatch(resumeTransactions());
+    return chainId;
+  }
+);
+
+// =============================================================================
+// SLICE
+// =============================================================================
+
+const initialState = {
+  chainId: config.chainId,
+  isSwitching: false,
+  error: null,
+  // Network-bound slice states of the networks not in use, by chain ID
+  snapshots: {},
+};
+
+const networkSlice = createSlice({
+  name: 'network',
+  initialState,
+  reducers: {
+    // Handled by partitionByNetwork as well, which swaps the network-bound slices
+    networkSwitched: (state, action) => {
+      state.chainId = action.payload.to;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(switchAppNetwork.pending, (state) => {
+        state.isSwitching = true;
+        state.error = null;
+      })
+      .addCase(switchAppNetwork.fulfilled, (state) => {
+        state.isSwitching = false;
+      })
+      .addCase(switchAppNetwork.rejected, (state, action) => {
+        state.isSwitching = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export const { networkSwitched } = networkSlice.actions;
+export default networkSlice.reducer;
+
+/**
+ * Wrap the root reducer so the given slices are kept per network.
+ * On networkSwitched the current values are stored under the old chain ID and
+ * the new network's snapshot (or a fresh initial state) takes their place.
+ * @param {Function} reducer - Root reducer containing a `network` slice
+ * @param {string[]} sliceNames - Keys of the network-bound slices
+ */
+export const partitionByNetwork = (reducer, sliceNames) => (state, action) => {
+  if (state && networkSwitched.match(action)) {
+    const { from, to } = action.payload;
+    const { [to]: restored = {}, ...snapshots } = state.network.snapshots;
+
+    const nextState = {
+      ...state,
+      network: {
+        ...state.network,
+        snapshots: {
+          ...snapshots,
+          [from]: Object.fromEntries(sliceNames.map((name) => [name, state[name]])),
+        },
+      },
+    };
+    // An undefined slice state makes the slice reducer start from its initial state
+    sliceNames.forEach((name) => {
+      nextState[name] = restored[name];
+    });
+    return reducer(nextState, action);
+  }
+  return reducer(state, action);
+};
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectNetworkChainId = (state) => state.network.chainId;
+export const selectIsSwitchingNetwork = (state) => state.network.isSwitching;
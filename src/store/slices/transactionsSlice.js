@@ -0,0 +1,263 @@
+/**
+ * Redux slice for tracking blockchain transactions.
+ *
+ * TRANSACTION LIFECYCLE:
+ * - Pages submit a transaction via services/web3 and hand its hash to trackTransaction
+ * - The hash is persisted, so a reload or closed tab resumes waiting (resumeTransactions)
+ * - Once mined, the matching backend call (CONFIRM_HANDLERS) registers the result,
+ *   keeping the database in step with the chain
+ * - A confirmed transaction whose backend call failed stays stored and can be retried
+ * - Only a transaction that reverted, was replaced or was dropped by the network is
+ *   removed; when waiting fails for another reason (RPC timeout, lost connection)
+ *   it stays stored as pending and is watched again
+ * - A transaction sped up in the wallet is registered with its replacement's hash
+ * - Dismissing a toast forgets the transaction, also after a reload
+ */
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { waitForTransaction, getBlockNumber } from '../../services/web3';
+import config from '../../config';
+import { apiSlice } from './apiSlice';
+
+// Stored per network, suffixed with the chain ID
+const TRANSACTIONS_STORAGE_KEY = 'municipalFlag.transactions';
+
+/**
+ * Backend registration for each transaction kind, run after confirmation.
+ * Receives the params passed to trackTransaction and the transaction hash.
+ */
+const CONFIRM_HANDLERS = {
+  claimFirst: ({ flagId, address }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.claimFirstNFT.initiate({ flagId, address, transactionHash })).unwrap(),
+  purchaseSecond: ({ flagId, address }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.purchaseSecondNFT.initiate({ flagId, address, transactionHash })).unwrap(),
+  placeBid: ({ auctionId, address, amount, bidderCategory }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.placeBid.initiate({
+      auctionId, walletAddress: address, amount, bidderCategory, transactionHash,
+    })).unwrap(),
+  buyoutAuction: ({ auctionId, address }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.buyoutAuction.initiate({ auctionId, walletAddress: address, transactionHash })).unwrap(),
+  settleAuction: ({ auctionId }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.closeAuction.initiate({ auctionId, transactionHash })).unwrap(),
+  cancelAuction: ({ auctionId, address }, transactionHash, dispatch) =>
+    dispatch(apiSlice.endpoints.cancelAuction.initiate({ auctionId, walletAddress: address, transactionHash })).unwrap(),
+};
+
+// =============================================================================
+// STORAGE
+// =============================================================================
+
+const getStorageKey = (chainId = config.chainId) => `${TRANSACTIONS_STORAGE_KEY}.${chainId}`;
+
+const loadStoredTransactions = (chainId) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getStorageKey(chainId)));
+    return Array.isArray(stored) ? stored : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveStoredTransactions = (transactions, chainId) => {
+  try {
+    if (transactions.length > 0) {
+      localStorage.setItem(getStorageKey(chainId), JSON.stringify(transactions));
+    } else {
+      localStorage.removeItem(getStorageKey(chainId));
+    }
+  } catch {
+    // Storage unavailable (private mode) - transactions can't be resumed after a reload
+  }
+};
+
+const storeTransaction = (transaction, chainId) => {
+  const others = loadStoredTransactions(chainId).filter((t) => t.hash !== transaction.hash);
+  saveStoredTransactions([...others, transaction], chainId);
+};
+
+const removeStoredTransaction = (hash, chainId) => {
+  saveStoredTransactions(loadStoredTransactions(chainId).filter((t) => t.hash !== hash), chainId);
+};
+
+// =============================================================================
+// ASYNC THUNKS
+// =============================================================================
+
+/**
+ * Wait for a tracked transaction and run its backend registration
+ */
+export const watchTransaction = createAsyncThunk(
+  'transactions/watch',
+  async (hash, { getState, dispatch, rejectWithValue }) => {
+    const transaction = getState().transactions.items.find((t) => t.hash === hash);
+    if (!transaction) {
+      return rejectWithValue('Unknown transaction');
+    }
+    // The network may be switched while waiting; storage stays with the transaction's network
+    const { chainId } = config;
+
+    let receipt;
+    try {
+      receipt = await waitForTransaction(hash, 1, transaction.startBlock ?? null);
+    } catch (error) {
+      if (error.reverted || error.replaced || error.dropped) {
+        removeStoredTransaction(hash, chainId);
+        return rejectWithValue(error.message);
+      }
+      // Outcome unknown - the entry stays stored, so the next resume waits for it again
+      return rejectWithValue(`Could not confirm: ${error.message}`, { unconfirmed: true });
+    }
+
+    const handler = CONFIRM_HANDLERS[transaction.kind];
+    try {
+      if (handler && config.chainId !== chainId) {
+        // The backend of the current network doesn't know this transaction
+        throw new Error('Network switched before the transaction was recorded');
+      }
+      if (handler) {
+        // A sped-up transaction was mined under its replacement's hash
+        await handler(transaction.params, receipt.hash, dispatch);
+      }
+      removeStoredTransaction(hash, chainId);
+      return { hash, syncError: null };
+    } catch (error) {
+      // Mined but not recorded - keep it stored so the registration is retried,
+      // unless it was dismissed meanwhile
+      const syncError = error.message || error;
+      if (getState().transactions.items.some((t) => t.hash === hash)) {
+        storeTransaction({ ...transaction, status: 'confirmed', syncError }, chainId);
+      }
+      return { hash, syncError };
+    }
+  }
+);
+
+/**
+ * Start tracking a submitted transaction
+ * @param {Object} params
+ * @param {string} params.hash - Transaction hash
+ * @param {string} params.kind - Key of CONFIRM_HANDLERS, or any label for chain-only transactions
+ * @param {string} params.description - Shown in the toast
+ * @param {Object} [params.params] - Passed to the confirm handler
+ */
+export const trackTransaction = createAsyncThunk(
+  'transactions/track',
+  async ({ hash, kind, description, params = {} }, { dispatch }) => {
+    let startBlock = null;
+    try {
+      startBlock = await getBlockNumber();
+    } catch {
+      // Waiting still works, only a replacement in the wallet goes unnoticed
+    }
+    const transaction = {
+      hash,
+      kind,
+      description,
+      params,
+      startBlock,
+      status: 'pending',
+      syncError: null,
+      createdAt: Date.now(),
+    };
+    storeTransaction(transaction);
+    dispatch(transactionAdded(transaction));
+    return dispatch(watchTransaction(hash)).unwrap();
+  }
+);
+
+/**
+ * Resume transactions stored before a reload. Dispatch once the wallet
+ * session is restored, since backend registration is wallet-scoped.
+ */
+export const resumeTransactions = createAsyncThunk(
+  'transactions/resume',
+  async (_, { getState, dispatch }) => {
+    const pending = getState().transactions.items.filter(
+      (t) => t.status === 'pending' || t.status === 'unconfirmed' || (t.status === 'confirmed' && t.syncError)
+    );
+    pending.forEach((t) => dispatch(watchTransaction(t.hash)));
+    return pending.length;
+  }
+);
+
+/**
+ * Stop showing a transaction and forget it, so a reload doesn't bring it back
+ */
+export const dismissTransaction = createAsyncThunk(
+  'transactions/dismiss',
+  async (hash) => {
+    removeStoredTransaction(hash);
+    return hash;
+  }
+);
+
+// =============================================================================
+// SLICE
+// =============================================================================
+
+// Lazy, so a network visited for the first time loads its own stored transactions
+const initialState = () => ({
+  // Newest first
+  items: loadStoredTransactions().sort((a, b) => b.createdAt - a.createdAt),
+});
+
+const transactionsSlice = createSlice({
+  name: 'transactions',
+  initialState,
+  reducers: {
+    transactionAdded: (state, action) => {
+      state.items = [action.payload, ...state.items.filter((t) => t.hash !== action.payload.hash)];
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(dismissTransaction.fulfilled, (state, action) => {
+        state.items = state.items.filter((t) => t.hash !== action.payload);
+      })
+      .addCase(watchTransaction.pending, (state, action) => {
+        const transaction = state.items.find((t) => t.hash === action.meta.arg);
+        if (transaction) {
+          transaction.status = 'pending';
+          transaction.syncError = null;
+        }
+      })
+      .addCase(watchTransaction.fulfilled, (state, action) => {
+        const transaction = state.items.find((t) => t.hash === action.payload.hash);
+        if (transaction) {
+          transaction.status = 'confirmed';
+          transaction.syncError = action.payload.syncError;
+        }
+      })
+      .addCase(watchTransaction.rejected, (state, action) => {
+        const transaction = state.items.find((t) => t.hash === action.meta.arg);
+        if (transaction) {
+          transaction.status = action.meta.unconfirmed ? 'unconfirmed' : 'failed';
+          transaction.error = action.payload;
+        }
+      });
+  },
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+export const { transactionAdded } = transactionsSlice.actions;
+export default transactionsSlice.reducer;
+
+// =============================================================================
+// SELECTORS
+// =============================================================================
+
+export const selectTransactions = (state) => state.transactions.items;
+
+// Derived selectors
+export const selectPendingTransaction = (kind, flagId) => (state) =>
+  state.transactions.items.find(
+    (t) => t.kind === kind && t.params?.flagId === flagId && (t.status === 'pending' || t.status === 'unconfirmed')
+  );
+
+// Any unfinished transaction of an auction (bid, buyout, settle, cancel)
+export const selectPendingAuctionTransaction = (auctionId) => (state) =>
+  state.transactions.items.find(
+    (t) => t.params?.auctionId === auctionId && (t.status === 'pending' || t.status === 'unconfirmed')
+  );
@@ -1,64 +1,170 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import * as api from '../../services/api';
+import { apiSlice } from './apiSlice';
+import { transferToken, getOwnedFlagTokens, getTokenOwner, getErrorMessage } from '../../services/web3';
+
+// Profiles, owned flags and interests are queries in apiSlice (getUser, getUserFlags, getUserInterests)
+
+/**
+ * Owned flags of a wallet from the query cache, fetched when not cached
+ */
+const loadUserFlags = async (dispatch, address, forceRefetch = false) => {
+  const request = dispatch(apiSlice.endpoints.getUserFlags.initiate(address, { forceRefetch }));
+  try {
+    return await request.unwrap();
+  } finally {
+    request.unsubscribe();
+  }
+};
 
 // Async thunks
-export const fetchUserProfile = createAsyncThunk(
-  'user/fetchProfile',
-  async (address, { rejectWithValue }) => {
+/**
+ * Transfer (or gift) an owned flag NFT to another wallet.
+ * The ownership is removed from the cached list optimistically and restored if
+ * the transaction fails. It stays hidden from refetched lists until the backend
+ * has recorded the transfer. Once the transfer is mined the chain is authoritative,
+ * so a failed backend sync is reported but not rolled back.
+ * @param {Object} params
+ * @param {Object} params.ownership - Ownership record from the user's flags
+ * @param {string} params.from - Sender's wallet address
+ * @param {string} params.to - Resolved recipient address
+ */
+export const transferFlag = createAsyncThunk(
+  'user/transferFlag',
+  async ({ ownership, from, to }, { getState, dispatch, rejectWithValue }) => {
+    // Cached under whichever casing of the address the profile was opened with
+    const optimistic = apiSlice.util
+      .selectInvalidatedBy(getState(), [{ type: 'User', id: from.toLowerCase() }])
+      .filter(({ endpointName }) => endpointName === 'getUserFlags')
+      .map(({ originalArgs }) => dispatch(apiSlice.util.updateQueryData('getUserFlags', originalArgs, (flags) => {
+        const index = flags.findIndex((f) => f.id === ownership.id);
+        if (index !== -1) flags.splice(index, 1);
+      })));
+
+    let result;
     try {
-      const data = await api.getUser(address);
-      return data;
+      result = await transferToken(ownership.token_id, to);
     } catch (error) {
-      return rejectWithValue(error.message);
+      optimistic.forEach((patch) => patch.undo());
+      // null when the user cancelled in the wallet
+      return rejectWithValue(getErrorMessage(error, 'Transfer failed'));
     }
-  }
-);
 
-export const fetchUserFlags = createAsyncThunk(
-  'user/fetchFlags',
-  async (address, { rejectWithValue }) => {
+    let syncError = null;
     try {
-      const data = await api.getUserFlags(address);
-      return data;
+      await api.transferFlag(ownership.flag_id, from, {
+        to,
+        tokenId: ownership.token_id.toString(),
+        transactionHash: result.transactionHash,
+      });
     } catch (error) {
-      return rejectWithValue(error.message);
+      syncError = error.message;
+    }
+
+    // Without a sync the backend still lists the flag here, so keep the optimistic list
+    if (!syncError) {
+      dispatch(apiSlice.util.invalidateTags([
+        { type: 'User', id: from.toLowerCase() },
+        { type: 'User', id: to.toLowerCase() },
+        { type: 'Flag', id: ownership.flag_id },
+        'Ranking',
+      ]));
     }
+    return { ownershipId: ownership.id, transactionHash: result.transactionHash, syncError };
   }
 );
 
-export const fetchUserInterests = createAsyncThunk(
-  'user/fetchInterests',
-  async (address, { rejectWithValue }) => {
+/**
+ * Compare a wallet's on-chain tokens with its backend ownerships.
+ * Mismatch statuses:
+ * - missing_in_db: token is owned on-chain but the backend has no record
+ * - transferred_away: backend record whose token now belongs to another wallet
+ * - stale_in_db: backend record with no matching token on-chain
+ */
+const reconcileTokens = async (address, chainTokens, ownerships) => {
+  const unmatched = [...chainTokens];
+  const mismatches = [];
+  let matched = 0;
+
+  for (const ownership of ownerships) {
+    const isMatch = ownership.token_id != null
+      ? (t) => t.tokenId === ownership.token_id.toString()
+      : (t) => t.flagId === ownership.flag_id.toString() && t.ownershipType === ownership.ownership_type;
+
+    // Records without a token ID cover every token of that flag side (multi-NFT flags)
+    const before = unmatched.length;
+    for (let i = unmatched.length - 1; i >= 0; i--) {
+      if (isMatch(unmatched[i])) unmatched.splice(i, 1);
+    }
+    if (unmatched.length < before) {
+      matched += 1;
+      continue;
+    }
+
+    const currentOwner = ownership.token_id != null ? await getTokenOwner(ownership.token_id) : null;
+    if (currentOwner && currentOwner.toLowerCase() !== address.toLowerCase()) {
+      mismatches.push({ status: 'transferred_away', ownership, currentOwner });
+    } else {
+      mismatches.push({ status: 'stale_in_db', ownership });
+    }
+  }
+
+  unmatched.forEach((token) => mismatches.push({ status: 'missing_in_db', token }));
+
+  return { address, checkedAt: new Date().toISOString(), chainCount: chainTokens.length, matched, mismatches };
+};
+
+/**
+ * Reconcile the wallet's backend flags (as cached for its profile) against the chain
+ */
+export const reconcileOwnership = createAsyncThunk(
+  'user/reconcileOwnership',
+  async (address, { dispatch, rejectWithValue }) => {
     try {
-      const data = await api.getUserInterests(address);
-      return data;
+      const [chainTokens, ownerships] = await Promise.all([
+        getOwnedFlagTokens(address),
+        loadUserFlags(dispatch, address),
+      ]);
+      return await reconcileTokens(address, chainTokens, ownerships);
     } catch (error) {
-      return rejectWithValue(error.message);
+      // Query errors are plain messages
+      return rejectWithValue(error.message || error);
     }
   }
 );
 
-export const fetchUserData = createAsyncThunk(
-  'user/fetchAll',
+/**
+ * Push the on-chain ownerships to the backend, then reload and re-check
+ */
+export const resyncOwnership = createAsyncThunk(
+  'user/resyncOwnership',
   async (address, { dispatch, rejectWithValue }) => {
     try {
-      const [profile, flags, interests] = await Promise.all([
-        api.getUser(address),
-        api.getUserFlags(address),
-        api.getUserInterests(address),
-      ]);
-      return { profile, flags, interests };
+      const chainTokens = await getOwnedFlagTokens(address);
+      await api.resyncUserOwnerships(
+        address,
+        chainTokens.map((t) => ({
+          token_id: t.tokenId,
+          flag_id: Number(t.flagId),
+          ownership_type: t.ownershipType,
+        }))
+      );
+      dispatch(apiSlice.util.invalidateTags([{ type: 'User', id: address.toLowerCase() }, 'Flag', 'Ranking']));
+      const ownerships = await loadUserFlags(dispatch, address, true);
+      return await reconcileTokens(address, chainTokens, ownerships);
     } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(error.message || error);
     }
   }
 );
 
 const initialState = {
-  profile: null,
-  flags: [],
-  interests: [],
-  loading: false,
+  // Chain vs backend ownership comparison
+  reconciliation: null,
+  reconciling: false,
+  resyncing: false,
+  // Ownerships transferred away that the backend has not recorded yet
+  transferredOwnershipIds: [],
   error: null,
 };
 
@@ -67,9 +173,7 @@ const userSlice = createSlice({
   initialState,
   reducers: {
     clearUserData: (state) => {
-      state.profile = null;
-      state.flags = [];
-      state.interests = [];
+      state.reconciliation = null;
       state.error = null;
     },
     clearError: (state) => {
@@ -78,40 +182,45 @@ const userSlice = createSlice({
   },
   extraReducers: (builder) => {
     builder
-      // Fetch all user data
-      .addCase(fetchUserData.pending, (state) => {
-        state.loading = true;
-        state.error = null;
+      // Transfer flag (optimistic update happens in the query cache)
+      .addCase(transferFlag.pending, (state, action) => {
+        state.transferredOwnershipIds.push(action.meta.arg.ownership.id);
       })
-      .addCase(fetchUserData.fulfilled, (state, action) => {
-        state.loading = false;
-        state.profile = action.payload.profile;
-        state.flags = action.payload.flags;
-        state.interests = action.payload.interests;
+      .addCase(transferFlag.fulfilled, (state, action) => {
+        // Recorded by the backend: refetched lists no longer contain it
+        if (!action.payload.syncError) {
+          state.transferredOwnershipIds = state.transferredOwnershipIds
+            .filter((id) => id !== action.payload.ownershipId);
+        }
       })
-      .addCase(fetchUserData.rejected, (state, action) => {
-        state.loading = false;
+      .addCase(transferFlag.rejected, (state, action) => {
+        state.transferredOwnershipIds = state.transferredOwnershipIds
+          .filter((id) => id !== action.meta.arg.ownership.id);
         state.error = action.payload;
       })
-      // Fetch profile
-      .addCase(fetchUserProfile.pending, (state) => {
-        state.loading = true;
+      // Reconcile ownership
+      .addCase(reconcileOwnership.pending, (state) => {
+        state.reconciling = true;
       })
-      .addCase(fetchUserProfile.fulfilled, (state, action) => {
-        state.loading = false;
-        state.profile = action.payload;
+      .addCase(reconcileOwnership.fulfilled, (state, action) => {
+        state.reconciling = false;
+        state.reconciliation = action.payload;
       })
-      .addCase(fetchUserProfile.rejected, (state, action) => {
-        state.loading = false;
+      .addCase(reconcileOwnership.rejected, (state, action) => {
+        state.reconciling = false;
         state.error = action.payload;
       })
-      // Fetch flags
-      .addCase(fetchUserFlags.fulfilled, (state, action) => {
-        state.flags = action.payload;
+      // Resync ownership
+      .addCase(resyncOwnership.pending, (state) => {
+        state.resyncing = true;
+      })
+      .addCase(resyncOwnership.fulfilled, (state, action) => {
+        state.resyncing = false;
+        state.reconciliation = action.payload;
       })
-      // Fetch interests
-      .addCase(fetchUserInterests.fulfilled, (state, action) => {
-        state.interests = action.payload;
+      .addCase(resyncOwnership.rejected, (state, action) => {
+        state.resyncing = false;
+        state.error = action.payload;
       });
   },
 });
@@ -120,8 +229,7 @@ export const { clearUserData, clearError } = userSlice.actions;
 export default userSlice.reducer;
 
 // Selectors
-export const selectUserProfile = (state) => state.user.profile;
-export const selectUserFlags = (state) => state.user.flags;
-export const selectUserInterests = (state) => state.user.interests;
-export const selectUserLoading = (state) => state.user.loading;
 export const selectUserError = (state) => state.user.error;
+export const selectReconciliation = (state) => state.user.reconciliation;
+export const selectReconciling = (state) => state.user.reconciling;
+export const selectResyncing = (state) => state.user.resyncing;
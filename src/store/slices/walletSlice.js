@@ -1,23 +1,133 @@
 import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
 import {
-  isMetaMaskInstalled,
+  isWalletAvailable,
   connectWallet as web3Connect,
   getCurrentAddress,
-  onAccountsChanged,
-  onChainChanged,
-  removeListeners,
+  signSiweMessage,
+  ensureCorrectNetwork,
+  getBalance,
+  isUserRejection,
 } from '../../services/web3';
-import { createOrGetUser } from '../../services/api';
+import { restoreWallet, deactivateWallet, getActiveWalletId } from '../../services/wallets';
+import {
+  createOrGetUser,
+  getAuthNonce,
+  verifySiwe,
+  logoutSession,
+  setSession,
+  getSession,
+  isSessionValid,
+} from '../../services/api';
+import config from '../../config';
+
+// SIWE session persisted across reloads so users don't re-sign on every visit.
+// Each network has its own backend, so sessions are stored per chain ID.
+const SESSION_STORAGE_KEY = 'municipalFlag.session';
+
+const getSessionStorageKey = () => `${SESSION_STORAGE_KEY}.${config.chainId}`;
+
+const loadStoredSession = (address) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(getSessionStorageKey()));
+    if (stored?.address?.toLowerCase() === address.toLowerCase() && isSessionValid(stored)) {
+      return stored;
+    }
+  } catch {
+    // Corrupt or inaccessible storage - fall through to a fresh sign-in
+  }
+  return null;
+};
+
+const storeSession = (value) => {
+  try {
+    if (value) {
+      localStorage.setItem(getSessionStorageKey(), JSON.stringify(value));
+    } else {
+      localStorage.removeItem(getSessionStorageKey());
+    }
+  } catch {
+    // Storage unavailable (private mode) - session lives in memory only
+  }
+};
 
 // Async thunks
+
+/**
+ * Sign-In With Ethereum: request a nonce, sign it with the wallet and
+ * exchange the signature for a session token used by wallet-scoped API calls.
+ */
+export const signIn = createAsyncThunk(
+  'wallet/signIn',
+  async (address, { rejectWithValue }) => {
+    try {
+      const { nonce } = await getAuthNonce(address);
+      const { message, signature } = await signSiweMessage(address, nonce);
+      const result = await verifySiwe(message, signature);
+
+      const session = { address, token: result.token, expiresAt: result.expires_at };
+      setSession(session);
+      storeSession(session);
+      return { address, expiresAt: session.expiresAt };
+    } catch (error) {
+      if (isUserRejection(error)) {
+        return rejectWithValue('Signature request was rejected');
+      }
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
+/**
+ * Re-sign for the connected address once the session token has expired.
+ * Registered with the API layer, which calls it before wallet-scoped requests.
+ */
+export const renewSession = createAsyncThunk(
+  'wallet/renewSession',
+  async (_, { getState, dispatch, rejectWithValue }) => {
+    const { address } = getState().wallet;
+    if (!address) {
+      return rejectWithValue('Please connect your wallet first');
+    }
+    try {
+      return await dispatch(signIn(address)).unwrap();
+    } catch (error) {
+      return rejectWithValue(error);
+    }
+  }
+);
+
+/**
+ * Connect the wallet and make sure it has a valid session.
+ * @param {Object} [options]
+ * @param {string} [options.walletId] - Wallet picked in the wallet picker;
+ *   defaults to the active wallet
+ * @param {boolean} [options.requireSession=true] - Prompt for a signature when no
+ *   stored session exists. Silent reconnects defer signing to the first
+ *   wallet-scoped request instead.
+ */
 export const connectWallet = createAsyncThunk(
   'wallet/connect',
-  async (_, { rejectWithValue }) => {
+  async ({ walletId = null, requireSession = true } = {}, { dispatch, rejectWithValue }) => {
     try {
-      if (!isMetaMaskInstalled()) {
-        throw new Error('Please install MetaMask to use this application');
+      if (!isWalletAvailable()) {
+        throw new Error('Please install a wallet to use this application');
+      }
+      // A declined network switch leaves the wallet connected in the wrong network state
+      const result = await web3Connect(walletId, { allowWrongNetwork: true });
+
+      // Reuse a stored session for this address, otherwise sign in
+      let sessionExpiresAt = null;
+      const storedSession = loadStoredSession(result.address);
+      if (storedSession) {
+        setSession(storedSession);
+        sessionExpiresAt = storedSession.expiresAt;
+      } else {
+        setSession(null);
+        if (requireSession) {
+          const session = await dispatch(signIn(result.address)).unwrap();
+          sessionExpiresAt = session.expiresAt;
+        }
       }
-      const result = await web3Connect();
 
       // Create or get user from backend
       let user = null;
@@ -31,10 +141,58 @@ export const connectWallet = createAsyncThunk(
         address: result.address,
         balance: result.balance,
         user,
+        sessionExpiresAt,
+        walletId: getActiveWalletId(),
+        chainId: result.chainId,
       };
     } catch (error) {
-      return rejectWithValue(error.message);
+      return rejectWithValue(error.message || error);
+    }
+  }
+);
+
+/**
+ * End the backend session and forget the wallet.
+ */
+export const signOut = createAsyncThunk(
+  'wallet/signOut',
+  async () => {
+    const session = getSession();
+    setSession(null);
+    storeSession(null);
+    await deactivateWallet();
+    if (session?.token) {
+      try {
+        await logoutSession(session.token);
+      } catch (apiError) {
+        console.warn('Could not end backend session:', apiError.message);
+      }
+    }
+    return null;
+  }
+);
+
+/**
+ * Handle the wallet reporting a different set of accounts.
+ * An empty list means the user disconnected the site; a new account
+ * needs its own session, so it is re-connected and re-signed.
+ */
+export const switchAccount = createAsyncThunk(
+  'wallet/switchAccount',
+  async (accounts, { getState, dispatch }) => {
+    const nextAddress = accounts?.[0] || null;
+    const { address } = getState().wallet;
+
+    if (!nextAddress) {
+      await dispatch(signOut());
+      return null;
+    }
+    if (nextAddress.toLowerCase() !== address?.toLowerCase()) {
+      setSession(null);
+      storeSession(null);
+      await dispatch(connectWallet());
     }
+    return nextAddress;
   }
 );
 
@@ -42,10 +200,12 @@ export const checkConnection = createAsyncThunk(
   'wallet/checkConnection',
   async (_, { dispatch, rejectWithValue }) => {
     try {
-      if (isMetaMaskInstalled()) {
+      // Reconnect the last used wallet if it still has this site authorized
+      const provider = await restoreWallet();
+      if (provider) {
         const currentAddress = await getCurrentAddress();
         if (currentAddress) {
-          return dispatch(connectWallet()).unwrap();
+          return dispatch(connectWallet({ requireSession: false })).unwrap();
         }
       }
       return null;
@@ -55,14 +215,32 @@ export const checkConnection = createAsyncThunk(
   }
 );
 
+/**
+ * Ask the wallet to switch to the network selected in the app.
+ * The resulting chainChanged event updates the state.
+ */
+export const switchNetwork = createAsyncThunk(
+  'wallet/switchNetwork',
+  async (_, { rejectWithValue }) => {
+    try {
+      await ensureCorrectNetwork();
+      return null;
+    } catch (error) {
+      if (isUserRejection(error)) {
+        return rejectWithValue('Network switch was rejected');
+      }
+      return rejectWithValue(error.message);
+    }
+  }
+);
+
 export const refreshBalance = createAsyncThunk(
   'wallet/refreshBalance',
   async (_, { getState, rejectWithValue }) => {
     try {
       const { address } = getState().wallet;
-      if (address && isMetaMaskInstalled()) {
-        const result = await web3Connect();
-        return result.balance;
+      if (address && getActiveWalletId()) {
+        return await getBalance(address);
       }
       return null;
     } catch (error) {
@@ -77,8 +255,16 @@ const initialState = {
   user: null,
   isConnecting: false,
   isConnected: false,
+  isAuthenticated: false,
+  isSigningIn: false,
+  sessionExpiresAt: null,
   error: null,
-  isMetaMaskInstalled: typeof window !== 'undefined' && typeof window.ethereum !== 'undefined',
+  walletId: null,
+  // Hex chain ID reported by the wallet
+  chainId: null,
+  isSwitchingNetwork: false,
+  isWalletAvailable: isWalletAvailable(),
+  isWalletPickerOpen: false,
 };
 
 const walletSlice = createSlice({
@@ -86,20 +272,38 @@ const walletSlice = createSlice({
   initialState,
   reducers: {
     disconnect: (state) => {
+      state.walletId = null;
+      state.chainId = null;
       state.address = null;
       state.balance = null;
       state.user = null;
       state.isConnected = false;
+      state.isAuthenticated = false;
+      state.sessionExpiresAt = null;
       state.error = null;
     },
+    chainChanged: (state, action) => {
+      state.chainId = action.payload;
+    },
+    sessionExpired: (state) => {
+      state.isAuthenticated = false;
+      state.sessionExpiresAt = null;
+    },
     updateUser: (state, action) => {
       state.user = action.payload;
     },
     clearError: (state) => {
       state.error = null;
     },
-    setMetaMaskInstalled: (state, action) => {
-      state.isMetaMaskInstalled = action.payload;
+    setWalletAvailable: (state, action) => {
+      state.isWalletAvailable = action.payload;
+    },
+    openWalletPicker: (state) => {
+      state.isWalletPickerOpen = true;
+      state.error = null;
+    },
+    closeWalletPicker: (state) => {
+      state.isWalletPickerOpen = false;
     },
   },
   extraReducers: (builder) => {
@@ -112,14 +316,47 @@ const walletSlice = createSlice({
       .addCase(connectWallet.fulfilled, (state, action) => {
         state.isConnecting = false;
         state.isConnected = true;
+        state.isWalletPickerOpen = false;
+        state.walletId = action.payload.walletId;
+        state.chainId = action.payload.chainId;
         state.address = action.payload.address;
         state.balance = action.payload.balance;
         state.user = action.payload.user;
+        state.isAuthenticated = !!action.payload.sessionExpiresAt;
+        state.sessionExpiresAt = action.payload.sessionExpiresAt;
       })
       .addCase(connectWallet.rejected, (state, action) => {
         state.isConnecting = false;
         state.error = action.payload;
       })
+      // Sign in (SIWE)
+      .addCase(signIn.pending, (state) => {
+        state.isSigningIn = true;
+        state.error = null;
+      })
+      .addCase(signIn.fulfilled, (state, action) => {
+        state.isSigningIn = false;
+        state.isAuthenticated = true;
+        state.sessionExpiresAt = action.payload.expiresAt;
+      })
+      .addCase(signIn.rejected, (state, action) => {
+        state.isSigningIn = false;
+        state.isAuthenticated = false;
+        state.sessionExpiresAt = null;
+        state.error = action.payload;
+      })
+      // Sign out
+      .addCase(signOut.fulfilled, (state) => {
+        state.walletId = null;
+        state.chainId = null;
+        state.address = null;
+        state.balance = null;
+        state.user = null;
+        state.isConnected = false;
+        state.isAuthenticated = false;
+        state.sessionExpiresAt = null;
+        state.error = null;
+      })
       // Check connection
       .addCase(checkConnection.pending, (state) => {
         state.isConnecting = true;
@@ -131,6 +368,18 @@ const walletSlice = createSlice({
         state.isConnecting = false;
         state.error = action.payload;
       })
+      // Switch network
+      .addCase(switchNetwork.pending, (state) => {
+        state.isSwitchingNetwork = true;
+        state.error = null;
+      })
+      .addCase(switchNetwork.fulfilled, (state) => {
+        state.isSwitchingNetwork = false;
+      })
+      .addCase(switchNetwork.rejected, (state, action) => {
+        state.isSwitchingNetwork = false;
+        state.error = action.payload;
+      })
       // Refresh balance
       .addCase(refreshBalance.fulfilled, (state, action) => {
         if (action.payload) {
@@ -140,7 +389,16 @@ const walletSlice = createSlice({
   },
 });
 
-export const { disconnect, updateUser, clearError, setMetaMaskInstalled } = walletSlice.actions;
+export const {
+  disconnect,
+  chainChanged,
+  sessionExpired,
+  updateUser,
+  clearError,
+  setWalletAvailable,
+  openWalletPicker,
+  closeWalletPicker,
+} = walletSlice.actions;
 export default walletSlice.reducer;
 
 // Selectors
@@ -148,3 +406,7 @@ export const selectWallet = (state) => state.wallet;
 export const selectAddress = (state) => state.wallet.address;
 export const selectIsConnected = (state) => state.wallet.isConnected;
 export const selectUser = (state) => state.wallet.user;
+export const selectIsAuthenticated = (state) => state.wallet.isAuthenticated;
+export const selectIsWalletPickerOpen = (state) => state.wallet.isWalletPickerOpen;
+export const selectIsWrongNetwork = (state) =>
+  state.wallet.isConnected && !!state.wallet.chainId && parseInt(state.wallet.chainId, 16) !== state.network.chainId;